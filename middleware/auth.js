@@ -1,16 +1,31 @@
 // middleware/auth.js
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../services/sessions");
+const { rateLimit } = require("./rateLimit");
 
 
-module.exports = function auth(req, res, next) {
+// every authenticated request also counts against the user's own quota (RATE_LIMIT_USER)
+const userLimit = rateLimit({ name: "user", max: 300, windowSeconds: 60, by: "user" });
+
+
+// Access tokens are short-lived; a revoked session (logout, logout-all, password change)
+// stops them working before they expire
+module.exports = async function auth(req, res, next) {
 const authHeader = req.headers.authorization || "";
 const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
 if (!token) return res.status(401).json({ error: "No token provided" });
+let payload;
+try {
+payload = jwt.verify(token, process.env.JWT_SECRET);
+} catch (e) {
+return res.status(401).json({ error: e.name === "TokenExpiredError" ? "Token expired" : "Invalid token" });
+}
 try {
-const payload = jwt.verify(token, process.env.JWT_SECRET);
-req.user = { id: payload.id, email: payload.email };
-next();
+// tokens from before sessions existed carry no session id and are no longer accepted
+if (!payload.sid || !(await isSessionActive(payload.sid))) return res.status(401).json({ error: "Session revoked" });
 } catch (e) {
-return res.status(401).json({ error: "Invalid token" });
+return res.status(500).json({ error: "Failed to check session" });
 }
-};
\ No newline at end of file
+req.user = { id: payload.id, email: payload.email, sessionId: payload.sid };
+userLimit(req, res, next);
+};
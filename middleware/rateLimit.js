@@ -0,0 +1,55 @@
+// middleware/rateLimit.js
+// Fixed-window request limits kept in memory (per process). Every limiter has a name and can be
+// tuned from the environment as RATE_LIMIT_<NAME>=<max>/<seconds>, e.g. RATE_LIMIT_LOGIN=10/60.
+// RATE_LIMIT_ENABLED=false turns them all off (handy for load tests).
+const NodeCache = require("node-cache");
+
+const counters = new NodeCache({ checkperiod: 60 });
+
+const enabled = () => process.env.RATE_LIMIT_ENABLED !== "false";
+
+function configured(name, max, windowSeconds) {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(raw || "");
+  return match ? { max: Number(match[1]), windowSeconds: Number(match[2]) } : { max, windowSeconds };
+}
+
+const waitText = (seconds) =>
+  seconds >= 90 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} second${seconds === 1 ? "" : "s"}`;
+
+// Standard 429 body + Retry-After, shared with the login lockout
+function tooMany(res, retryAfter, message = "Too many requests") {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: `${message}, try again in ${waitText(retryAfter)}`, retryAfter });
+}
+
+// ✅ Limiter middleware. `by` is "ip", "user" (falls back to the IP when nobody is signed in)
+// or a function returning the key.
+function rateLimit({ name, max, windowSeconds, by = "ip", message }) {
+  const limits = configured(name, max, windowSeconds);
+  const keyOf =
+    typeof by === "function" ? by : by === "user" ? (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`) : (req) => `ip:${req.ip}`;
+
+  return function limit(req, res, next) {
+    if (!enabled() || !limits.max) return next();
+    const key = `${name}:${keyOf(req)}`;
+    const now = Date.now();
+    let entry = counters.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + limits.windowSeconds * 1000 };
+    }
+    entry.count += 1;
+    counters.set(key, entry, limits.windowSeconds);
+
+    const retryAfter = Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+    res.set({
+      "RateLimit-Limit": String(limits.max),
+      "RateLimit-Remaining": String(Math.max(0, limits.max - entry.count)),
+      "RateLimit-Reset": String(retryAfter)
+    });
+    if (entry.count > limits.max) return tooMany(res, retryAfter, message);
+    next();
+  };
+}
+
+module.exports = { rateLimit, tooMany };
@@ -0,0 +1,19 @@
+// models/Activity.js
+// Who changed what in a portfolio (written by services/access.js logActivity)
+const mongoose = require("mongoose");
+
+const ActivitySchema = new mongoose.Schema(
+  {
+    portfolioId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // e.g. "asset.added", "transaction.deleted", "member.invited"
+    action: { type: String, required: true },
+    summary: { type: String, required: true },
+    details: { type: mongoose.Schema.Types.Mixed }
+  },
+  { timestamps: true }
+);
+
+ActivitySchema.index({ portfolioId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Activity", ActivitySchema);
@@ -0,0 +1,36 @@
+// models/AllocationTarget.js
+// Target weights for a portfolio (or, with portfolioId null, for a user's consolidated view),
+// used for drift and rebalancing (see services/rebalance.js)
+const mongoose = require("mongoose");
+
+const GROUP_BY = ["type", "symbol", "tag"];
+
+const AllocationTargetSchema = new mongoose.Schema(
+  {
+    // the portfolio's owner; for the consolidated view, the user it belongs to
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    portfolioId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", default: null },
+    // what the weights are keyed by: asset type, symbol or the asset's custom tag
+    groupBy: { type: String, enum: GROUP_BY, default: "type" },
+    // percentages, summing to 100
+    targets: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        weight: { type: Number, required: true, min: 0, max: 100 }
+      }
+    ],
+    // overweight groups are only sold once they drift more than this many points above target;
+    // below it, rebalancing uses new cash only
+    sellThresholdPct: { type: Number, default: 5, min: 0 },
+    // trades smaller than this (base currency) are left out of the plan
+    minTradeValue: { type: Number, default: 0, min: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+AllocationTargetSchema.index({ userId: 1, portfolioId: 1 }, { unique: true });
+
+module.exports = mongoose.model("AllocationTarget", AllocationTargetSchema);
+module.exports.GROUP_BY = GROUP_BY;
@@ -1,15 +1,26 @@
 const mongoose = require("mongoose");
+// Quantity and cost are derived from the Transaction ledger (see services/ledger.js)
 const AssetSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    // the named portfolio (account) this holding belongs to, see models/Portfolio.js
+    portfolioId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", index: true },
     symbol: { type: String, required: true, uppercase: true },
     type: { 
       type: String, 
       enum: ["stock", "mutual_fund", "crypto", "commodity"], // 👈 added commodity
       required: true 
     },
-    quantity: { type: Number, required: true, min: 0 },
-    buyPrice: { type: Number, required: true, min: 0 }
+    // crypto only: CoinGecko id picked at search time (tickers like "ETH" are shared by many coins)
+    coinId: { type: String },
+    // free-form bucket for allocation targets ("core", "satellite", "bonds", ...)
+    tag: { type: String, trim: true },
+    // currency the ledger (buy/sell prices) is recorded in
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => (process.env.CURRENCY || "USD").toUpperCase()
+    }
   },
   { timestamps: true }
 );
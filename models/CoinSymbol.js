@@ -0,0 +1,17 @@
+// models/CoinSymbol.js
+// CoinGecko coin registry: ticker -> coin id. Tickers collide, so one symbol can have many rows.
+const mongoose = require("mongoose");
+
+const CoinSymbolSchema = new mongoose.Schema(
+  {
+    coinId: { type: String, required: true, unique: true }, // CoinGecko id, e.g. "bitcoin"
+    symbol: { type: String, required: true, uppercase: true, index: true },
+    name: { type: String },
+    marketCapRank: { type: Number }, // from search results; breaks ties between colliding tickers
+    preferred: { type: Boolean, default: false }, // the well-known coin for its ticker
+    source: { type: String, enum: ["seed", "list", "search"], default: "list" }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CoinSymbol", CoinSymbolSchema);
@@ -0,0 +1,17 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    alertId: { type: mongoose.Schema.Types.ObjectId, ref: "PriceAlert" },
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    read: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,25 @@
+// models/Portfolio.js
+// A named account (retirement, trading, ...) that groups a user's assets
+const mongoose = require("mongoose");
+
+const PortfolioSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    name: { type: String, required: true, trim: true },
+    // figures for this portfolio are shown in this currency; the consolidated view uses the user's
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      default: () => (process.env.CURRENCY || "USD").toUpperCase()
+    },
+    broker: { type: String, trim: true },
+    // Yahoo tickers to compare against on the history page (^GSPC, ^NSEI, BTC, ...)
+    benchmarks: { type: [String], default: undefined },
+    notes: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+
+PortfolioSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Portfolio", PortfolioSchema);
@@ -0,0 +1,27 @@
+// models/PortfolioMember.js
+// Someone a portfolio is shared with. The portfolio's creator (Portfolio.userId) is always an owner;
+// everyone else is invited by email and becomes active once they accept.
+const mongoose = require("mongoose");
+
+// ascending: each role can do everything the ones before it can
+const ROLES = ["viewer", "editor", "owner"];
+
+const PortfolioMemberSchema = new mongoose.Schema(
+  {
+    portfolioId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", index: true, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    // set when the invite is accepted
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    role: { type: String, enum: ROLES, required: true, default: "viewer" },
+    status: { type: String, enum: ["pending", "active"], default: "pending" },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acceptedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+PortfolioMemberSchema.index({ portfolioId: 1, email: 1 }, { unique: true });
+PortfolioMemberSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model("PortfolioMember", PortfolioMemberSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,34 @@
+// models/PortfolioSnapshot.js
+const mongoose = require("mongoose");
+
+// One row per portfolio per day (date is midnight UTC), plus one for the owner's consolidated view
+// (portfolioId null); re-recording the same day overwrites it
+const PortfolioSnapshotSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    portfolioId: { type: mongoose.Schema.Types.ObjectId, ref: "Portfolio", default: null },
+    date: { type: Date, required: true },
+    currency: { type: String, required: true },
+    invested: { type: Number, required: true },
+    currentValue: { type: Number, required: true },
+    realizedPnL: { type: Number, default: 0 },
+    unrealizedPnL: { type: Number, default: 0 },
+    // false when a holding couldn't be priced; such a day is left off the chart and recorded again
+    complete: { type: Boolean, default: true },
+    unpriced: { type: [String], default: undefined },
+    breakdown: [
+      {
+        _id: false,
+        type: { type: String },
+        invested: Number,
+        currentValue: Number
+      }
+    ]
+  },
+  { timestamps: true }
+);
+
+PortfolioSnapshotSchema.index({ userId: 1, portfolioId: 1, date: 1 }, { unique: true });
+PortfolioSnapshotSchema.index({ portfolioId: 1, date: 1 });
+
+module.exports = mongoose.model("PortfolioSnapshot", PortfolioSnapshotSchema);
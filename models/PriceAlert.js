@@ -0,0 +1,38 @@
+// models/PriceAlert.js
+const mongoose = require("mongoose");
+
+const ALERT_KINDS = [
+  "price_above", // price crosses above threshold
+  "price_below", // price crosses below threshold
+  "day_move_pct", // |daily % change| reaches threshold
+  "pnl_pct_above", // unrealized P&L % on the holding reaches threshold
+  "pnl_pct_below" // unrealized P&L % on the holding falls to threshold
+];
+const ALERT_CHANNELS = ["in_app", "email", "webhook"];
+
+const PriceAlertSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    symbol: { type: String, required: true, uppercase: true },
+    assetType: { type: String, enum: ["stock", "mutual_fund", "crypto", "commodity"], required: true },
+    // P&L alerts watch a specific holding
+    assetId: { type: mongoose.Schema.Types.ObjectId, ref: "Asset" },
+    coinId: { type: String }, // crypto: which coin the ticker means, see services/coins.js
+    kind: { type: String, enum: ALERT_KINDS, required: true },
+    threshold: { type: Number, required: true },
+    channels: { type: [{ type: String, enum: ALERT_CHANNELS }], default: ["in_app"] },
+    webhookUrl: { type: String, trim: true },
+    note: { type: String, trim: true },
+    // alerts fire once, then stay inactive until re-armed
+    active: { type: Boolean, default: true, index: true },
+    triggeredAt: { type: Date },
+    triggeredValue: { type: Number },
+    lastCheckedAt: { type: Date },
+    lastError: { type: String }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PriceAlert", PriceAlertSchema);
+module.exports.ALERT_KINDS = ALERT_KINDS;
+module.exports.ALERT_CHANNELS = ALERT_CHANNELS;
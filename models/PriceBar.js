@@ -0,0 +1,19 @@
+// models/PriceBar.js
+// Daily OHLCV bars per price series, so history and analytics don't re-download what they've seen.
+// A series is "TYPE:SYMBOL" (crypto and stocks can share a ticker); see models/PriceSeries.js
+const mongoose = require("mongoose");
+
+const PriceBarSchema = new mongoose.Schema({
+  series: { type: String, required: true }, // "STOCK:AAPL", "CRYPTO:BTC", "INDEX:^GSPC"
+  date: { type: Date, required: true }, // midnight UTC of the trading day
+  open: { type: Number, default: null },
+  high: { type: Number, default: null },
+  low: { type: Number, default: null },
+  close: { type: Number, required: true },
+  volume: { type: Number, default: null },
+  source: { type: String, enum: ["yahoo", "coingecko"], required: true }
+});
+
+PriceBarSchema.index({ series: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("PriceBar", PriceBarSchema);
@@ -0,0 +1,21 @@
+// models/PriceSeries.js
+// What the PriceBar store holds for a series: the span already fetched (weekends and holidays
+// have no bars, so the bars alone can't tell a gap from a market that was closed)
+const mongoose = require("mongoose");
+
+const PriceSeriesSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // same as PriceBar.series
+    symbol: { type: String, required: true }, // ticker the provider was asked for (BTC-USD, bitcoin, ...)
+    currency: { type: String, default: null },
+    from: { type: Date, required: true }, // fetched from this day...
+    to: { type: Date, required: true }, // ...through this moment
+    complete: { type: Boolean, default: false }, // `from` is the start of the provider's history
+    // splits the stored bars are already adjusted for (Yahoo's closes are split-adjusted)
+    splits: [{ _id: false, date: Date, ratio: Number }],
+    lastError: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PriceSeries", PriceSeriesSchema);
@@ -0,0 +1,14 @@
+// models/QuoteCache.js
+// Last known quote per symbol, shared by every server process and kept across restarts
+const mongoose = require("mongoose");
+
+const QuoteCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "TYPE:SYMBOL", same as the in-memory cache
+  quote: { type: mongoose.Schema.Types.Mixed, required: true },
+  fetchedAt: { type: Date, required: true }
+});
+
+// Entries older than a week are useless even as a stale fallback
+QuoteCacheSchema.index({ fetchedAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+module.exports = mongoose.model("QuoteCache", QuoteCacheSchema);
@@ -0,0 +1,27 @@
+// models/Session.js
+// One signed-in device. The refresh token itself is never stored, only its hash; it rotates on
+// every refresh and the previous hash is kept to spot a stolen token being replayed.
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousHash: { type: String, index: true },
+    rotatedAt: { type: Date },
+    userAgent: { type: String },
+    device: { type: String }, // e.g. "Firefox on Linux"
+    ip: { type: String },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    // "logout", "logout_all", "revoked", "password_changed", "reuse" (an already-rotated token came back)
+    revokedReason: { type: String }
+  },
+  { timestamps: true }
+);
+
+// expired sessions disappear on their own
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
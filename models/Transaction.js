@@ -0,0 +1,65 @@
+// models/Transaction.js
+const mongoose = require("mongoose");
+
+const TRANSACTION_TYPES = [
+  "buy",
+  "sell",
+  "dividend",
+  "interest",
+  "fee",
+  "split",
+  "bonus",
+  "merger_out",
+  "merger_in"
+];
+// the two sides of a merger are recorded together via services/corporateActions.js
+const MERGER_TYPES = ["merger_out", "merger_in"];
+
+const TransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    assetId: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", index: true, required: true },
+    type: { type: String, enum: TRANSACTION_TYPES, required: true },
+    date: { type: Date, required: true, default: Date.now },
+    // buy / sell: units traded and the per-unit price; merger_out: units given up, merger_in: units received
+    quantity: { type: Number, min: 0, default: 0 },
+    price: { type: Number, min: 0, default: 0 },
+    // dividend / interest / fee: cash amount; merger_in: cost basis carried over
+    // buy / sell: optional brokerage charges go in fees
+    amount: { type: Number, min: 0, default: 0 },
+    fees: { type: Number, min: 0, default: 0 },
+    // price / amount / fees are in this currency (always the asset's ledger currency)
+    currency: { type: String, uppercase: true },
+    // split: new units per old unit (e.g. 10 for a 10:1 split)
+    // bonus: bonus units per held unit (e.g. 0.5 for a 1:2 bonus issue)
+    // merger_out: units of the acquirer per unit given up
+    ratio: { type: Number, min: 0 },
+    // merger: the other asset, and an id shared by every transaction of the same merger
+    relatedAssetId: { type: mongoose.Schema.Types.ObjectId, ref: "Asset" },
+    groupId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    // merger_in: acquisition date of the lot it continues (keeps holding periods intact)
+    acquiredAt: { type: Date },
+    // events pulled from the price provider, e.g. "yahoo:div:2024-05-10"; prevents duplicates on re-sync
+    externalId: { type: String },
+    // sell: specific-lot identification, the buy transactions this sale draws from
+    lots: [
+      {
+        _id: false,
+        transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+        quantity: { type: Number, min: 0 }
+      }
+    ],
+    notes: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+
+TransactionSchema.index({ assetId: 1, date: 1 });
+TransactionSchema.index(
+  { assetId: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $exists: true } } }
+);
+
+module.exports = mongoose.model("Transaction", TransactionSchema);
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
+module.exports.MERGER_TYPES = MERGER_TYPES;
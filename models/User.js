@@ -5,7 +5,32 @@ const mongoose = require("mongoose");
 const UserSchema = new mongoose.Schema(
 {
 email: { type: String, required: true, unique: true, lowercase: true, trim: true },
-password: { type: String, required: true }
+password: { type: String, required: true },
+// set once the user follows the link emailed at registration
+emailVerified: { type: Boolean, default: false },
+emailVerifiedAt: { type: Date },
+passwordChangedAt: { type: Date },
+// failed sign-ins in a row and the resulting lock (see services/lockout.js)
+failedLogins: { type: Number, default: 0 },
+lockedUntil: { type: Date },
+// optional TOTP second factor (see services/twoFactor.js); secrets are stored encrypted
+twoFactor: {
+enabled: { type: Boolean, default: false },
+secret: { type: String },
+// generated by /2fa/setup, becomes `secret` once a code from it is confirmed
+pendingSecret: { type: String },
+// last accepted time step, so a code can't be used twice
+lastStep: { type: Number },
+// sha256 of the unused recovery codes
+recoveryCodes: { type: [String], default: [] },
+enabledAt: { type: Date }
+},
+// lot matching used for realized/unrealized P&L (see services/ledger.js)
+costBasisMethod: { type: String, enum: ["fifo", "lifo", "average", "specific"], default: "fifo" },
+// capital gains rules for the tax report (see services/tax.js); unset = TAX_JURISDICTION
+taxJurisdiction: { type: String, uppercase: true },
+// every position is converted into this currency for totals
+baseCurrency: { type: String, uppercase: true, default: () => (process.env.CURRENCY || "USD").toUpperCase() }
 },
 { timestamps: true }
 );
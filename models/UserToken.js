@@ -0,0 +1,22 @@
+// models/UserToken.js
+// Single-use tokens emailed to a user (verify their address, reset their password).
+// Only a hash is stored; the raw token only ever exists in the email.
+const mongoose = require("mongoose");
+
+const TOKEN_TYPES = ["verify_email", "reset_password"];
+
+const UserTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    type: { type: String, enum: TOKEN_TYPES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// expired tokens disappear on their own
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", UserTokenSchema);
+module.exports.TOKEN_TYPES = TOKEN_TYPES;
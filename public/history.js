@@ -1,19 +1,166 @@
 const params = new URLSearchParams(window.location.search);
 const symbol = params.get("symbol");
+// crypto history comes from CoinGecko; the type (and coin id) tell the server where to look
+const source = new URLSearchParams();
+if (params.get("type")) source.set("type", params.get("type"));
+if (params.get("coinId")) source.set("coinId", params.get("coinId"));
+const sourceQuery = source.toString() ? `&${source}` : "";
 
 let chart;
+let rsiChart;
+let macdChart;
+
+const UP = "#16a34a";
+const DOWN = "#dc2626";
+const OVERLAY_COLORS = { sma: "#f59e0b", ema: "#8b5cf6", upper: "#0ea5e9", middle: "#0ea5e9", lower: "#0ea5e9" };
+
+// "sma:20,bb,rsi" from the checked boxes
+function indicatorQuery() {
+  return [...document.querySelectorAll(".indicator:checked")]
+    .map(box => {
+      const arg = document.querySelector(`.indicator-arg[data-name="${box.dataset.name}"]`);
+      return arg ? `${box.dataset.name}:${arg.value}` : box.dataset.name;
+    })
+    .join(",");
+}
+
+function showError(message) {
+  const el = document.getElementById("history-error");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+// Each buy goes on the bar it falls in (the last bar starting on or before its date)
+function buyMarkers(history, buys) {
+  const points = history.map(() => null);
+  const details = history.map(() => []);
+  for (const b of buys) {
+    const at = new Date(b.date);
+    let idx = -1;
+    for (let i = 0; i < history.length && new Date(history[i].date) <= at; i++) idx = i;
+    if (idx === -1) continue;
+    details[idx].push(b);
+    // several buys in one bar: mark their average price
+    const qty = details[idx].reduce((sum, x) => sum + x.quantity, 0);
+    points[idx] = details[idx].reduce((sum, x) => sum + x.price * x.quantity, 0) / qty;
+  }
+  return { points, details };
+}
+
+function priceDatasets(history, style) {
+  if (style === "line") {
+    return [
+      {
+        type: "line",
+        label: `${symbol} Close`,
+        data: history.map(d => d.close),
+        borderColor: "#4f46e5",
+        backgroundColor: "rgba(79,70,229,0.1)",
+        pointRadius: 0,
+        tension: 0.2,
+        fill: true,
+        order: 2
+      }
+    ];
+  }
+  // candles as floating bars: a thin low-high wick behind an open-close body
+  const colors = history.map(d => (d.close >= d.open ? UP : DOWN));
+  return [
+    {
+      type: "bar",
+      label: "Range",
+      data: history.map(d => [d.low ?? d.close, d.high ?? d.close]),
+      backgroundColor: colors,
+      barPercentage: 0.15,
+      grouped: false,
+      order: 3
+    },
+    {
+      type: "bar",
+      label: "OHLC",
+      data: history.map(d => {
+        const open = d.open ?? d.close;
+        // a flat bar would be invisible
+        return open === d.close ? [open, d.close * 1.0005] : [open, d.close];
+      }),
+      backgroundColor: colors,
+      barPercentage: 0.8,
+      grouped: false,
+      order: 2
+    }
+  ];
+}
+
+function overlayDatasets(indicators) {
+  return indicators
+    .filter(ind => ind.pane === "price")
+    .flatMap(ind =>
+      Object.entries(ind.lines).map(([name, values]) => ({
+        type: "line",
+        label: ind.type === "bb" ? `BB ${name}` : ind.key.toUpperCase(),
+        data: values,
+        borderColor: OVERLAY_COLORS[name] || "#64748b",
+        borderDash: name === "upper" || name === "lower" ? [4, 4] : [],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        spanGaps: false,
+        order: 1
+      }))
+    );
+}
+
+function drawOscillator(existing, canvasId, indicator, labels) {
+  if (existing) existing.destroy();
+  const canvas = document.getElementById(canvasId);
+  canvas.classList.toggle("hidden", !indicator);
+  if (!indicator) return null;
+
+  const datasets =
+    indicator.type === "rsi"
+      ? [
+          { type: "line", label: indicator.key.toUpperCase(), data: indicator.lines.rsi, borderColor: "#8b5cf6", pointRadius: 0 },
+          // overbought / oversold guides
+          { type: "line", label: "70", data: labels.map(() => 70), borderColor: DOWN, borderDash: [4, 4], pointRadius: 0, borderWidth: 1 },
+          { type: "line", label: "30", data: labels.map(() => 30), borderColor: UP, borderDash: [4, 4], pointRadius: 0, borderWidth: 1 }
+        ]
+      : [
+          { type: "line", label: "MACD", data: indicator.lines.macd, borderColor: "#0ea5e9", pointRadius: 0 },
+          { type: "line", label: "Signal", data: indicator.lines.signal, borderColor: "#f59e0b", pointRadius: 0 },
+          {
+            type: "bar",
+            label: "Histogram",
+            data: indicator.lines.histogram,
+            backgroundColor: indicator.lines.histogram.map(v => (v >= 0 ? UP : DOWN))
+          }
+        ];
+
+  return new Chart(canvas, {
+    type: "bar",
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: { legend: { display: false }, title: { display: true, text: indicator.key.toUpperCase() } },
+      scales: {
+        x: { display: false },
+        y: indicator.type === "rsi" ? { min: 0, max: 100 } : {}
+      }
+    }
+  });
+}
 
 // Load history from backend
 async function loadHistory() {
   try {
+    showError("");
     const range = document.getElementById("range").value;
     const interval = document.getElementById("interval").value;
+    const indicators = indicatorQuery();
 
-    const res = await fetch(
-      `/api/portfolio/history/${symbol}?range=${range}&interval=${interval}`,
-      {
-        headers: { Authorization: `Bearer ${localStorage.getItem("token")}` }
-      }
+    const res = await authFetch(
+      `/api/portfolio/history/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}` +
+        `&indicators=${encodeURIComponent(indicators)}${sourceQuery}`
     );
     const data = await res.json();
     if (!res.ok) throw new Error(data.error || "Failed to fetch history");
@@ -24,6 +171,8 @@ async function loadHistory() {
       throw new Error("No historical data available for this symbol");
     }
 
+    document.getElementById("history-stale").classList.toggle("hidden", !data.stale);
+
     // ✅ Sync dropdowns with backend response
     if (data.range) document.getElementById("range").value = data.range;
     if (data.interval) document.getElementById("interval").value = data.interval;
@@ -31,59 +180,268 @@ async function loadHistory() {
     // Destroy previous chart if exists
     if (chart) chart.destroy();
 
+    const labels = history.map(d => new Date(d.date).toLocaleDateString());
+    const style = document.getElementById("chart-style").value;
+    const maxVolume = Math.max(0, ...history.map(d => d.volume || 0));
+    const buys = buyMarkers(history, document.getElementById("show-buys").checked ? data.buys || [] : []);
+
+    const datasets = [
+      ...priceDatasets(history, style),
+      ...overlayDatasets(data.indicators || []),
+      {
+        type: "line",
+        label: "My buys",
+        data: buys.points,
+        showLine: false,
+        pointStyle: "triangle",
+        pointRadius: 8,
+        pointBackgroundColor: "#2563eb",
+        pointBorderColor: "#fff",
+        order: 0
+      }
+    ];
+    if (maxVolume > 0) {
+      datasets.push({
+        type: "bar",
+        label: "Volume",
+        data: history.map(d => d.volume),
+        yAxisID: "volume",
+        backgroundColor: history.map(d => (d.close >= (d.open ?? d.close) ? "rgba(22,163,74,0.25)" : "rgba(220,38,38,0.25)")),
+        grouped: false,
+        order: 4
+      });
+    }
+
     const ctx = document.getElementById("historyChart");
     chart = new Chart(ctx, {
-      type: "line",
-      data: {
-        labels: history.map(d => new Date(d.date).toLocaleDateString()),
-        datasets: [
-          {
-            label: `${symbol} Price`,
-            data: history.map(d => d.close),
-            borderColor: "#4f46e5",
-            backgroundColor: "rgba(79,70,229,0.1)",
-            tension: 0.2,
-            fill: true
-          }
-        ]
-      },
+      type: "bar",
+      data: { labels, datasets },
       options: {
         responsive: true,
         interaction: { mode: "index", intersect: false },
         plugins: {
           title: {
             display: true,
-            text: `${symbol} Price History (${data.range}, ${data.interval})`
+            text: `${symbol} Price History (${data.range || range}, ${data.interval})`
           },
-          legend: { display: false }
+          legend: { display: false },
+          tooltip: {
+            filter: item => item.raw !== null && item.dataset.label !== "Range",
+            callbacks: {
+              label: item => {
+                const d = history[item.dataIndex];
+                if (item.dataset.label === "OHLC")
+                  return `O ${d.open?.toFixed(2)}  H ${d.high?.toFixed(2)}  L ${d.low?.toFixed(2)}  C ${d.close.toFixed(2)}`;
+                if (item.dataset.label === "Volume") return `Volume ${Number(d.volume).toLocaleString()}`;
+                if (item.dataset.label === "My buys")
+                  return buys.details[item.dataIndex].map(b => `Bought ${b.quantity} @ ${b.price} ${b.currency || ""}`);
+                return `${item.dataset.label} ${Number(item.raw).toFixed(2)}`;
+              }
+            }
+          }
         },
         scales: {
           x: { display: true, title: { display: true, text: "Date" } },
-          y: { display: true, title: { display: true, text: "Price" } }
+          y: { display: true, title: { display: true, text: "Price" } },
+          // volume sits in the bottom quarter of the chart
+          volume: { display: false, position: "right", min: 0, max: maxVolume * 4 || 1, grid: { display: false } }
         }
       }
     });
+
+    const oscillator = type => (data.indicators || []).find(ind => ind.type === type);
+    rsiChart = drawOscillator(rsiChart, "rsiChart", oscillator("rsi"), labels);
+    macdChart = drawOscillator(macdChart, "macdChart", oscillator("macd"), labels);
   } catch (err) {
     console.error("History fetch error:", err);
-    document.getElementById("historyChart").replaceWith(
-      (() => {
-        const p = document.createElement("p");
-        p.className = "text-red-600";
-        p.textContent = err.message;
-        return p;
-      })()
-    );
+    showError(err.message);
   }
 }
 
 // Hook dropdown changes
 document.getElementById("range").addEventListener("change", loadHistory);
 document.getElementById("interval").addEventListener("change", loadHistory);
+document.getElementById("chart-style").addEventListener("change", loadHistory);
+document.getElementById("show-buys").addEventListener("change", loadHistory);
+document.querySelectorAll(".indicator, .indicator-arg").forEach(el => el.addEventListener("change", loadHistory));
+
+// Export the selected range as CSV / JSON / XLSX
+document.getElementById("export-history").addEventListener("click", async () => {
+  try {
+    const range = document.getElementById("range").value;
+    const interval = document.getElementById("interval").value;
+    const format = document.getElementById("export-format").value;
+    const res = await authFetch(
+      `/api/export/history/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}&format=${format}${sourceQuery}`
+    );
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "Export failed");
+    }
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = disposition.match(/filename="([^"]+)"/)?.[1] || `${symbol}-history.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    alert(err.message);
+  }
+});
 
 // Back button - FIX: Changed from index.html to dashboard.html
 document.getElementById("back").addEventListener("click", () => {
   window.location.href = "dashboard.html"; // 👈 changed to dashboard.html
 });
 
-// Initial load
-loadHistory();
\ No newline at end of file
+// === Benchmarks: the dashboard's selected portfolio against market indices ===
+const portfolioId = localStorage.getItem("portfolioId") || "all";
+const scopedQuery = portfolioId === "all" ? "" : `&portfolioId=${portfolioId}`;
+const SERIES_COLORS = ["#4f46e5", "#f59e0b", "#16a34a", "#dc2626", "#0ea5e9", "#8b5cf6", "#ec4899", "#64748b"];
+let benchmarkChart;
+let selectedPortfolio = null;
+
+// portfolio names and symbols are typed by users (a shared portfolio's owner, for one)
+const escapeHtml = value =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+const fixed = (n, digits = 2, suffix = "") => (n === null || n === undefined ? "—" : `${n.toFixed(digits)}${suffix}`);
+
+function benchmarkList() {
+  return document
+    .getElementById("benchmarks")
+    .value.split(",")
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function showBenchmarkError(message) {
+  const el = document.getElementById("benchmark-error");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+async function loadBenchmarks() {
+  try {
+    showBenchmarkError("");
+    const range = document.getElementById("benchmark-range").value;
+    const list = benchmarkList();
+    const query = list.length ? `&benchmarks=${encodeURIComponent(list.join(","))}` : "";
+    const res = await authFetch(`/api/portfolio/benchmarks?range=${range}${query}${scopedQuery}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to compare with benchmarks");
+    if (!list.length) document.getElementById("benchmarks").value = data.benchmarks.map(b => b.symbol).join(", ");
+
+    // the portfolio, the benchmarks and either every holding or just the one this page is about
+    const everyHolding = document.getElementById("benchmark-holdings").checked;
+    const shown = data.series.filter(
+      s => s.kind !== "holding" || everyHolding || (symbol && s.label === symbol.toUpperCase())
+    );
+
+    if (benchmarkChart) benchmarkChart.destroy();
+    benchmarkChart = new Chart(document.getElementById("benchmarkChart"), {
+      type: "line",
+      data: {
+        labels: data.dates.map(d => new Date(d).toLocaleDateString()),
+        datasets: shown.map((s, i) => ({
+          label: s.kind === "benchmark" ? `${s.label} (benchmark)` : s.label,
+          data: s.values,
+          borderColor: SERIES_COLORS[i % SERIES_COLORS.length],
+          borderWidth: s.kind === "portfolio" ? 2.5 : 1.5,
+          borderDash: s.kind === "benchmark" ? [6, 4] : [],
+          pointRadius: 0,
+          spanGaps: true
+        }))
+      },
+      options: {
+        responsive: true,
+        interaction: { mode: "index", intersect: false },
+        plugins: {
+          title: { display: true, text: `Growth of 100 (${data.range})` },
+          tooltip: { callbacks: { label: item => `${item.dataset.label}: ${fixed(item.raw)}` } }
+        },
+        scales: { y: { title: { display: true, text: "Rebased to 100" } } }
+      }
+    });
+
+    const shownLabels = new Set(shown.map(s => s.label));
+    document.getElementById("benchmark-stats").innerHTML = data.stats
+      .filter(st => st.kind === "portfolio" || shownLabels.has(st.label))
+      .map(
+        st => `
+        <tr class="border-b">
+          <td class="py-1 pr-4 ${st.kind === "portfolio" ? "font-semibold" : ""}">${escapeHtml(st.label)}</td>
+          <td class="py-1 pr-4">${escapeHtml(st.benchmark)}</td>
+          ${
+            st.insufficient
+              ? `<td colspan="6" class="py-1 pr-4 opacity-70">Not enough overlapping days (${st.observations})</td>`
+              : `<td class="py-1 pr-4">${fixed(st.returnPct, 2, "%")}</td>
+                 <td class="py-1 pr-4">${fixed(st.benchmarkReturnPct, 2, "%")}</td>
+                 <td class="py-1 pr-4 ${st.alphaPct >= 0 ? "text-green-600" : "text-red-600"}">${fixed(st.alphaPct, 2, "%")}</td>
+                 <td class="py-1 pr-4">${fixed(st.beta)}</td>
+                 <td class="py-1 pr-4">${fixed(st.trackingErrorPct, 2, "%")}</td>
+                 <td class="py-1 pr-4">${fixed(st.correlation)}</td>`
+          }
+        </tr>`
+      )
+      .join("");
+
+    const notes = [
+      `Daily returns on days both series traded; risk-free rate ${fixed(data.riskFreeRatePct, 2, "%")}.`,
+      ...data.benchmarks.filter(b => b.error).map(b => `${b.symbol}: ${b.error}`),
+      ...data.skipped.map(h => `${h.symbol} left out: ${h.error}`)
+    ];
+    document.getElementById("benchmark-note").textContent = notes.join(" ");
+  } catch (err) {
+    console.error("Benchmark error:", err);
+    showBenchmarkError(err.message);
+  }
+}
+
+// Owners can keep the list on the portfolio (the consolidated view uses the server default)
+async function loadSelectedPortfolio() {
+  if (portfolioId === "all") {
+    document.getElementById("benchmark-portfolio").textContent = "· All portfolios";
+    return;
+  }
+  const res = await authFetch("/api/portfolios");
+  if (!res.ok) return;
+  selectedPortfolio = (await res.json()).find(p => p._id === portfolioId) || null;
+  if (!selectedPortfolio) return;
+  document.getElementById("benchmark-portfolio").textContent = `· ${selectedPortfolio.name}`;
+  document.getElementById("benchmark-save").classList.toggle("hidden", selectedPortfolio.role !== "owner");
+  if (selectedPortfolio.benchmarks?.length)
+    document.getElementById("benchmarks").value = selectedPortfolio.benchmarks.join(", ");
+}
+
+document.getElementById("benchmark-run").addEventListener("click", loadBenchmarks);
+document.getElementById("benchmark-range").addEventListener("change", loadBenchmarks);
+document.getElementById("benchmark-holdings").addEventListener("change", loadBenchmarks);
+document.getElementById("benchmark-save").addEventListener("click", async () => {
+  try {
+    const res = await authFetch(`/api/portfolios/${portfolioId}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ benchmarks: benchmarkList() })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to save benchmarks");
+    await loadBenchmarks();
+  } catch (err) {
+    showBenchmarkError(err.message);
+  }
+});
+
+// Initial load (opened without ?symbol it's just the benchmark comparison)
+if (symbol) {
+  document.getElementById("chart-title").textContent = `${symbol} History`;
+  loadHistory();
+} else {
+  document.getElementById("symbol-card").classList.add("hidden");
+}
+loadSelectedPortfolio()
+  .catch(err => console.error("Portfolio error:", err))
+  .then(loadBenchmarks);
\ No newline at end of file
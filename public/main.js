@@ -14,44 +14,330 @@ function pct(n) {
   return `${n.toFixed(2)}%`;
 }
 
-function getToken() {
-  return localStorage.getItem("token");
-}
-function getUser() {
-  try {
-    return JSON.parse(localStorage.getItem("user"));
-  } catch {
-    return null;
-  }
+// Anything other users can type (portfolio names, symbols, notes, emails) goes through this
+// before it lands in innerHTML
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
 }
 
+// getToken / getUser / authFetch come from session.js
 async function api(path, opts = {}) {
-  const res = await fetch(`${API}${path}`, {
+  const res = await authFetch(`${API}${path}`, {
     ...opts,
     headers: {
       "Content-Type": "application/json",
-      Authorization: `Bearer ${getToken()}`,
       ...(opts.headers || {}),
     },
   });
-  if (res.status === 401) {
-    localStorage.clear();
-    window.location.href = "/";
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw requestError(res, data);
+  return data;
+}
+
+// Error for a failed response; rate-limited (429) ones say when to retry
+function requestError(res, data, fallback = "Request failed") {
+  const retryAfter = data.retryAfter ?? Number(res.headers.get("Retry-After") || 0);
+  const err = new Error(
+    data.error || (res.status === 429 ? `Too many requests, try again in ${retryAfter || "a few"} seconds` : fallback)
+  );
+  err.status = res.status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+// Authenticated file download (exports can't be plain links: they need the bearer token)
+async function download(path) {
+  const res = await authFetch(`${API}${path}`);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw requestError(res, data, "Download failed");
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || "export";
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+let currentAssets = [];
+
+// === Portfolios ===
+// "all" is the consolidated view; the choice survives reloads
+let portfolios = [];
+let portfolioId = localStorage.getItem("portfolioId") || "all";
+
+// Adds ?portfolioId to an API path unless every portfolio is selected
+function scoped(path) {
+  if (portfolioId === "all") return path;
+  return `${path}${path.includes("?") ? "&" : "?"}portfolioId=${portfolioId}`;
+}
+const selectedPortfolio = () => portfolios.find((p) => p._id === portfolioId);
+const portfolioName = (id) => portfolios.find((p) => p._id === id)?.name || "";
+
+async function loadPortfolios() {
+  portfolios = await api("/portfolios");
+  if (portfolioId !== "all" && !selectedPortfolio()) portfolioId = "all";
+  localStorage.setItem("portfolioId", portfolioId);
+
+  const select = document.getElementById("portfolio-select");
+  select.innerHTML = "";
+  select.add(new Option("All portfolios", "all"));
+  portfolios.forEach((p) =>
+    select.add(
+      new Option(p.shared ? `${p.name} (shared by ${p.ownerEmail})` : `${p.name} (${p.assetCount})`, p._id)
+    )
+  );
+  select.value = portfolioId;
+
+  // renaming and deleting need the owner role; the last portfolio of its owner can't go
+  const current = selectedPortfolio();
+  const isOwner = current?.role === "owner";
+  const siblings = portfolios.filter((p) => current && p.userId === current.userId);
+  document.getElementById("portfolio-rename").disabled = !isOwner;
+  document.getElementById("portfolio-delete").disabled = !isOwner || siblings.length < 2;
+  document.getElementById("portfolio-broker").textContent = [
+    current?.broker && `Broker: ${current.broker}`,
+    current?.shared && `You are ${current.role === "owner" ? "an" : "a"} ${current.role}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  document.getElementById("portfolio-sharing").classList.toggle("hidden", !current);
+  if (document.getElementById("portfolio-sharing").open) loadSharing().catch((err) => console.error("Sharing error", err));
+}
+
+async function switchPortfolio(id) {
+  portfolioId = id;
+  localStorage.setItem("portfolioId", id);
+  await loadPortfolios();
+  await loadPortfolio();
+  startStream();
+  loadReturns().catch((err) => console.error("Returns error", err));
+  loadTargets().catch((err) => console.error("Targets error", err));
+  loadRisk();
+  loadPerformance().catch((err) => console.error("Performance error", err));
+}
+
+document
+  .getElementById("portfolio-select")
+  .addEventListener("change", (e) => switchPortfolio(e.target.value).catch((err) => alert(err.message)));
+
+document.getElementById("portfolio-new").addEventListener("click", async () => {
+  const name = prompt("Name for the new portfolio (e.g. Retirement, Trading)");
+  if (!name || !name.trim()) return;
+  const broker = prompt("Broker (optional)") || undefined;
+  try {
+    const created = await api("/portfolios", {
+      method: "POST",
+      body: JSON.stringify({ name: name.trim(), broker, baseCurrency: document.getElementById("base-currency").value }),
+    });
+    await switchPortfolio(created._id);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document.getElementById("portfolio-rename").addEventListener("click", async () => {
+  const current = selectedPortfolio();
+  if (!current) return;
+  const name = prompt("Rename portfolio", current.name);
+  if (!name || !name.trim() || name.trim() === current.name) return;
+  try {
+    await api(`/portfolios/${current._id}`, { method: "PUT", body: JSON.stringify({ name: name.trim() }) });
+    await loadPortfolios();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document.getElementById("portfolio-delete").addEventListener("click", async () => {
+  const current = selectedPortfolio();
+  if (!current) return;
+  let query = "";
+  if (current.assetCount) {
+    // holdings stay with their owner, so only the owner's other portfolios can take them
+    const others = portfolios.filter((p) => p._id !== current._id && p.userId === current.userId);
+    const target = prompt(
+      `${current.name} holds ${current.assetCount} asset(s). Move them to which portfolio? ` +
+        `(${others.map((p) => p.name).join(", ")}) Leave empty to delete them with their transactions.`,
+      others[0].name
+    );
+    if (target === null) return;
+    const moveTo = others.find((p) => p.name.toLowerCase() === target.trim().toLowerCase());
+    if (target.trim() && !moveTo) return alert(`No portfolio named ${target}`);
+    if (!moveTo && !confirm(`Delete ${current.name} and everything in it?`)) return;
+    query = moveTo ? `?moveTo=${moveTo._id}` : "?force=true";
+  } else if (!confirm(`Delete ${current.name}?`)) {
     return;
   }
-  const data = await res.json();
-  if (!res.ok) throw new Error(data.error || "Request failed");
-  return data;
+  try {
+    await api(`/portfolios/${current._id}${query}`, { method: "DELETE" });
+    await switchPortfolio("all");
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+// === Sharing: members, invites and the activity log ===
+async function loadSharing() {
+  const current = selectedPortfolio();
+  if (!current) return;
+  const [{ role, members }, activity] = await Promise.all([
+    api(`/portfolios/${current._id}/members`),
+    api(`/portfolios/${current._id}/activity`),
+  ]);
+  const me = getUser();
+  const isOwner = role === "owner";
+  document.getElementById("invite-form").classList.toggle("hidden", !isOwner);
+
+  const list = document.getElementById("member-list");
+  list.innerHTML = "";
+  members.forEach((m) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center gap-2";
+    const self = m.userId === me.id;
+    const roleCell =
+      isOwner && !m.creator
+        ? `<select class="input w-auto member-role">${["viewer", "editor", "owner"]
+            .map((r) => `<option value="${r}" ${r === m.role ? "selected" : ""}>${r}</option>`)
+            .join("")}</select>`
+        : `<span class="text-gray-500">${m.role}</span>`;
+    li.innerHTML = `
+      <span class="flex-1">${escapeHtml(m.email)}${m.status === "pending" ? ' <span class="text-xs text-yellow-600">invited</span>' : ""}</span>
+      ${roleCell}
+      ${!m.creator && (isOwner || self) ? `<button class="btn-sm danger member-remove">${self ? "Leave" : "Remove"}</button>` : ""}`;
+    li.querySelector(".member-role")?.addEventListener("change", (e) =>
+      api(`/portfolios/${current._id}/members/${m._id}`, {
+        method: "PUT",
+        body: JSON.stringify({ role: e.target.value }),
+      })
+        .then(loadSharing)
+        .catch((err) => alert(err.message))
+    );
+    li.querySelector(".member-remove")?.addEventListener("click", async () => {
+      if (!confirm(self ? `Leave ${current.name}?` : `Remove ${m.email}?`)) return;
+      try {
+        await api(`/portfolios/${current._id}/members/${m._id}`, { method: "DELETE" });
+        if (self) await switchPortfolio("all");
+        else await loadSharing();
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+    list.appendChild(li);
+  });
+
+  document.getElementById("activity-list").innerHTML =
+    activity
+      .map(
+        (a) => `
+      <li>
+        <span class="text-gray-500">${new Date(a.createdAt).toLocaleString()}</span>
+        <span class="font-semibold">${escapeHtml(a.actor || "someone")}</span> ${escapeHtml(a.summary)}
+      </li>`
+      )
+      .join("") || '<li class="text-gray-500">No activity yet</li>';
+}
+
+document.getElementById("portfolio-sharing").addEventListener("toggle", (e) => {
+  if (e.target.open) loadSharing().catch((err) => console.error("Sharing error", err));
+});
+
+document.getElementById("invite-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById("invite-error");
+  errorEl.textContent = "";
+  try {
+    await api(`/portfolios/${portfolioId}/members`, {
+      method: "POST",
+      body: JSON.stringify({
+        email: document.getElementById("invite-email").value.trim(),
+        role: document.getElementById("invite-role").value,
+      }),
+    });
+    e.target.reset();
+    await loadSharing();
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+});
+
+// Invites waiting for the signed-in user
+async function loadInvites() {
+  const invites = await api("/portfolios/invites");
+  const list = document.getElementById("portfolio-invites");
+  list.innerHTML = "";
+  invites.forEach((i) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center gap-2 border rounded p-2";
+    li.innerHTML = `
+      <span class="flex-1">
+        ${escapeHtml(i.invitedBy || "Someone")} shared <b>${escapeHtml(i.portfolioName)}</b> with you as ${i.role}
+      </span>
+      <button class="btn-sm" data-decision="accept">Accept</button>
+      <button class="btn-sm danger" data-decision="decline">Decline</button>`;
+    li.querySelectorAll("button").forEach((btn) =>
+      btn.addEventListener("click", async () => {
+        try {
+          await api(`/portfolios/invites/${i._id}/${btn.dataset.decision}`, { method: "POST" });
+          if (btn.dataset.decision === "accept") await switchPortfolio(i.portfolioId);
+          await loadInvites();
+        } catch (err) {
+          alert(err.message);
+        }
+      })
+    );
+    list.appendChild(li);
+  });
+}
+
+// Consolidated view: one line per portfolio
+function renderBreakdown(list, currency) {
+  const el = document.getElementById("portfolio-breakdown");
+  el.classList.toggle("hidden", !list);
+  if (!list) return;
+  el.innerHTML = list
+    .map(
+      (p) => `
+      <li class="border rounded p-2">
+        <span class="font-semibold">${escapeHtml(p.name)}</span>
+        <span class="text-gray-500">${fmt(p.summary.totalCurrentValue, currency)}</span>
+        <span class="${p.summary.netPnL >= 0 ? "text-green-600" : "text-red-600"}">
+          ${p.summary.netPnL >= 0 ? "+" : ""}${fmt(p.summary.netPnL, currency)} (${pct(p.summary.netPnLPct)})
+        </span>
+      </li>`
+    )
+    .join("");
 }
 
 async function loadPortfolio() {
   const user = getUser();
   document.getElementById("user-email").textContent = user?.email || "";
-  const data = await api(`/portfolio/${user.id}`);
+  renderPortfolio(await api(scoped(`/portfolio/${user.id}`)));
+}
+
+// Shared by loadPortfolio and the live stream
+function renderPortfolio(data) {
+  currentAssets = data.assets;
+  document.getElementById("cost-method").value = data.costBasisMethod;
+  const baseSelect = document.getElementById("base-currency");
+  if (![...baseSelect.options].some((o) => o.value === data.currency)) {
+    baseSelect.add(new Option(data.currency, data.currency));
+  }
+  baseSelect.value = data.currency;
   renderSummary(data.summary, data.currency);
-  renderTable(data.assets, data.currency);
+  renderBreakdown(data.portfolios, data.currency);
   applyFilters(data.assets, data.currency);
   renderAllocation(data.assets, data.currency);
+  if (ledgerAsset) {
+    ledgerAsset = data.assets.find((a) => a._id === ledgerAsset._id) || ledgerAsset;
+    renderLotPicker();
+  }
 }
 
 function renderSummary(summary, currency) {
@@ -63,12 +349,19 @@ function renderSummary(summary, currency) {
     summary.totalCurrentValue,
     currency
   );
-  const sign = summary.netPnL >= 0 ? "+" : "";
-  document.getElementById("net-pnl").innerHTML = `
-    <span class="${
-      summary.netPnL >= 0 ? "text-green-600" : "text-red-600"
-    } font-semibold">${sign}${fmt(summary.netPnL, currency)}</span>
+  const signed = (n) => `
+    <span class="${n >= 0 ? "text-green-600" : "text-red-600"} font-semibold">${
+    n >= 0 ? "+" : ""
+  }${fmt(n, currency)}</span>`;
+  document.getElementById("unrealized-pnl").innerHTML = signed(summary.unrealizedPnL);
+  document.getElementById("realized-pnl").innerHTML = signed(summary.realizedPnL);
+  document.getElementById("net-pnl").innerHTML = `${signed(summary.netPnL)}
     <span class="text-gray-500">(${pct(summary.netPnLPct)})</span>`;
+  document.getElementById("income").textContent = fmt(summary.income, currency);
+  document.getElementById("total-return").textContent = `Total return ${fmt(
+    summary.totalReturn,
+    currency
+  )} (${pct(summary.totalReturnPct)})`;
 }
 
 function tr(a, currency) {
@@ -76,13 +369,24 @@ function tr(a, currency) {
   row.className = "border-b hover:bg-gray-100 dark:hover:bg-gray-700";
 
   row.innerHTML = `
-    <td class="py-2 pr-4 font-semibold">${a.symbol}</td>
+    <td class="py-2 pr-4 font-semibold">${escapeHtml(a.symbol)}${
+      a.tag
+        ? ` <span class="text-xs font-normal px-1 rounded bg-gray-200 dark:bg-gray-700">${escapeHtml(a.tag)}</span>`
+        : ""
+    }${
+      portfolioId === "all" && portfolios.length > 1
+        ? `<div class="text-xs font-normal text-gray-500">${escapeHtml(portfolioName(a.portfolioId))}</div>`
+        : ""
+    }</td>
     <td class="py-2 pr-4">${a.type.replace("_", " ")}</td>
     <td class="py-2 pr-4">${a.quantity}</td>
-    <td class="py-2 pr-4">${fmt(a.buyPrice, currency)}</td>
+    <td class="py-2 pr-4">${fmt(a.buyPrice, a.currency || currency)}</td>
     <td class="py-2 pr-4">${
       a.currentPrice
-        ? fmt(a.currentPrice, currency)
+        ? fmt(a.currentPrice, a.currency || currency) +
+          (a.priceStale
+            ? ` <span class="text-xs text-yellow-600" title="Last known price from ${new Date(a.priceAsOf).toLocaleString()}">stale</span>`
+            : "")
         : '<span class="text-gray-400">n/a</span>'
     }</td>
     <td class="py-2 pr-4">${fmt(a.invested, currency)}</td>
@@ -98,11 +402,17 @@ function tr(a, currency) {
           : "—"
       }
     </td>
+    <td class="py-2 pr-4 ${
+      a.realizedPnL >= 0 ? "text-green-600" : "text-red-600"
+    }">${a.realizedPnL ? fmt(a.realizedPnL, currency) : "—"}</td>
+    <td class="py-2 pr-4 returns-cell" data-id="${a._id}">${returnsCell(a._id)}</td>
     <td class="py-2 pr-4">
       <div class="flex justify-end items-center gap-2 whitespace-nowrap min-w-[220px]">
-        <button data-id="${a._id}" class="btn-sm edit">Edit</button>
+        <button data-id="${a._id}" class="btn-sm ledger">Ledger</button>
+        <button data-id="${a._id}" class="btn-sm tag">Tag</button>
         <button data-id="${a._id}" class="btn-sm danger delete">Delete</button>
-        <button data-symbol="${a.symbol}" class="btn-sm history">History</button>
+        <button data-symbol="${escapeHtml(a.symbol)}" data-type="${a.type}" data-coin-id="${escapeHtml(a.coinId)}"
+          class="btn-sm history">History</button>
       </div>
     </td>`;
   return row;
@@ -118,50 +428,215 @@ function renderTable(assets, currency) {
     .querySelectorAll(".delete")
     .forEach((btn) => btn.addEventListener("click", onDelete));
   tbody
-    .querySelectorAll(".edit")
+    .querySelectorAll(".tag")
+    .forEach((btn) =>
+      btn.addEventListener("click", () => onTag(assets.find((x) => x._id === btn.dataset.id)))
+    );
+  tbody
+    .querySelectorAll(".ledger")
     .forEach((btn) =>
       btn.addEventListener("click", () =>
-        onEdit(assets.find((x) => x._id === btn.dataset.id))
+        openLedger(assets.find((x) => x._id === btn.dataset.id))
       )
     );
   
   // FIX: Changed from .chart to .history
   tbody.querySelectorAll(".history").forEach((btn) =>
     btn.addEventListener("click", () => {
-      window.location.href = `history.html?symbol=${btn.dataset.symbol}`;
+      const params = new URLSearchParams({ symbol: btn.dataset.symbol, type: btn.dataset.type });
+      if (btn.dataset.coinId) params.set("coinId", btn.dataset.coinId);
+      window.location.href = `history.html?${params}`;
     })
   );
 }
 
 // === Portfolio Filters ===
+// the selected filter survives re-renders (live updates redraw the table)
+let activeFilter = "all";
 function applyFilters(assets, currency) {
+  const render = () =>
+    renderTable(
+      activeFilter === "all" ? assets : assets.filter((a) => a.type === activeFilter),
+      currency
+    );
   const filterButtons = document.querySelectorAll(".filter-btn");
   filterButtons.forEach((btn) => {
     btn.onclick = () => {
-      const type = btn.dataset.type;
-      const filtered =
-        type === "all" ? assets : assets.filter((a) => a.type === type);
-      renderTable(filtered, currency);
+      activeFilter = btn.dataset.type;
+      render();
     };
   });
+  render();
 }
 
 async function onDelete(e) {
   const id = e.currentTarget.dataset.id;
   if (!confirm("Delete this asset?")) return;
   await api(`/portfolio/${id}`, { method: "DELETE" });
+  await loadPortfolios();
   await loadPortfolio();
 }
 
-function onEdit(a) {
-  document.getElementById("asset-id").value = a._id;
-  document.getElementById("symbol").value = a.symbol;
-  document.getElementById("type").value = a.type;
-  document.getElementById("quantity").value = a.quantity;
-  document.getElementById("buyPrice").value = a.buyPrice;
+// Allocation bucket used by tag targets (blank clears it)
+async function onTag(a) {
+  const tag = prompt(`Tag for ${a.symbol} (e.g. core, satellite, bonds); leave empty to clear`, a.tag || "");
+  if (tag === null) return;
+  try {
+    await api(`/portfolio/${a._id}`, { method: "PUT", body: JSON.stringify({ tag: tag.trim() }) });
+    await loadPortfolio();
+    await loadTargets();
+  } catch (err) {
+    alert(err.message);
+  }
 }
 
-// Form submit (add or edit)
+// === Transaction Ledger ===
+let ledgerAsset = null;
+
+async function openLedger(a) {
+  ledgerAsset = a;
+  document.getElementById("ledger-symbol").textContent = a.symbol;
+  document.getElementById("ledger-panel").classList.remove("hidden");
+  renderLotPicker();
+  await loadLedger();
+}
+
+// Open lots of the selected asset, for specific-lot sells
+function renderLotPicker() {
+  const wrap = document.getElementById("txn-lots");
+  const inputs = document.getElementById("txn-lot-inputs");
+  const isSell = document.getElementById("txn-type").value === "sell";
+  const lots = ledgerAsset?.lots || [];
+  wrap.classList.toggle("hidden", !isSell || !lots.length);
+  inputs.innerHTML = "";
+  lots.forEach((l) => {
+    const div = document.createElement("div");
+    div.innerHTML = `
+      <label class="label">${new Date(l.date).toLocaleDateString()} · ${l.quantity} left</label>
+      <input type="number" step="any" min="0" max="${l.quantity}"
+        class="input lot-qty" data-lot="${l.transactionId}" />`;
+    inputs.appendChild(div);
+  });
+}
+
+document.getElementById("txn-type").addEventListener("change", renderLotPicker);
+
+async function loadLedger() {
+  const txns = await api(`/transactions?assetId=${ledgerAsset._id}`);
+  const tbody = document.getElementById("txn-rows");
+  tbody.innerHTML = "";
+  const num = (n) => (n ? n : "—");
+  txns.forEach((t) => {
+    const row = document.createElement("tr");
+    row.className = "border-b";
+    row.innerHTML = `
+      <td class="py-2 pr-4">${new Date(t.date).toLocaleDateString()}</td>
+      <td class="py-2 pr-4 font-semibold">${t.type}</td>
+      <td class="py-2 pr-4">${num(t.quantity)}</td>
+      <td class="py-2 pr-4">${num(t.price)}</td>
+      <td class="py-2 pr-4">${num(t.amount)}</td>
+      <td class="py-2 pr-4">${num(t.fees)}</td>
+      <td class="py-2 pr-4">${num(t.ratio)}</td>
+      <td class="py-2 pr-4">${escapeHtml(t.notes)}</td>
+      <td class="py-2 pr-4 text-right">
+        <button data-id="${t._id}" class="btn-sm danger undo">Undo</button>
+      </td>`;
+    tbody.appendChild(row);
+  });
+  tbody.querySelectorAll(".undo").forEach((btn) =>
+    btn.addEventListener("click", async () => {
+      if (!confirm("Undo this transaction?")) return;
+      try {
+        await api(`/transactions/${btn.dataset.id}`, { method: "DELETE" });
+        await loadLedger();
+        await loadPortfolio();
+      } catch (err) {
+        document.getElementById("txn-error").textContent = err.message;
+      }
+    })
+  );
+}
+
+document.getElementById("ledger-sync").addEventListener("click", async () => {
+  const errorEl = document.getElementById("txn-error");
+  errorEl.textContent = "";
+  try {
+    const { added, skipped } = await api("/transactions/sync-events", {
+      method: "POST",
+      body: JSON.stringify({ assetId: ledgerAsset._id }),
+    });
+    errorEl.textContent = `Added ${added.length} event(s), ${skipped} already recorded`;
+    await loadLedger();
+    await loadPortfolio();
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+});
+
+document.getElementById("merger-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById("txn-error");
+  errorEl.textContent = "";
+  const toSymbol = document.getElementById("merger-symbol").value.trim().toUpperCase();
+  if (!confirm(`Convert the whole ${ledgerAsset.symbol} holding into ${toSymbol}?`)) return;
+  try {
+    await api("/transactions/merger", {
+      method: "POST",
+      body: JSON.stringify({
+        fromAssetId: ledgerAsset._id,
+        toSymbol,
+        toType: document.getElementById("merger-type").value,
+        ratio: Number(document.getElementById("merger-ratio").value),
+        date: document.getElementById("merger-date").value || undefined,
+      }),
+    });
+    e.target.reset();
+    await loadLedger();
+    await loadPortfolio();
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+});
+
+document.getElementById("ledger-close").addEventListener("click", () => {
+  ledgerAsset = null;
+  document.getElementById("ledger-panel").classList.add("hidden");
+  document.getElementById("txn-lots").classList.add("hidden");
+});
+
+const txnForm = document.getElementById("txn-form");
+txnForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  document.getElementById("txn-error").textContent = "";
+  const optional = (id) => {
+    const v = document.getElementById(id).value;
+    return v === "" ? undefined : Number(v);
+  };
+  const payload = {
+    assetId: ledgerAsset._id,
+    type: document.getElementById("txn-type").value,
+    date: document.getElementById("txn-date").value || undefined,
+    quantity: optional("txn-quantity"),
+    price: optional("txn-price"),
+    amount: optional("txn-amount"),
+    fees: optional("txn-fees"),
+    ratio: optional("txn-ratio"),
+  };
+  const lots = [...document.querySelectorAll("#txn-lot-inputs .lot-qty")]
+    .filter((i) => i.value !== "" && Number(i.value) > 0)
+    .map((i) => ({ transactionId: i.dataset.lot, quantity: Number(i.value) }));
+  if (payload.type === "sell" && lots.length) payload.lots = lots;
+  try {
+    await api("/transactions", { method: "POST", body: JSON.stringify(payload) });
+    txnForm.reset();
+    await loadLedger();
+    await loadPortfolio();
+  } catch (err) {
+    document.getElementById("txn-error").textContent = err.message;
+  }
+});
+
+// Form submit (new asset, or another buy of an existing one)
 const form = document.getElementById("asset-form");
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
@@ -169,24 +644,24 @@ form.addEventListener("submit", async (e) => {
   const payload = {
     symbol: document.getElementById("symbol").value.trim().toUpperCase(),
     type: document.getElementById("type").value,
+    coinId: document.getElementById("coinId").value || undefined,
     quantity: Number(document.getElementById("quantity").value),
     buyPrice: Number(document.getElementById("buyPrice").value),
+    date: document.getElementById("buyDate").value || undefined,
+    currency:
+      document.getElementById("buyCurrency").value.trim().toUpperCase() ||
+      undefined,
+    // the consolidated view adds to the first (default) portfolio
+    portfolioId: portfolioId === "all" ? undefined : portfolioId,
   };
-  const id = document.getElementById("asset-id").value;
   try {
-    if (id) {
-      await api(`/portfolio/${id}`, {
-        method: "PUT",
-        body: JSON.stringify(payload),
-      });
-    } else {
-      await api("/portfolio/add", {
-        method: "POST",
-        body: JSON.stringify(payload),
-      });
-    }
+    await api("/portfolio/add", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    });
     form.reset();
-    document.getElementById("asset-id").value = "";
+    document.getElementById("coinId").value = "";
+    await loadPortfolios();
     await loadPortfolio();
   } catch (err) {
     document.getElementById("form-error").textContent = err.message;
@@ -196,17 +671,210 @@ form.addEventListener("submit", async (e) => {
 // Reset form
 document.getElementById("reset-form").addEventListener("click", () => {
   form.reset();
-  document.getElementById("asset-id").value = "";
+  document.getElementById("coinId").value = "";
 });
 
 // Refresh prices
 document.getElementById("refresh").addEventListener("click", loadPortfolio);
 
+// Exports
+["holdings", "transactions"].forEach((kind) =>
+  document.getElementById(`export-${kind}`).addEventListener("click", () => {
+    const format = document.getElementById("export-format").value;
+    download(scoped(`/export/${kind}?format=${format}`)).catch((err) => alert(err.message));
+  })
+);
+
+// Cost-basis method and base currency (saved as user preferences)
+async function savePreference(prefs) {
+  try {
+    await api("/auth/preferences", {
+      method: "PUT",
+      body: JSON.stringify(prefs),
+    });
+    await loadPortfolio();
+  } catch (err) {
+    alert(err.message);
+  }
+}
+document
+  .getElementById("cost-method")
+  .addEventListener("change", (e) => savePreference({ costBasisMethod: e.target.value }));
+// a single portfolio has its own base currency; the consolidated view uses the user's
+document.getElementById("base-currency").addEventListener("change", async (e) => {
+  if (portfolioId === "all") return savePreference({ baseCurrency: e.target.value });
+  try {
+    await api(`/portfolios/${portfolioId}`, {
+      method: "PUT",
+      body: JSON.stringify({ baseCurrency: e.target.value }),
+    });
+    await loadPortfolios();
+    await loadPortfolio();
+    await loadReturns();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
 // Logout
 const logout = document.getElementById("logout");
 logout.addEventListener("click", () => {
-  localStorage.clear();
-  window.location.href = "/";
+  if (stream) stream.close();
+  logoutSession();
+});
+
+// === Sessions (signed-in devices) ===
+async function loadSessions() {
+  const sessions = await api("/auth/sessions");
+  const list = document.getElementById("session-list");
+  list.innerHTML = "";
+  sessions.forEach((s) => {
+    const li = document.createElement("li");
+    li.className = "flex items-center gap-2";
+    li.innerHTML = `
+      <span class="flex-1">
+        ${escapeHtml(s.device || "Unknown device")}${s.current ? ' <span class="text-xs text-green-600">this device</span>' : ""}
+        <div class="text-xs text-gray-500">${escapeHtml(s.ip)} · last seen ${new Date(s.lastSeenAt).toLocaleString()}</div>
+      </span>
+      <button class="btn-sm danger">${s.current ? "Sign out" : "Revoke"}</button>`;
+    li.querySelector("button").addEventListener("click", async () => {
+      if (s.current) return logout.click();
+      try {
+        await api(`/auth/sessions/${s.id}`, { method: "DELETE" });
+        await loadSessions();
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+    list.appendChild(li);
+  });
+}
+
+document.getElementById("sessions").addEventListener("click", () => {
+  const panel = document.getElementById("sessions-panel");
+  panel.classList.toggle("hidden");
+  if (panel.classList.contains("hidden")) return;
+  loadSessions().catch((err) => alert(err.message));
+  loadTwoFactor().catch((err) => alert(err.message));
+});
+
+document.getElementById("password-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const message = document.getElementById("password-message");
+  message.textContent = "";
+  try {
+    await api("/auth/change-password", {
+      method: "POST",
+      body: JSON.stringify({
+        currentPassword: document.getElementById("current-password").value,
+        newPassword: document.getElementById("new-password").value,
+      }),
+    });
+    e.target.reset();
+    message.textContent = "Password changed; your other devices were signed out.";
+    await loadSessions();
+  } catch (err) {
+    message.textContent = err.message;
+  }
+});
+
+// === Two-factor authentication ===
+async function loadTwoFactor() {
+  const status = await api("/auth/2fa");
+  document.getElementById("twofa-status").textContent = status.enabled
+    ? `On since ${new Date(status.enabledAt).toLocaleDateString()} · ${status.recoveryCodesLeft} recovery codes left`
+    : "Off. Turn it on to require a code from your phone when signing in.";
+  document.getElementById("twofa-setup").classList.toggle("hidden", status.enabled);
+  document.getElementById("twofa-manage-form").classList.toggle("hidden", !status.enabled);
+  if (status.enabled) document.getElementById("twofa-enroll").classList.add("hidden");
+}
+
+function showRecoveryCodes(codes) {
+  document.getElementById("twofa-recovery-codes").textContent = codes.join("\n");
+  document.getElementById("twofa-recovery").classList.remove("hidden");
+}
+
+document.getElementById("twofa-setup").addEventListener("click", async () => {
+  const message = document.getElementById("twofa-message");
+  message.textContent = "";
+  try {
+    const setup = await api("/auth/2fa/setup", { method: "POST" });
+    document.getElementById("twofa-qr").src = setup.qrDataUrl;
+    document.getElementById("twofa-secret").textContent = setup.secret;
+    document.getElementById("twofa-enroll").classList.remove("hidden");
+    document.getElementById("twofa-enable-code").focus();
+  } catch (err) {
+    message.textContent = err.message;
+  }
+});
+
+document.getElementById("twofa-enable-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const message = document.getElementById("twofa-message");
+  message.textContent = "";
+  try {
+    const { recoveryCodes } = await api("/auth/2fa/enable", {
+      method: "POST",
+      body: JSON.stringify({ code: document.getElementById("twofa-enable-code").value.trim() }),
+    });
+    e.target.reset();
+    showRecoveryCodes(recoveryCodes);
+    message.textContent = "Two-factor authentication is on.";
+    await loadTwoFactor();
+  } catch (err) {
+    message.textContent = err.message;
+  }
+});
+
+// Both actions re-check the password and a code; a 6-digit value is an app code, anything else a recovery code
+document.getElementById("twofa-manage-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const disable = e.submitter?.id === "twofa-disable";
+  if (disable && !confirm("Turn off two-factor authentication?")) return;
+  const message = document.getElementById("twofa-message");
+  message.textContent = "";
+  const value = document.getElementById("twofa-manage-code").value.trim();
+  try {
+    const data = await api(disable ? "/auth/2fa/disable" : "/auth/2fa/recovery-codes", {
+      method: "POST",
+      body: JSON.stringify({
+        password: document.getElementById("twofa-password").value,
+        ...(/^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value }),
+      }),
+    });
+    e.target.reset();
+    document.getElementById("twofa-recovery").classList.add("hidden");
+    if (disable) message.textContent = "Two-factor authentication is off.";
+    else showRecoveryCodes(data.recoveryCodes);
+    await loadTwoFactor();
+  } catch (err) {
+    message.textContent = err.message;
+  }
+});
+
+// Nag until the email address is confirmed
+async function checkVerification() {
+  const me = await api("/auth/me");
+  localStorage.setItem(
+    "user",
+    JSON.stringify({ id: me.id, email: me.email, emailVerified: me.emailVerified, twoFactorEnabled: me.twoFactorEnabled })
+  );
+  document.getElementById("verify-banner").classList.toggle("hidden", me.emailVerified);
+}
+document.getElementById("resend-verify").addEventListener("click", async (e) => {
+  await api("/auth/resend-verification", {
+    method: "POST",
+    body: JSON.stringify({ email: getUser().email }),
+  }).catch(() => {});
+  e.target.textContent = "Sent; check your inbox";
+  e.target.disabled = true;
+});
+
+document.getElementById("logout-all").addEventListener("click", async () => {
+  if (!confirm("Sign out on every device, including this one?")) return;
+  if (stream) stream.close();
+  await api("/auth/logout-all", { method: "POST" }).catch(() => {});
+  logoutSession();
 });
 
 // Allocation chart
@@ -220,7 +888,14 @@ function renderAllocation(assets, currency) {
   }, {});
   const labels = Object.keys(groups).map((k) => k.replace("_", " "));
   const values = Object.values(groups);
-  if (allocChart) allocChart.destroy();
+  if (allocChart) {
+    // update in place so live prices don't replay the chart animation
+    allocChart.data.labels = labels;
+    allocChart.data.datasets[0].data = values;
+    allocChart.options.plugins.title.text = `Allocation by Type (${currency})`;
+    allocChart.update("none");
+    return;
+  }
   allocChart = new Chart(ctx, {
     type: "doughnut",
     data: { labels, datasets: [{ data: values }] },
@@ -233,13 +908,651 @@ function renderAllocation(assets, currency) {
   });
 }
 
-// Guard route: redirect to login if no token
-(function init() {
-  if (!getToken() || !getUser()) {
-    window.location.href = "/";
+// === Returns (TWR / XIRR) ===
+let assetReturns = {};
+
+function returnsCell(id) {
+  const r = assetReturns[id];
+  if (!r) return "—";
+  return `${pct(r.twrPct)} / ${pct(r.xirrPct)}`;
+}
+
+function renderReturns(data) {
+  const signed = (n) =>
+    n === null || n === undefined
+      ? "—"
+      : `<span class="${n >= 0 ? "text-green-600" : "text-red-600"} font-semibold">${
+          n >= 0 ? "+" : ""
+        }${pct(n)}</span>`;
+  const note = data.portfolio.incomplete
+    ? ' <span class="text-xs opacity-70">(partial)</span>'
+    : "";
+  document.getElementById("twr").innerHTML = signed(data.portfolio.twrPct) + note;
+  document.getElementById("xirr").innerHTML = signed(data.portfolio.xirrPct) + note;
+  assetReturns = Object.fromEntries(data.assets.map((a) => [a.assetId, a]));
+  document.querySelectorAll(".returns-cell").forEach((td) => {
+    td.textContent = returnsCell(td.dataset.id);
+  });
+}
+
+async function loadReturns() {
+  const period = document.getElementById("returns-period").value;
+  renderReturns(await api(scoped(`/portfolio/returns?period=${period}`)));
+}
+document.getElementById("returns-period").addEventListener("change", () =>
+  loadReturns().catch((err) => console.error("Returns error", err))
+);
+
+// === Target allocation + rebalancing ===
+let allocationTarget = null;
+
+// Group names to suggest for the chosen grouping, from the holdings on screen
+function targetKeys(groupBy) {
+  const keys = currentAssets.map((a) =>
+    groupBy === "symbol" ? a.symbol : groupBy === "tag" ? a.tag || "untagged" : a.type
+  );
+  if (groupBy === "type") keys.push("stock", "mutual_fund", "crypto", "commodity");
+  return [...new Set(keys)].sort();
+}
+
+function addTargetRow(key = "", weight = "") {
+  const row = document.createElement("div");
+  row.className = "flex gap-2 items-center target-row";
+  row.innerHTML = `
+    <input class="input target-key" list="target-keys" placeholder="Group" required />
+    <input class="input w-24 target-weight" type="number" min="0" max="100" step="any" placeholder="%" required />
+    <span>%</span>
+    <button type="button" class="btn-sm danger">✕</button>`;
+  row.querySelector(".target-key").value = key;
+  row.querySelector(".target-weight").value = weight;
+  row.querySelector("button").addEventListener("click", () => {
+    row.remove();
+    updateTargetTotal();
+  });
+  row.querySelector(".target-weight").addEventListener("input", updateTargetTotal);
+  document.getElementById("target-rows").appendChild(row);
+  updateTargetTotal();
+}
+
+function readTargetRows() {
+  return [...document.querySelectorAll(".target-row")].map((row) => ({
+    key: row.querySelector(".target-key").value.trim(),
+    weight: Number(row.querySelector(".target-weight").value),
+  }));
+}
+
+function updateTargetTotal() {
+  const total = readTargetRows().reduce((sum, t) => sum + (t.weight || 0), 0);
+  const el = document.getElementById("target-total");
+  el.textContent = `Total ${total.toFixed(2)}%`;
+  el.className = `text-sm ${Math.abs(total - 100) < 0.01 ? "text-green-600" : "text-red-600"}`;
+}
+
+function fillTargetKeys() {
+  document.getElementById("target-keys").innerHTML = targetKeys(document.getElementById("target-groupby").value)
+    .map((k) => `<option value="${escapeHtml(k)}"></option>`)
+    .join("");
+}
+
+async function loadTargets() {
+  const data = await api(scoped("/allocation"));
+  allocationTarget = data.target;
+  const canEdit = data.role !== "viewer";
+  document.getElementById("target-scope").textContent =
+    portfolioId === "all" ? "All your portfolios" : canEdit ? "" : "Read only (viewer)";
+  document.getElementById("target-groupby").value = data.target.groupBy;
+  document.getElementById("target-threshold").value = data.target.sellThresholdPct;
+  document.getElementById("target-min-trade").value = data.target.minTradeValue;
+  document.getElementById("target-rows").innerHTML = "";
+  data.target.targets.forEach((t) => addTargetRow(t.key, t.weight));
+  if (!data.target.targets.length) addTargetRow();
+  document
+    .querySelectorAll("#target-form input, #target-form select, #target-form button")
+    .forEach((el) => (el.disabled = !canEdit));
+  document.getElementById("target-clear").classList.toggle("hidden", !data.target._id);
+  fillTargetKeys();
+  renderDrift(data.groups, data.currency, data.unpriced);
+  document.getElementById("rebalance-plan").innerHTML = "";
+}
+
+function renderDrift(groups, currency, unpriced = []) {
+  const tbody = document.getElementById("drift-rows");
+  const hasTargets = allocationTarget?.targets.length > 0;
+  tbody.innerHTML = groups
+    .map(
+      (g) => `
+      <tr class="border-b">
+        <td class="py-1 pr-4">${escapeHtml(g.key.replace("_", " "))}</td>
+        <td class="py-1 pr-4">${fmt(g.currentValue, currency)}</td>
+        <td class="py-1 pr-4">${pct(g.currentPct)}</td>
+        <td class="py-1 pr-4">${hasTargets ? pct(g.targetPct) : "—"}</td>
+        <td class="py-1 pr-4 ${
+          !hasTargets
+            ? ""
+            : Math.abs(g.driftPct) > allocationTarget.sellThresholdPct
+            ? "text-red-600 font-semibold"
+            : "text-gray-500"
+        }">${hasTargets ? `${g.driftPct >= 0 ? "+" : ""}${g.driftPct.toFixed(2)} pts` : "—"}</td>
+      </tr>`
+    )
+    .join("");
+  if (unpriced.length)
+    tbody.innerHTML += `<tr><td colspan="5" class="py-1 text-xs text-yellow-600">Left out (no price): ${escapeHtml(
+      unpriced.join(", ")
+    )}</td></tr>`;
+}
+
+function renderPlan(plan) {
+  const el = document.getElementById("rebalance-plan");
+  if (!plan.trades.length) {
+    el.innerHTML = '<p class="text-gray-500">Nothing to trade: every group is within its band.</p>';
+    return;
+  }
+  const qty = (t) => (t.quantity === null ? "—" : t.quantity);
+  el.innerHTML = `
+    <table class="w-full">
+      <thead>
+        <tr class="text-left border-b">
+          <th class="py-1 pr-4">Action</th>
+          <th class="py-1 pr-4">Symbol</th>
+          <th class="py-1 pr-4">Group</th>
+          <th class="py-1 pr-4">Quantity</th>
+          <th class="py-1 pr-4">Price</th>
+          <th class="py-1 pr-4">Value</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${plan.trades
+          .map(
+            (t) => `
+          <tr class="border-b">
+            <td class="py-1 pr-4 font-semibold ${t.action === "buy" ? "text-green-600" : "text-red-600"}">${t.action}</td>
+            <td class="py-1 pr-4">${escapeHtml(t.symbol) || `<span class="text-gray-500">${t.note}</span>`}</td>
+            <td class="py-1 pr-4">${escapeHtml(t.group.replace("_", " "))}</td>
+            <td class="py-1 pr-4">${qty(t)}</td>
+            <td class="py-1 pr-4">${t.price ? fmt(t.price, t.priceCurrency) : "—"}</td>
+            <td class="py-1 pr-4">${fmt(t.value, plan.currency)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <p class="mt-2">Sell ${fmt(plan.summary.sold, plan.currency)} · buy ${fmt(plan.summary.bought, plan.currency)} ·
+      cash left ${fmt(plan.summary.cashLeft, plan.currency)}</p>`;
+  renderDrift(plan.groups, plan.currency, plan.unpriced);
+}
+
+document.getElementById("target-add-row").addEventListener("click", () => addTargetRow());
+document.getElementById("target-groupby").addEventListener("change", () => {
+  // keys don't carry over between groupings
+  document.getElementById("target-rows").innerHTML = "";
+  addTargetRow();
+  fillTargetKeys();
+});
+
+document.getElementById("target-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const error = document.getElementById("target-error");
+  error.textContent = "";
+  try {
+    await api(scoped("/allocation"), {
+      method: "PUT",
+      body: JSON.stringify({
+        groupBy: document.getElementById("target-groupby").value,
+        targets: readTargetRows(),
+        sellThresholdPct: Number(document.getElementById("target-threshold").value),
+        minTradeValue: Number(document.getElementById("target-min-trade").value),
+      }),
+    });
+    await loadTargets();
+  } catch (err) {
+    error.textContent = err.message;
+  }
+});
+
+document.getElementById("target-clear").addEventListener("click", async () => {
+  if (!confirm("Remove the allocation targets?")) return;
+  try {
+    await api(scoped("/allocation"), { method: "DELETE" });
+    await loadTargets();
+  } catch (err) {
+    document.getElementById("target-error").textContent = err.message;
+  }
+});
+
+document.getElementById("rebalance-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const contribution = Number(document.getElementById("rebalance-contribution").value) || 0;
+  try {
+    renderPlan(await api(scoped(`/allocation/rebalance?contribution=${contribution}`)));
+  } catch (err) {
+    document.getElementById("rebalance-plan").innerHTML = `<p class="err">${escapeHtml(err.message)}</p>`;
+  }
+});
+
+// === Risk analytics ===
+const ratio = (n) => (n === null || n === undefined ? "—" : n.toFixed(2));
+
+// -1 (red) .. 0 (blank) .. 1 (green)
+function correlationCell(r) {
+  if (r === null) return '<td class="px-2 py-1 text-center opacity-50">—</td>';
+  const color = r >= 0 ? `rgba(22, 163, 74, ${Math.abs(r) * 0.6})` : `rgba(220, 38, 38, ${Math.abs(r) * 0.6})`;
+  return `<td class="px-2 py-1 text-center" style="background:${color}">${r.toFixed(2)}</td>`;
+}
+
+function renderRisk(data) {
+  const p = data.portfolio;
+  const set = (id, text) => (document.getElementById(id).textContent = text);
+  set("risk-volatility", p.insufficient ? "—" : pct(p.volatilityPct));
+  set("risk-drawdown", p.insufficient ? "—" : pct(-p.maxDrawdownPct));
+  const day = (key) => new Date(key).toLocaleDateString();
+  set("risk-drawdown-dates", p.drawdownPeak ? `${day(p.drawdownPeak)} → ${day(p.drawdownTrough)}` : "");
+  set("risk-sharpe", p.insufficient ? "—" : ratio(p.sharpe));
+  set("risk-sortino", p.insufficient ? "—" : ratio(p.sortino));
+  set("risk-var", p.insufficient ? "—" : pct(p.varPct));
+  set(
+    "risk-var-value",
+    p.insufficient ? "Not enough history yet" : `≈ ${fmt(p.varValue, data.currency)} at ${data.confidence}%`
+  );
+
+  document.getElementById("risk-rows").innerHTML = data.holdings
+    .map((h) =>
+      h.insufficient
+        ? `<tr class="border-b">
+            <td class="py-1 pr-4">${escapeHtml(h.symbol)}</td>
+            <td class="py-1 pr-4 opacity-70" colspan="5">Not enough history (${h.observations} days)</td>
+          </tr>`
+        : `<tr class="border-b">
+            <td class="py-1 pr-4">${escapeHtml(h.symbol)}</td>
+            <td class="py-1 pr-4">${pct(h.volatilityPct)}</td>
+            <td class="py-1 pr-4 text-red-600">${pct(-h.maxDrawdownPct)}</td>
+            <td class="py-1 pr-4">${ratio(h.sharpe)}</td>
+            <td class="py-1 pr-4">${ratio(h.sortino)}</td>
+            <td class="py-1 pr-4">
+              ${pct(h.varPct)} <span class="text-xs opacity-70">${fmt(h.varValue, data.currency)}</span>
+            </td>
+          </tr>`
+    )
+    .join("");
+
+  const { symbols, matrix } = data.correlation;
+  document.getElementById("risk-correlation").innerHTML =
+    symbols.length < 2
+      ? ""
+      : `<tr><th></th>${symbols.map((s) => `<th class="px-2 py-1">${escapeHtml(s)}</th>`).join("")}</tr>` +
+        matrix
+          .map(
+            (row, i) =>
+              `<tr><th class="px-2 py-1 text-left">${escapeHtml(symbols[i])}</th>${row.map(correlationCell).join("")}</tr>`
+          )
+          .join("");
+
+  document.getElementById("risk-note").textContent = [
+    `Daily time-weighted returns since ${new Date(data.start).toLocaleDateString()}; annualized;`,
+    `risk-free rate ${pct(data.riskFreeRatePct)}; historical VaR is the daily loss exceeded on ${100 - data.confidence}% of days.`,
+    ...data.skipped.map((s) => `${s.symbol} left out: ${s.error}.`),
+  ].join(" ");
+}
+
+async function loadRisk() {
+  const range = document.getElementById("risk-range").value;
+  const confidence = document.getElementById("risk-confidence").value;
+  const error = document.getElementById("risk-error");
+  error.textContent = "";
+  try {
+    renderRisk(await api(scoped(`/portfolio/risk?range=${range}&confidence=${confidence}`)));
+  } catch (err) {
+    error.textContent = err.message;
+  }
+}
+document.getElementById("risk-range").addEventListener("change", loadRisk);
+document.getElementById("risk-confidence").addEventListener("change", loadRisk);
+
+// === CSV Import ===
+let importMapping = null;
+
+async function loadImportPresets() {
+  const { presets } = await api("/portfolio/import/presets");
+  const select = document.getElementById("import-preset");
+  presets.forEach((p) => select.add(new Option(p.label, p.id)));
+}
+
+async function runImport(dryRun) {
+  const status = document.getElementById("import-status");
+  const file = document.getElementById("import-file").files[0];
+  if (!file) {
+    status.textContent = "Choose a CSV file first";
     return;
   }
-  loadPortfolio().catch((err) => alert(err.message));
+  const body = {
+    csv: await file.text(),
+    preset: document.getElementById("import-preset").value || undefined,
+    defaultType: document.getElementById("import-type").value || undefined,
+    decimal: document.getElementById("import-decimal").value || undefined,
+    mapping: importMapping || undefined,
+    portfolioId: portfolioId === "all" ? undefined : portfolioId,
+    dryRun,
+  };
+  status.textContent = dryRun ? "Validating…" : "Importing…";
+  try {
+    const data = await api("/portfolio/import", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    if (!dryRun) {
+      status.textContent = `Imported ${data.transactionsCreated} transaction(s), ${data.assetsCreated} new asset(s).`;
+      document.getElementById("import-commit").disabled = true;
+      document.getElementById("import-rows").innerHTML = "";
+      document.getElementById("import-mapping").classList.add("hidden");
+      importMapping = null;
+      await loadPortfolios();
+      await loadPortfolio();
+      return;
+    }
+    renderImportPreview(data);
+  } catch (err) {
+    status.textContent = err.message;
+  }
+}
+
+function renderImportPreview(data) {
+  importMapping = data.mapping;
+
+  // Column mapping step: one select per field, options are the file's headers
+  const mappingEl = document.getElementById("import-mapping");
+  mappingEl.innerHTML = "";
+  data.fields.forEach((field) => {
+    const wrap = document.createElement("div");
+    const options = ["", ...data.headers]
+      .map(
+        (h) =>
+          `<option value="${escapeHtml(h)}" ${data.mapping[field] === h ? "selected" : ""}>${escapeHtml(h) || "—"}</option>`
+      )
+      .join("");
+    wrap.innerHTML = `<label class="label">${field}</label>
+      <select class="input" data-field="${field}">${options}</select>`;
+    wrap.querySelector("select").addEventListener("change", (e) => {
+      importMapping = { ...importMapping, [field]: e.target.value || undefined };
+      runImport(true);
+    });
+    mappingEl.appendChild(wrap);
+  });
+  mappingEl.classList.remove("hidden");
+
+  const tbody = document.getElementById("import-rows");
+  tbody.innerHTML = "";
+  data.rows.forEach((r) => {
+    const row = document.createElement("tr");
+    row.className = "border-b";
+    const d = r.data || {};
+    row.innerHTML = r.ok
+      ? `<td class="py-1 pr-4">${r.line}</td>
+        <td class="py-1 pr-4 text-green-600">✔</td>
+        <td class="py-1 pr-4 font-semibold">${escapeHtml(d.symbol)}</td>
+        <td class="py-1 pr-4">${d.type.replace("_", " ")}</td>
+        <td class="py-1 pr-4">${d.side}</td>
+        <td class="py-1 pr-4">${new Date(d.date).toLocaleDateString()}</td>
+        <td class="py-1 pr-4">${d.quantity ?? ""}</td>
+        <td class="py-1 pr-4">${d.price ?? d.amount ?? ""}</td>`
+      : `<td class="py-1 pr-4">${r.line}</td>
+        <td class="py-1 pr-4 text-red-600">✘</td>
+        <td class="py-1 pr-4 text-red-600" colspan="6">${escapeHtml(r.error)}</td>`;
+    tbody.appendChild(row);
+  });
+
+  const missing = data.missingColumns.length
+    ? ` Missing columns: ${data.missingColumns.join(", ")}.`
+    : "";
+  document.getElementById("import-status").textContent =
+    `${data.valid} valid, ${data.invalid} with errors.${missing}` +
+    (data.invalid ? " Fix the file or mapping before importing." : "");
+  document.getElementById("import-commit").disabled = !(data.valid && !data.invalid);
+}
+
+document.getElementById("import-preview").addEventListener("click", () => runImport(true));
+document.getElementById("import-commit").addEventListener("click", () => runImport(false));
+document.getElementById("import-decimal").addEventListener("change", () => {
+  if (document.getElementById("import-file").files[0]) runImport(true);
+});
+["import-file", "import-preset"].forEach((id) =>
+  document.getElementById(id).addEventListener("change", () => {
+    importMapping = null; // new file / preset: start from its default mapping
+    document.getElementById("import-commit").disabled = true;
+  })
+);
+
+// === Price Alerts ===
+const ALERT_LABELS = {
+  price_above: (a) => `price ≥ ${a.threshold}`,
+  price_below: (a) => `price ≤ ${a.threshold}`,
+  day_move_pct: (a) => `daily move ≥ ±${Math.abs(a.threshold)}%`,
+  pnl_pct_above: (a) => `holding P/L ≥ ${a.threshold}%`,
+  pnl_pct_below: (a) => `holding P/L ≤ ${a.threshold}%`,
+};
+
+async function loadAlerts() {
+  const alerts = await api("/alerts");
+  const tbody = document.getElementById("alert-rows");
+  tbody.innerHTML = "";
+  alerts.forEach((a) => {
+    const row = document.createElement("tr");
+    row.className = "border-b";
+    const status = a.active
+      ? "Watching"
+      : `Triggered ${a.triggeredAt ? new Date(a.triggeredAt).toLocaleString() : ""}`;
+    row.innerHTML = `
+      <td class="py-2 pr-4 font-semibold">${escapeHtml(a.symbol)}</td>
+      <td class="py-2 pr-4">${ALERT_LABELS[a.kind](a)}</td>
+      <td class="py-2 pr-4">${a.channels.join(", ")}</td>
+      <td class="py-2 pr-4">${status}${
+      a.lastError ? ` <span class="text-red-600" title="${escapeHtml(a.lastError)}">⚠</span>` : ""
+    }</td>
+      <td class="py-2 pr-4 text-right whitespace-nowrap">
+        ${a.active ? "" : `<button data-id="${a._id}" class="btn-sm rearm">Re-arm</button>`}
+        <button data-id="${a._id}" class="btn-sm danger remove-alert">Delete</button>
+      </td>`;
+    tbody.appendChild(row);
+  });
+  tbody.querySelectorAll(".rearm").forEach((btn) =>
+    btn.addEventListener("click", async () => {
+      await api(`/alerts/${btn.dataset.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ active: true }),
+      });
+      await loadAlerts();
+    })
+  );
+  tbody.querySelectorAll(".remove-alert").forEach((btn) =>
+    btn.addEventListener("click", async () => {
+      if (!confirm("Delete this alert?")) return;
+      await api(`/alerts/${btn.dataset.id}`, { method: "DELETE" });
+      await loadAlerts();
+    })
+  );
+}
+
+document.querySelectorAll(".alert-channel").forEach((box) =>
+  box.addEventListener("change", () => {
+    const webhook = document.querySelector('.alert-channel[value="webhook"]').checked;
+    document.getElementById("alert-webhook").classList.toggle("hidden", !webhook);
+  })
+);
+
+const alertForm = document.getElementById("alert-form");
+alertForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById("alert-error");
+  errorEl.textContent = "";
+  const symbol = document.getElementById("alert-symbol").value.trim().toUpperCase();
+  const assetType = document.getElementById("alert-asset-type").value;
+  const kind = document.getElementById("alert-kind").value;
+  const payload = {
+    symbol,
+    assetType,
+    kind,
+    threshold: Number(document.getElementById("alert-threshold").value),
+    channels: [...document.querySelectorAll(".alert-channel:checked")].map((c) => c.value),
+    webhookUrl: document.getElementById("alert-webhook").value.trim() || undefined,
+  };
+  if (kind.startsWith("pnl_")) {
+    const holding = currentAssets.find((a) => a.symbol === symbol && a.type === assetType);
+    if (!holding) {
+      errorEl.textContent = `You don't hold ${symbol} (${assetType.replace("_", " ")})`;
+      return;
+    }
+    payload.assetId = holding._id;
+  }
+  try {
+    await api("/alerts", { method: "POST", body: JSON.stringify(payload) });
+    alertForm.reset();
+    document.getElementById("alert-webhook").classList.add("hidden");
+    await loadAlerts();
+  } catch (err) {
+    errorEl.textContent = err.message;
+  }
+});
+
+// === Notifications bell ===
+async function loadNotifications() {
+  const { unread, notifications } = await api("/notifications");
+  const count = document.getElementById("bell-count");
+  count.textContent = unread;
+  count.classList.toggle("hidden", !unread);
+  const list = document.getElementById("bell-list");
+  list.innerHTML = "";
+  if (!notifications.length) {
+    list.innerHTML = '<li class="opacity-70 italic">No notifications yet</li>';
+  }
+  notifications.forEach((n) => {
+    const li = document.createElement("li");
+    li.className = n.read ? "opacity-60" : "font-semibold";
+    // titles and messages can quote other users' text (portfolio names in invites): never as HTML
+    [
+      [n.title, ""],
+      [n.message, "font-normal"],
+      [new Date(n.createdAt).toLocaleString(), "text-xs opacity-70"],
+    ].forEach(([text, className]) => {
+      const div = document.createElement("div");
+      div.className = className;
+      div.textContent = text;
+      li.appendChild(div);
+    });
+    list.appendChild(li);
+  });
+}
+
+document.getElementById("bell").addEventListener("click", () => {
+  document.getElementById("bell-panel").classList.toggle("hidden");
+});
+document.getElementById("bell-read-all").addEventListener("click", async () => {
+  await api("/notifications/read-all", { method: "POST" });
+  await loadNotifications();
+});
+
+// Performance chart (total value vs invested, from daily snapshots)
+let perfChart;
+async function loadPerformance() {
+  const range = document.getElementById("perf-range").value;
+  const data = await api(scoped(`/portfolio/snapshots?range=${range}`));
+  const snapshots = data.snapshots || [];
+  document
+    .getElementById("perf-empty")
+    .classList.toggle("hidden", snapshots.length > 0);
+  const currency = snapshots[snapshots.length - 1]?.currency || "USD";
+  if (perfChart) perfChart.destroy();
+  perfChart = new Chart(document.getElementById("perfChart"), {
+    type: "line",
+    data: {
+      labels: snapshots.map((s) => new Date(s.date).toLocaleDateString()),
+      datasets: [
+        {
+          label: "Current Value",
+          data: snapshots.map((s) => s.currentValue),
+          borderColor: "#4f46e5",
+          backgroundColor: "rgba(79,70,229,0.1)",
+          tension: 0.2,
+          fill: true,
+        },
+        {
+          label: "Invested",
+          data: snapshots.map((s) => s.invested),
+          borderColor: "#9ca3af",
+          borderDash: [6, 4],
+          tension: 0.2,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { position: "bottom" },
+        tooltip: {
+          callbacks: {
+            label: (c) => `${c.dataset.label}: ${fmt(c.parsed.y, currency)}`,
+          },
+        },
+      },
+    },
+  });
+}
+document.getElementById("perf-range").addEventListener("change", () =>
+  loadPerformance().catch((err) => console.error("Performance error", err))
+);
+
+// === Live updates (Server-Sent Events) ===
+let stream;
+function startStream() {
+  if (!window.EventSource) return;
+  if (stream) stream.close(); // switching portfolios reconnects for the new selection
+  stream = new EventSource(scoped(`${API}/stream?token=${encodeURIComponent(getToken())}`));
+  stream.addEventListener("portfolio", (e) => {
+    try {
+      renderPortfolio(JSON.parse(e.data));
+    } catch (err) {
+      console.error("Stream update error", err);
+    }
+  });
+  stream.addEventListener("revoked", () => {
+    stream.close();
+    signedOut();
+  });
+  // a rejected (usually expired) access token closes the stream for good: reconnect with a fresh one
+  stream.addEventListener("error", () => {
+    if (stream.readyState !== EventSource.CLOSED) return;
+    setTimeout(() => refreshSession().then(startStream).catch(signedOut), 5000);
+  });
+}
+
+// Guard route: redirect to login unless there's a token (or the refresh cookie can get one)
+(async function init() {
+  if (!getToken() || !getUser()) {
+    try {
+      await refreshSession();
+    } catch {
+      window.location.href = "/";
+      return;
+    }
+  }
+  loadPortfolios()
+    .then(loadPortfolio)
+    .then(startStream)
+    .catch((err) => alert(err.message));
+  loadPerformance().catch((err) => console.error("Performance error", err));
+  loadReturns().catch((err) => console.error("Returns error", err));
+  loadTargets().catch((err) => console.error("Targets error", err));
+  loadRisk();
+  loadImportPresets().catch((err) => console.error("Import presets error", err));
+  loadInvites().catch((err) => console.error("Invites error", err));
+  checkVerification().catch((err) => console.error("Profile error", err));
+  loadAlerts().catch((err) => console.error("Alerts error", err));
+  const refreshNotifications = () =>
+    loadNotifications()
+      .then(() => loadAlerts())
+      .catch((err) => console.error("Notifications error", err));
+  refreshNotifications();
+  setInterval(refreshNotifications, 60000);
 })();
 
 // === Symbol Search & Commodity Handling ===
@@ -291,13 +1604,11 @@ if (symbolInput) {
       return;
     }
 
+    document.getElementById("coinId").value = ""; // typing again drops the picked coin
     searchTimeout = setTimeout(async () => {
       try {
         const type = typeSelect ? typeSelect.value : "stock";
-        const res = await fetch(
-          `/api/portfolio/search?q=${encodeURIComponent(query)}&type=${type}`
-        );
-        const results = await res.json();
+        const results = await api(`/portfolio/search?q=${encodeURIComponent(query)}&type=${type}`);
         suggestionsList.innerHTML = "";
 
         if (!results || results.length === 0) {
@@ -313,9 +1624,14 @@ if (symbolInput) {
           const li = document.createElement("li");
           li.className =
             "px-3 py-2 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700";
-          li.textContent = `${r.symbol} — ${r.name} (${r.region}, ${r.currency})`;
+          li.textContent = r.coinId
+            ? `${r.symbol} — ${r.name}${r.marketCapRank ? ` (#${r.marketCapRank})` : ""}${
+                r.ambiguous ? ` · ${r.coinId}` : ""
+              }`
+            : `${r.symbol} — ${r.name} (${r.region}, ${r.currency})`;
           li.onclick = () => {
             symbolInput.value = r.symbol;
+            document.getElementById("coinId").value = r.coinId || "";
             suggestionsList.classList.add("hidden");
           };
           suggestionsList.appendChild(li);
@@ -323,7 +1639,13 @@ if (symbolInput) {
 
         suggestionsList.classList.remove("hidden");
       } catch (err) {
-        console.error("Search error", err);
+        // rate limited or upstream busy: say so instead of silently showing nothing
+        suggestionsList.innerHTML = "";
+        const li = document.createElement("li");
+        li.className = "px-3 py-2 text-red-500 italic cursor-default";
+        li.textContent = err.message;
+        suggestionsList.appendChild(li);
+        suggestionsList.classList.remove("hidden");
       }
     }, 400);
   });
@@ -0,0 +1,68 @@
+// public/session.js
+// Access token handling shared by every page. The access token is short-lived and kept in
+// localStorage; the refresh token lives in an httpOnly cookie the browser sends to /api/auth.
+
+function getToken() {
+  return localStorage.getItem("token");
+}
+function getUser() {
+  try {
+    return JSON.parse(localStorage.getItem("user"));
+  } catch {
+    return null;
+  }
+}
+
+function signedOut() {
+  localStorage.clear();
+  window.location.href = "/";
+}
+
+// One refresh at a time: parallel requests that all got a 401 wait for the same new token
+let refreshing = null;
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = fetch("/api/auth/refresh", { method: "POST" })
+      .then(async (res) => {
+        if (!res.ok) throw new Error("Session expired");
+        const data = await res.json();
+        localStorage.setItem("token", data.token);
+        localStorage.setItem("user", JSON.stringify(data.user));
+        return data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// fetch with the bearer token; an expired token is refreshed once and the request retried.
+// Sends the user back to the login page when the session can't be renewed.
+async function authFetch(url, opts = {}) {
+  const send = () =>
+    fetch(url, {
+      ...opts,
+      headers: { ...(opts.headers || {}), Authorization: `Bearer ${getToken()}` },
+    });
+  let res = await send();
+  if (res.status !== 401) return res;
+  try {
+    await refreshSession();
+  } catch {
+    signedOut();
+    return new Promise(() => {}); // navigating away
+  }
+  res = await send();
+  if (res.status === 401) {
+    signedOut();
+    return new Promise(() => {});
+  }
+  return res;
+}
+
+// Sign out this device (revokes its session on the server)
+async function logoutSession() {
+  await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+  signedOut();
+}
@@ -0,0 +1,185 @@
+// public/tax.js
+// Capital gains for a tax year, for the portfolio selected on the dashboard
+const portfolioId = localStorage.getItem("portfolioId") || "all";
+const scopedQuery = portfolioId === "all" ? "" : `&portfolioId=${portfolioId}`;
+
+let jurisdictions = [];
+let savedJurisdiction = null;
+
+function money(n, currency) {
+  if (n === null || n === undefined || Number.isNaN(n)) return "—";
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(n);
+}
+
+// symbols and jurisdiction names (TAX_RULES_FILE) aren't ours to trust in innerHTML
+const escapeHtml = value =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+const day = d => new Date(d).toLocaleDateString();
+const termLabel = term => (term === "long" ? "Long-term" : term === "short" ? "Short-term" : "n/a");
+const signedClass = n => (n >= 0 ? "text-green-600" : "text-red-600");
+
+function showError(message) {
+  const el = document.getElementById("tax-error");
+  el.textContent = message;
+  el.classList.toggle("hidden", !message);
+}
+
+// "2025" for calendar tax years, "2024/25" for ones starting mid-year
+function yearLabel(year) {
+  const code = document.getElementById("tax-jurisdiction").value;
+  const start = jurisdictions.find(j => j.code === code)?.yearStart || "01-01";
+  return start === "01-01" ? String(year) : `${year}/${String(year + 1).slice(-2)}`;
+}
+
+function reportQuery(withYear = true) {
+  const params = new URLSearchParams({ jurisdiction: document.getElementById("tax-jurisdiction").value });
+  const year = document.getElementById("tax-year").value;
+  const method = document.getElementById("tax-method").value;
+  if (withYear && year) params.set("year", year);
+  if (method) params.set("method", method);
+  return `${params}${scopedQuery}`;
+}
+
+function renderReport(data) {
+  const yearSelect = document.getElementById("tax-year");
+  const years = [...new Set([data.year, ...data.years])].sort((a, b) => b - a);
+  yearSelect.innerHTML = years.map(y => `<option value="${y}">${yearLabel(y)}</option>`).join("");
+  yearSelect.value = data.year;
+
+  document.getElementById("tax-period").textContent =
+    `${data.jurisdiction.name} tax year ${yearLabel(data.year)}: ${day(data.from)} – ${day(data.to)} · ` +
+    `cost basis ${data.costBasisMethod.toUpperCase()}`;
+  document.getElementById("tax-note").textContent = [
+    data.jurisdiction.note,
+    "Amounts are in each asset's ledger currency. Check figures with your tax adviser before filing."
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  document.getElementById("tax-totals").innerHTML = data.totals
+    .map(
+      t => `
+      <tr class="border-b">
+        <td class="py-1 pr-4">${escapeHtml(t.currency)}</td>
+        <td class="py-1 pr-4">${termLabel(t.term)}</td>
+        <td class="py-1 pr-4">${t.count}</td>
+        <td class="py-1 pr-4">${money(t.costBasis, t.currency)}</td>
+        <td class="py-1 pr-4">${money(t.proceeds, t.currency)}</td>
+        <td class="py-1 pr-4 font-semibold ${signedClass(t.gain)}">${money(t.gain, t.currency)}</td>
+      </tr>`
+    )
+    .join("");
+
+  document.getElementById("tax-rows").innerHTML = data.disposals
+    .map(
+      d => `
+      <tr class="border-b" title="${escapeHtml(d.note)}">
+        <td class="py-1 pr-4">${escapeHtml(d.symbol)} <span class="text-xs opacity-70">${escapeHtml(d.type)}</span></td>
+        <td class="py-1 pr-4">${Number(d.quantity.toFixed(8))}</td>
+        <td class="py-1 pr-4">${day(d.acquiredAt)}</td>
+        <td class="py-1 pr-4">${day(d.disposedAt)}</td>
+        <td class="py-1 pr-4">${d.holdingDays}</td>
+        <td class="py-1 pr-4">${termLabel(d.term)}</td>
+        <td class="py-1 pr-4">${money(d.costBasis, d.currency)}</td>
+        <td class="py-1 pr-4">${money(d.proceeds, d.currency)}</td>
+        <td class="py-1 pr-4 ${signedClass(d.gain)}">${money(d.gain, d.currency)}</td>
+      </tr>`
+    )
+    .join("");
+  document.getElementById("tax-empty").classList.toggle("hidden", data.disposals.length > 0);
+}
+
+async function loadReport(withYear = true) {
+  try {
+    showError("");
+    const res = await authFetch(`/api/tax/report?${reportQuery(withYear)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to load the tax report");
+    renderReport(data);
+  } catch (err) {
+    console.error("Tax report error:", err);
+    showError(err.message);
+  }
+}
+
+function toggleDefaultButton() {
+  const code = document.getElementById("tax-jurisdiction").value;
+  document.getElementById("tax-default").classList.toggle("hidden", code === savedJurisdiction);
+}
+
+async function init() {
+  const [listRes, meRes] = await Promise.all([authFetch("/api/tax/jurisdictions"), authFetch("/api/auth/me")]);
+  const list = await listRes.json();
+  const me = meRes.ok ? await meRes.json() : {};
+  jurisdictions = list.jurisdictions;
+  savedJurisdiction = me.taxJurisdiction || list.default;
+
+  const select = document.getElementById("tax-jurisdiction");
+  select.innerHTML = jurisdictions.map(j => `<option value="${escapeHtml(j.code)}">${escapeHtml(j.name)}</option>`).join("");
+  select.value = savedJurisdiction;
+  toggleDefaultButton();
+
+  if (portfolioId !== "all") {
+    const res = await authFetch("/api/portfolios");
+    const portfolio = res.ok ? (await res.json()).find(p => p._id === portfolioId) : null;
+    if (portfolio) document.getElementById("tax-portfolio").textContent = `· ${portfolio.name}`;
+  } else {
+    document.getElementById("tax-portfolio").textContent = "· All portfolios";
+  }
+  await loadReport(false);
+}
+
+// a different jurisdiction has different tax years: start again from the current one
+document.getElementById("tax-jurisdiction").addEventListener("change", () => {
+  toggleDefaultButton();
+  loadReport(false);
+});
+document.getElementById("tax-year").addEventListener("change", () => loadReport());
+document.getElementById("tax-method").addEventListener("change", () => loadReport());
+
+document.getElementById("tax-default").addEventListener("click", async () => {
+  try {
+    const taxJurisdiction = document.getElementById("tax-jurisdiction").value;
+    const res = await authFetch("/api/auth/preferences", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ taxJurisdiction })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to save preference");
+    savedJurisdiction = data.taxJurisdiction;
+    toggleDefaultButton();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+// Download the same report (CSV by default)
+document.getElementById("tax-export").addEventListener("click", async () => {
+  try {
+    const format = document.getElementById("tax-format").value;
+    const res = await authFetch(`/api/export/tax?format=${format}&${reportQuery()}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || "Download failed");
+    }
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = disposition.match(/filename="([^"]+)"/)?.[1] || `capital-gains.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document.getElementById("back").addEventListener("click", () => {
+  window.location.href = "dashboard.html";
+});
+
+init().catch(err => showError(err.message));
@@ -0,0 +1,128 @@
+// routes/alerts.js
+const express = require("express");
+const { z } = require("zod");
+const mongoose = require("mongoose");
+const auth = require("../middleware/auth");
+const Asset = require("../models/Asset");
+const PriceAlert = require("../models/PriceAlert");
+const { ALERT_KINDS, ALERT_CHANNELS } = require("../models/PriceAlert");
+const { resolveCoinId } = require("../services/coins");
+const { webhookUrlError } = require("../services/notifiers");
+
+const router = express.Router();
+
+const WebhookUrlSchema = z
+  .string()
+  .trim()
+  .superRefine((url, ctx) => {
+    const error = webhookUrlError(url);
+    if (error) ctx.addIssue({ code: "custom", message: error });
+  });
+
+const needsWebhookUrl = (channels, webhookUrl) => channels.includes("webhook") && !webhookUrl;
+
+const AlertSchema = z
+  .object({
+    symbol: z.string().min(1).optional(),
+    assetType: z.enum(["stock", "mutual_fund", "crypto", "commodity"]).optional(),
+    assetId: z.string().refine((id) => mongoose.isValidObjectId(id), "Invalid assetId").optional(),
+    coinId: z.string().optional(),
+    kind: z.enum(ALERT_KINDS),
+    threshold: z.number(),
+    channels: z.array(z.enum(ALERT_CHANNELS)).min(1).default(["in_app"]),
+    webhookUrl: WebhookUrlSchema.optional(),
+    note: z.string().max(200).optional()
+  })
+  .superRefine((a, ctx) => {
+    if (a.kind.startsWith("pnl_") && !a.assetId)
+      ctx.addIssue({ code: "custom", message: "P&L alerts need a holding (assetId)" });
+    if (!a.assetId && !(a.symbol && a.assetType))
+      ctx.addIssue({ code: "custom", message: "symbol and assetType are required" });
+    if (needsWebhookUrl(a.channels, a.webhookUrl))
+      ctx.addIssue({ code: "custom", message: "webhook channel needs a webhookUrl" });
+  });
+
+const EditSchema = z.object({
+  threshold: z.number().optional(),
+  channels: z.array(z.enum(ALERT_CHANNELS)).min(1).optional(),
+  webhookUrl: z
+    .preprocess((v) => (typeof v === "string" && !v.trim() ? null : v), WebhookUrlSchema.nullable())
+    .optional(), // null or "" removes the URL
+  note: z.string().max(200).optional(),
+  active: z.boolean().optional() // true re-arms a triggered alert
+});
+
+// === List alerts ===
+router.get("/", auth, async (req, res) => {
+  try {
+    const alerts = await PriceAlert.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch alerts" });
+  }
+});
+
+// === Create alert ===
+router.post("/", auth, async (req, res) => {
+  try {
+    const parsed = AlertSchema.parse(req.body);
+    if (parsed.assetId) {
+      // holding alerts take their symbol/type from the asset
+      const asset = await Asset.findOne({ _id: parsed.assetId, userId: req.user.id });
+      if (!asset) return res.status(404).json({ error: "Asset not found" });
+      parsed.symbol = asset.symbol;
+      parsed.assetType = asset.type;
+      parsed.coinId = asset.coinId;
+    }
+    if (parsed.assetType === "crypto" && !parsed.coinId) {
+      // a held coin with the same ticker is the likeliest meaning, then the registry's best match
+      const held = await Asset.findOne({ userId: req.user.id, symbol: parsed.symbol.toUpperCase(), type: "crypto" });
+      parsed.coinId = held?.coinId || (await resolveCoinId(parsed.symbol)) || undefined;
+    }
+    const alert = await PriceAlert.create({ ...parsed, userId: req.user.id });
+    res.status(201).json(alert);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to create alert" });
+  }
+});
+
+// === Edit / re-arm alert ===
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const updates = EditSchema.parse(req.body);
+    const alert = await PriceAlert.findOne({ _id: req.params.id, userId: req.user.id }).catch(() => null);
+    if (!alert) return res.status(404).json({ error: "Alert not found" });
+    // checked against the alert as edited: the webhook channel can't be on without a URL
+    const webhookUrl = updates.webhookUrl === undefined ? alert.webhookUrl : updates.webhookUrl;
+    if (needsWebhookUrl(updates.channels || alert.channels, webhookUrl))
+      return res.status(400).json({ error: "webhook channel needs a webhookUrl" });
+
+    alert.set({ ...updates, webhookUrl: webhookUrl || undefined });
+    if (updates.active) alert.set({ triggeredAt: undefined, triggeredValue: undefined });
+    await alert.save();
+    res.json(alert);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to edit alert" });
+  }
+});
+
+// === Delete alert ===
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!alert) return res.status(404).json({ error: "Alert not found" });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete alert" });
+  }
+});
+
+module.exports = router;
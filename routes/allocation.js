@@ -0,0 +1,127 @@
+// routes/allocation.js
+// Target weights, drift and rebalancing plans. ?portfolioId selects a portfolio (viewers can read,
+// editors can change the targets); without it everything applies to the user's consolidated view.
+const express = require("express");
+const { z } = require("zod");
+const auth = require("../middleware/auth");
+const AllocationTarget = require("../models/AllocationTarget");
+const { GROUP_BY } = require("../models/AllocationTarget");
+const { buildPortfolio } = require("../services/portfolio");
+const { portfolioAccess, denial, logActivity } = require("../services/access");
+const { planRebalance } = require("../services/rebalance");
+
+const router = express.Router();
+
+const TargetSchema = z
+  .object({
+    groupBy: z.enum(GROUP_BY),
+    targets: z
+      .array(z.object({ key: z.string().trim().min(1).max(40), weight: z.number().min(0).max(100) }))
+      .min(1, "Add at least one target"),
+    sellThresholdPct: z.number().min(0).max(100).optional(),
+    minTradeValue: z.number().min(0).optional()
+  })
+  .refine((t) => new Set(t.targets.map((x) => x.key)).size === t.targets.length, "Each target can only appear once")
+  .refine(
+    (t) => Math.abs(t.targets.reduce((sum, x) => sum + x.weight, 0) - 100) < 0.01,
+    "Target weights must add up to 100%"
+  );
+
+const PlanQuery = z.object({
+  contribution: z.coerce.number().min(0).default(0),
+  sellThresholdPct: z.coerce.number().min(0).max(100).optional(),
+  minTradeValue: z.coerce.number().min(0).optional()
+});
+
+const DEFAULTS = { groupBy: "type", targets: [], sellThresholdPct: 5, minTradeValue: 0 };
+
+// Resolves ?portfolioId to { filter, ownerId, portfolio, role }; sends the error and returns null when denied
+async function scope(req, res, minRole) {
+  const id = req.query.portfolioId;
+  if (!id || id === "all")
+    return { filter: { userId: req.user.id, portfolioId: null }, ownerId: req.user.id, portfolio: null, role: "owner" };
+  const access = await portfolioAccess(req.user.id, String(id));
+  const denied = denial(access, minRole);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  const { portfolio, role } = access;
+  return { filter: { userId: portfolio.userId, portfolioId: portfolio._id }, ownerId: portfolio.userId, portfolio, role };
+}
+
+async function loadTarget(filter) {
+  return (await AllocationTarget.findOne(filter).lean()) || { ...DEFAULTS, ...filter };
+}
+
+// === Targets + current drift ===
+router.get("/", auth, async (req, res) => {
+  try {
+    const s = await scope(req, res, "viewer");
+    if (!s) return;
+    const target = await loadTarget(s.filter);
+    const { assets, currency } = await buildPortfolio(s.ownerId, { portfolio: s.portfolio });
+    const { groups, unpriced } = planRebalance(assets, target);
+    res.json({ target, currency, role: s.role, groups, unpriced });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to load allocation targets" });
+  }
+});
+
+// === Save targets ===
+router.put("/", auth, async (req, res) => {
+  try {
+    const s = await scope(req, res, "editor");
+    if (!s) return;
+    const parsed = TargetSchema.parse(req.body);
+    const target = await AllocationTarget.findOneAndUpdate(
+      s.filter,
+      { $set: { ...parsed, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    if (s.portfolio)
+      await logActivity(
+        s.portfolio._id,
+        req.user.id,
+        "allocation.updated",
+        `Set targets by ${parsed.groupBy}: ${parsed.targets.map((t) => `${t.key} ${t.weight}%`).join(", ")}`,
+        parsed
+      );
+    res.json(target);
+  } catch (err) {
+    if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to save allocation targets" });
+  }
+});
+
+// === Remove targets ===
+router.delete("/", auth, async (req, res) => {
+  try {
+    const s = await scope(req, res, "editor");
+    if (!s) return;
+    const { deletedCount } = await AllocationTarget.deleteOne(s.filter);
+    if (!deletedCount) return res.status(404).json({ error: "No targets set" });
+    if (s.portfolio) await logActivity(s.portfolio._id, req.user.id, "allocation.cleared", "Removed the allocation targets");
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove allocation targets" });
+  }
+});
+
+// === Rebalancing plan: ?contribution (new cash), optional overrides of the saved thresholds ===
+router.get("/rebalance", auth, async (req, res) => {
+  try {
+    const s = await scope(req, res, "viewer");
+    if (!s) return;
+    const options = PlanQuery.parse(req.query);
+    const target = await AllocationTarget.findOne(s.filter).lean();
+    if (!target) return res.status(404).json({ error: "Set target weights first" });
+    const { assets, currency } = await buildPortfolio(s.ownerId, { portfolio: s.portfolio });
+    res.json({ currency, ...planRebalance(assets, target, options) });
+  } catch (err) {
+    if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to build rebalancing plan" });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,94 @@
 // routes/auth.js
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { z } = require("zod");
 const User = require("../models/User");
+const auth = require("../middleware/auth");
+const {
+createSession,
+rotateSession,
+revokeSession,
+endSession,
+revokeAllSessions,
+listSessions,
+setRefreshCookie,
+clearRefreshCookie,
+readRefreshCookie
+} = require("../services/sessions");
+const {
+sendVerificationEmail,
+sendPasswordResetEmail,
+verifyEmail,
+resetPassword,
+setPassword
+} = require("../services/accounts");
+const { sendMail, mailInBackground } = require("../services/mailer");
+const {
+verifyTotp,
+decrypt,
+createEnrollment,
+createRecoveryCodes,
+checkSecondFactor,
+signChallenge,
+readChallenge,
+challengeFailed
+} = require("../services/twoFactor");
+const { lockedFor, recordFailure, clearFailures } = require("../services/lockout");
+const { rateLimit, tooMany } = require("../middleware/rateLimit");
+const { taxRules } = require("../services/tax");
 
 
 const router = express.Router();
 
 
+// REQUIRE_EMAIL_VERIFICATION=true keeps unverified accounts from signing in at all;
+// otherwise they can, and the dashboard nags until they confirm
+const verificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+const publicUser = (user) => ({
+id: user._id,
+email: user.email,
+emailVerified: Boolean(user.emailVerified),
+twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
+
+// Per-IP limits (tune with RATE_LIMIT_<NAME>=max/seconds, see middleware/rateLimit.js)
+const loginLimit = rateLimit({ name: "login", max: 10, windowSeconds: 60, message: "Too many sign-in attempts" });
+const registerLimit = rateLimit({ name: "register", max: 5, windowSeconds: 3600, message: "Too many accounts created" });
+const emailLimit = rateLimit({ name: "email", max: 5, windowSeconds: 900, message: "Too many emails requested" });
+const tokenLimit = rateLimit({ name: "token", max: 20, windowSeconds: 900 });
+const refreshLimit = rateLimit({ name: "refresh", max: 60, windowSeconds: 60 });
+
+const lockedOut = (res, seconds) => tooMany(res, seconds, "Too many failed sign-in attempts");
+
+
+// Starts a session: short-lived access token in the body, refresh token in an httpOnly cookie
+async function signIn(req, res, user, status = 200) {
+await clearFailures(user);
+const { accessToken, refreshToken } = await createSession(user, req);
+setRefreshCookie(res, refreshToken);
+res.status(status).json({ token: accessToken, user: publicUser(user) });
+}
+
+
 const RegisterSchema = z.object({
 email: z.string().email(),
 password: z.string().min(6)
 });
 
 
-router.post("/register", async (req, res) => {
+router.post("/register", registerLimit, async (req, res) => {
 try {
 const { email, password } = RegisterSchema.parse(req.body);
 const existing = await User.findOne({ email });
 if (existing) return res.status(409).json({ error: "Email already registered" });
 const hash = await bcrypt.hash(password, 10);
 const user = await User.create({ email, password: hash });
-const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: "7d" });
-res.status(201).json({ token, user: { id: user._id, email: user.email } });
+mailInBackground(sendVerificationEmail(user), "Verification");
+if (verificationRequired())
+return res.status(201).json({ needsVerification: true, message: "Check your inbox to confirm your email address, then sign in" });
+await signIn(req, res, user, 201);
 } catch (err) {
 if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
 res.status(500).json({ error: "Registration failed" });
@@ -37,15 +102,24 @@ password: z.string().min(6)
 });
 
 
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimit, async (req, res) => {
 try {
 const { email, password } = LoginSchema.parse(req.body);
 const user = await User.findOne({ email });
 if (!user) return res.status(401).json({ error: "Invalid credentials" });
+// a locked account isn't even checked, so guessing during the lock tells nothing
+if (lockedFor(user)) return lockedOut(res, lockedFor(user));
 const ok = await bcrypt.compare(password, user.password);
-if (!ok) return res.status(401).json({ error: "Invalid credentials" });
-const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: "7d" });
-res.json({ token, user: { id: user._id, email: user.email } });
+if (!ok) {
+const locked = await recordFailure(user);
+if (locked) return lockedOut(res, locked);
+return res.status(401).json({ error: "Invalid credentials" });
+}
+if (verificationRequired() && !user.emailVerified)
+return res.status(403).json({ error: "Confirm your email address first", needsVerification: true });
+// With 2FA on, the password only earns a challenge; the tokens come from /2fa/verify
+if (user.twoFactor?.enabled) return res.json({ twoFactorRequired: true, challengeToken: signChallenge(user._id) });
+await signIn(req, res, user);
 } catch (err) {
 if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
 res.status(500).json({ error: "Login failed" });
@@ -53,4 +127,364 @@ res.status(500).json({ error: "Login failed" });
 });
 
 
+// New access token from the refresh cookie (the refresh token rotates every time)
+router.post("/refresh", refreshLimit, async (req, res) => {
+try {
+const result = await rotateSession(readRefreshCookie(req), req);
+if (!result) {
+clearRefreshCookie(res);
+return res.status(401).json({ error: "Session expired, please sign in again" });
+}
+if (result.refreshToken) setRefreshCookie(res, result.refreshToken);
+res.json({ token: result.accessToken, user: publicUser(result.user) });
+} catch (err) {
+res.status(500).json({ error: "Failed to refresh session" });
+}
+});
+
+
+// Sign out this device (works with an expired access token: the cookie identifies the session)
+router.post("/logout", async (req, res) => {
+try {
+await endSession(readRefreshCookie(req));
+clearRefreshCookie(res);
+res.json({ ok: true });
+} catch (err) {
+res.status(500).json({ error: "Logout failed" });
+}
+});
+
+
+// Sign out every device, this one included
+router.post("/logout-all", auth, async (req, res) => {
+try {
+const revoked = await revokeAllSessions(req.user.id);
+clearRefreshCookie(res);
+res.json({ ok: true, revoked });
+} catch (err) {
+res.status(500).json({ error: "Logout failed" });
+}
+});
+
+
+// Signed-in devices
+router.get("/sessions", auth, async (req, res) => {
+try {
+const sessions = await listSessions(req.user.id);
+res.json(sessions.map((s) => ({
+id: s._id,
+device: s.device,
+ip: s.ip,
+createdAt: s.createdAt,
+lastSeenAt: s.lastSeenAt,
+current: String(s._id) === String(req.user.sessionId)
+})));
+} catch (err) {
+res.status(500).json({ error: "Failed to load sessions" });
+}
+});
+
+
+router.delete("/sessions/:id", auth, async (req, res) => {
+try {
+const revoked = await revokeSession(req.params.id, "revoked", req.user.id);
+if (!revoked) return res.status(404).json({ error: "Session not found" });
+if (String(req.params.id) === String(req.user.sessionId)) clearRefreshCookie(res);
+res.json({ ok: true });
+} catch (err) {
+res.status(500).json({ error: "Failed to revoke session" });
+}
+});
+
+
+const TokenSchema = z.object({ token: z.string().min(1, "Missing token") });
+const EmailSchema = z.object({ email: z.string().email() });
+const ResetSchema = z.object({ token: z.string().min(1, "Missing token"), password: z.string().min(6) });
+const ChangePasswordSchema = z.object({ currentPassword: z.string().min(1), newPassword: z.string().min(6) });
+
+
+// Confirm an email address with the token from the verification email
+router.post("/verify-email", tokenLimit, async (req, res) => {
+try {
+const { token } = TokenSchema.parse(req.body);
+const user = await verifyEmail(token);
+if (!user) return res.status(400).json({ error: "This link is invalid or has expired" });
+res.json({ ok: true, user: publicUser(user) });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Verification failed" });
+}
+});
+
+
+// Send the verification email again. Always answers ok so it can't be used to probe for accounts.
+router.post("/resend-verification", emailLimit, async (req, res) => {
+try {
+const { email } = EmailSchema.parse(req.body);
+const user = await User.findOne({ email });
+if (user && !user.emailVerified) mailInBackground(sendVerificationEmail(user), "Verification");
+res.json({ ok: true });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to send verification email" });
+}
+});
+
+
+// Email a password reset link. Always answers ok so it can't be used to probe for accounts.
+router.post("/forgot-password", emailLimit, async (req, res) => {
+try {
+const { email } = EmailSchema.parse(req.body);
+const user = await User.findOne({ email });
+if (user) mailInBackground(sendPasswordResetEmail(user), "Password reset");
+res.json({ ok: true });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to send reset email" });
+}
+});
+
+
+// Choose a new password with the token from the reset email (signs out every device)
+router.post("/reset-password", tokenLimit, async (req, res) => {
+try {
+const { token, password } = ResetSchema.parse(req.body);
+const user = await resetPassword(token, password);
+if (!user) return res.status(400).json({ error: "This link is invalid or has expired" });
+clearRefreshCookie(res);
+res.json({ ok: true });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Password reset failed" });
+}
+});
+
+
+// Change the password while signed in (other devices are signed out, this one stays)
+router.post("/change-password", auth, async (req, res) => {
+try {
+const { currentPassword, newPassword } = ChangePasswordSchema.parse(req.body);
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+if (lockedFor(user)) return lockedOut(res, lockedFor(user));
+if (!(await bcrypt.compare(currentPassword, user.password))) {
+const locked = await recordFailure(user);
+if (locked) return lockedOut(res, locked);
+return res.status(400).json({ error: "Current password is incorrect" });
+}
+await setPassword(user, newPassword, { keepSessionId: req.user.sessionId });
+res.json({ ok: true });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to change password" });
+}
+});
+
+
+// ---------- Two-factor authentication ----------
+
+const CodeSchema = z.object({ code: z.string().regex(/^\s*\d{6}\s*$/, "Enter the 6-digit code from your authenticator app") });
+const SecondFactorSchema = z
+.object({ code: z.string().optional(), recoveryCode: z.string().optional() })
+.refine((v) => v.code || v.recoveryCode, "Enter a code from your authenticator app or a recovery code");
+const ChallengeSchema = SecondFactorSchema.and(z.object({ challengeToken: z.string().min(1, "Missing challenge") }));
+const ReauthSchema = SecondFactorSchema.and(z.object({ password: z.string().min(1, "Enter your password") }));
+
+const setTwoFactor = (user, update) => {
+for (const [key, value] of Object.entries(update)) user.set(`twoFactor.${key}`, value);
+};
+
+const securityNotice = (user, subject, text) =>
+mailInBackground(sendMail({ to: user.email, subject, text }), "2FA notice");
+
+// Re-authentication for sensitive 2FA changes: password + a current code (or a recovery code).
+// Sends the error and returns false when it fails; failures count towards the sign-in lockout.
+async function reauthenticate(res, user, { password, code, recoveryCode }) {
+if (lockedFor(user)) {
+lockedOut(res, lockedFor(user));
+return false;
+}
+const passwordOk = await bcrypt.compare(password, user.password);
+const result = passwordOk && checkSecondFactor(user.twoFactor, { code, recoveryCode });
+if (!result) {
+const locked = await recordFailure(user);
+if (locked) lockedOut(res, locked);
+else res.status(400).json({ error: passwordOk ? "Invalid authentication code" : "Password is incorrect" });
+return false;
+}
+setTwoFactor(user, result.update);
+return true;
+}
+
+
+// Second login step: trade the challenge from /login and a code for a session
+router.post("/2fa/verify", loginLimit, async (req, res) => {
+try {
+const { challengeToken, code, recoveryCode } = ChallengeSchema.parse(req.body);
+const challenge = readChallenge(challengeToken);
+if (!challenge) return res.status(401).json({ error: "Sign-in attempt expired, please enter your password again", restart: true });
+const user = await User.findById(challenge.id);
+if (!user?.twoFactor?.enabled) return res.status(401).json({ error: "Sign-in attempt expired, please enter your password again", restart: true });
+if (lockedFor(user)) return lockedOut(res, lockedFor(user));
+const result = checkSecondFactor(user.twoFactor, { code, recoveryCode });
+if (!result) {
+const locked = await recordFailure(user);
+if (locked) return lockedOut(res, locked);
+const left = challengeFailed(challenge);
+if (!left) return res.status(401).json({ error: "Too many wrong codes, please sign in again", restart: true });
+return res.status(401).json({ error: "Invalid authentication code", attemptsLeft: left });
+}
+setTwoFactor(user, result.update);
+await user.save();
+if (result.method === "recovery")
+securityNotice(user, "A recovery code was used", `A recovery code was used to sign in to your Portfolio Tracker account. ${user.twoFactor.recoveryCodes.length} codes are left.\n\nIf this wasn't you, change your password right away.`);
+await signIn(req, res, user);
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Verification failed" });
+}
+});
+
+
+router.get("/2fa", auth, async (req, res) => {
+try {
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+res.json({
+enabled: Boolean(user.twoFactor?.enabled),
+enabledAt: user.twoFactor?.enabledAt || null,
+recoveryCodesLeft: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+});
+} catch (err) {
+res.status(500).json({ error: "Failed to load 2FA status" });
+}
+});
+
+
+// Start enrollment: a new secret as a QR code (and text for manual entry). Nothing changes until /2fa/enable.
+router.post("/2fa/setup", auth, async (req, res) => {
+try {
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+if (user.twoFactor?.enabled) return res.status(409).json({ error: "Two-factor authentication is already on" });
+const { secret, encrypted, otpauthUrl, qrDataUrl } = await createEnrollment(user.email);
+setTwoFactor(user, { pendingSecret: encrypted });
+await user.save();
+res.json({ secret, otpauthUrl, qrDataUrl });
+} catch (err) {
+res.status(500).json({ error: "Failed to start 2FA setup" });
+}
+});
+
+
+// Finish enrollment with a code from the app; the recovery codes are only ever shown in this response
+router.post("/2fa/enable", auth, async (req, res) => {
+try {
+const { code } = CodeSchema.parse(req.body);
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+if (user.twoFactor?.enabled) return res.status(409).json({ error: "Two-factor authentication is already on" });
+if (!user.twoFactor?.pendingSecret) return res.status(400).json({ error: "Start the setup first" });
+const step = verifyTotp(decrypt(user.twoFactor.pendingSecret), code);
+if (step === null) return res.status(400).json({ error: "That code doesn't match, check your device's clock and try again" });
+const { codes, hashes } = createRecoveryCodes();
+setTwoFactor(user, {
+enabled: true,
+secret: user.twoFactor.pendingSecret,
+pendingSecret: undefined,
+lastStep: step,
+recoveryCodes: hashes,
+enabledAt: new Date()
+});
+await user.save();
+securityNotice(user, "Two-factor authentication turned on", "Two-factor authentication is now on for your Portfolio Tracker account. Signing in will ask for a code from your authenticator app.");
+res.json({ ok: true, recoveryCodes: codes });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to enable 2FA" });
+}
+});
+
+
+// Replace the recovery codes (the old ones stop working)
+router.post("/2fa/recovery-codes", auth, async (req, res) => {
+try {
+const body = ReauthSchema.parse(req.body);
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+if (!user.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor authentication is off" });
+if (!(await reauthenticate(res, user, body))) return;
+const { codes, hashes } = createRecoveryCodes();
+setTwoFactor(user, { recoveryCodes: hashes });
+await user.save();
+res.json({ ok: true, recoveryCodes: codes });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to create recovery codes" });
+}
+});
+
+
+// Turn 2FA off (needs the password and a code, not just a signed-in browser)
+router.post("/2fa/disable", auth, async (req, res) => {
+try {
+const body = ReauthSchema.parse(req.body);
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+if (!user.twoFactor?.enabled) return res.status(400).json({ error: "Two-factor authentication is already off" });
+if (!(await reauthenticate(res, user, body))) return;
+user.set("twoFactor", { enabled: false, recoveryCodes: [] });
+await user.save();
+securityNotice(user, "Two-factor authentication turned off", "Two-factor authentication was turned off for your Portfolio Tracker account. If this wasn't you, change your password and turn it back on.");
+res.json({ ok: true });
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to disable 2FA" });
+}
+});
+
+
+// Current user + preferences
+router.get("/me", auth, async (req, res) => {
+try {
+const user = await User.findById(req.user.id);
+if (!user) return res.status(404).json({ error: "User not found" });
+res.json({
+...publicUser(user),
+costBasisMethod: user.costBasisMethod,
+baseCurrency: user.baseCurrency,
+taxJurisdiction: user.taxJurisdiction || null
+});
+} catch (err) {
+res.status(500).json({ error: "Failed to load profile" });
+}
+});
+
+
+const PreferencesSchema = z.object({
+costBasisMethod: z.enum(["fifo", "lifo", "average", "specific"]).optional(),
+baseCurrency: z.string().regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter code").transform((c) => c.toUpperCase()).optional(),
+taxJurisdiction: z.string().transform((c) => c.toUpperCase()).refine((c) => Boolean(taxRules()[c]), "Unknown tax jurisdiction").optional()
+});
+
+
+router.put("/preferences", auth, async (req, res) => {
+try {
+const updates = PreferencesSchema.parse(req.body);
+const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true });
+if (!user) return res.status(404).json({ error: "User not found" });
+res.json({
+id: user._id,
+email: user.email,
+costBasisMethod: user.costBasisMethod,
+baseCurrency: user.baseCurrency,
+taxJurisdiction: user.taxJurisdiction || null
+});
+} catch (err) {
+if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+res.status(500).json({ error: "Failed to save preferences" });
+}
+});
+
+
 module.exports = router;
\ No newline at end of file
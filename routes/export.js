@@ -0,0 +1,222 @@
+// routes/export.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const Asset = require("../models/Asset");
+const Transaction = require("../models/Transaction");
+const Portfolio = require("../models/Portfolio");
+const { buildPortfolio } = require("../services/portfolio");
+const { portfolioAccess } = require("../services/access");
+const { getHistory } = require("../services/history");
+const { ReportQuery, taxReport } = require("../services/tax");
+const { sendExport } = require("../services/exporter");
+
+const router = express.Router();
+
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+const HOLDING_COLUMNS = [
+  { key: "portfolio", header: "Portfolio" },
+  { key: "symbol", header: "Symbol" },
+  { key: "type", header: "Type" },
+  { key: "quantity", header: "Quantity" },
+  { key: "currency", header: "Currency" },
+  { key: "buyPrice", header: "Avg Cost" },
+  { key: "currentPrice", header: "Current Price" },
+  { key: "fxRate", header: "FX Rate" },
+  { key: "invested", header: "Invested" },
+  { key: "currentValue", header: "Current Value" },
+  { key: "unrealizedPnL", header: "Unrealized P/L" },
+  { key: "pnlPct", header: "Unrealized P/L %" },
+  { key: "realizedPnL", header: "Realized P/L" },
+  { key: "income", header: "Income" },
+  { key: "error", header: "Price Error" }
+];
+
+const SUMMARY_COLUMNS = [
+  { key: "metric", header: "Metric", width: 24 },
+  { key: "value", header: "Value", width: 18 }
+];
+
+const TRANSACTION_COLUMNS = [
+  { key: "date", header: "Date", value: (t) => new Date(t.date).toISOString().slice(0, 10) },
+  { key: "portfolio", header: "Portfolio" },
+  { key: "symbol", header: "Symbol" },
+  { key: "assetType", header: "Asset Type" },
+  { key: "type", header: "Side" },
+  { key: "quantity", header: "Quantity" },
+  { key: "price", header: "Price" },
+  { key: "amount", header: "Amount" },
+  { key: "fees", header: "Fees" },
+  { key: "ratio", header: "Ratio" },
+  { key: "currency", header: "Currency" },
+  { key: "notes", header: "Notes", width: 30 }
+];
+
+const HISTORY_COLUMNS = [
+  { key: "date", header: "Date", value: (h) => new Date(h.date).toISOString().slice(0, 10) },
+  { key: "open", header: "Open" },
+  { key: "high", header: "High" },
+  { key: "low", header: "Low" },
+  { key: "close", header: "Close" },
+  { key: "volume", header: "Volume" }
+];
+
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+const TAX_COLUMNS = [
+  { key: "symbol", header: "Symbol" },
+  { key: "type", header: "Asset Type" },
+  { key: "portfolio", header: "Portfolio" },
+  { key: "quantity", header: "Quantity" },
+  { key: "acquiredAt", header: "Acquired", value: (d) => day(d.acquiredAt) },
+  { key: "disposedAt", header: "Disposed", value: (d) => day(d.disposedAt) },
+  { key: "holdingDays", header: "Days Held" },
+  { key: "term", header: "Term", value: (d) => d.term || "n/a" },
+  { key: "currency", header: "Currency" },
+  { key: "costBasis", header: "Cost Basis" },
+  { key: "proceeds", header: "Proceeds" },
+  { key: "gain", header: "Gain/Loss" },
+  { key: "note", header: "Note", width: 30 }
+];
+
+const TAX_TOTAL_COLUMNS = [
+  { key: "currency", header: "Currency" },
+  { key: "term", header: "Term", value: (t) => t.term || "n/a" },
+  { key: "count", header: "Disposals" },
+  { key: "costBasis", header: "Cost Basis" },
+  { key: "proceeds", header: "Proceeds" },
+  { key: "gain", header: "Gain/Loss" }
+];
+
+// ?portfolioId=<id> exports one portfolio (own, or shared with the user in any role);
+// without it every portfolio the user owns is included
+async function portfolioScope(req) {
+  const id = req.query.portfolioId;
+  if (id && id !== "all") {
+    const access = await portfolioAccess(req.user.id, String(id));
+    if (!access) return { portfolio: null };
+    const { portfolio } = access;
+    return { ownerId: portfolio.userId, names: new Map([[String(portfolio._id), portfolio.name]]), portfolio };
+  }
+  const own = await Portfolio.find({ userId: req.user.id }).lean();
+  return { ownerId: req.user.id, names: new Map(own.map((p) => [String(p._id), p.name])) };
+}
+
+const slug = (name) => name.toLowerCase().replace(/[^\w-]+/g, "-");
+
+// === Holdings (enriched assets + summary) ===
+router.get("/holdings", auth, async (req, res) => {
+  try {
+    const { ownerId, names, portfolio } = await portfolioScope(req);
+    if (portfolio === null) return res.status(404).json({ error: "Portfolio not found" });
+    const { currency, costBasisMethod, assets, summary } = await buildPortfolio(ownerId, { portfolio });
+    const records = assets.map((a) => ({ ...a, portfolio: names.get(String(a.portfolioId)) }));
+    await sendExport(res, {
+      filename: `holdings-${portfolio ? `${slug(portfolio.name)}-` : ""}${stamp()}`,
+      format: req.query.format,
+      meta: { portfolio: portfolio?.name || "All portfolios", currency, costBasisMethod, summary },
+      sheets: [
+        { name: "Holdings", columns: HOLDING_COLUMNS, records },
+        {
+          name: "Summary",
+          columns: SUMMARY_COLUMNS,
+          records: [
+            { metric: "Portfolio", value: portfolio?.name || "All portfolios" },
+            { metric: "Base currency", value: currency },
+            { metric: "Cost basis method", value: costBasisMethod },
+            ...Object.entries(summary).map(([metric, value]) => ({ metric, value }))
+          ]
+        }
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to export holdings" });
+  }
+});
+
+// === Transactions (the full ledger) ===
+router.get("/transactions", auth, async (req, res) => {
+  try {
+    const { ownerId, names, portfolio } = await portfolioScope(req);
+    if (portfolio === null) return res.status(404).json({ error: "Portfolio not found" });
+    const assets = await Asset.find(
+      portfolio ? { userId: ownerId, portfolioId: portfolio._id } : { userId: ownerId }
+    ).lean();
+    const byId = new Map(assets.map((a) => [String(a._id), a]));
+    const transactions = (
+      await Transaction.find({ userId: ownerId, assetId: { $in: assets.map((a) => a._id) } })
+        .sort({ date: 1 })
+        .lean()
+    ).map((t) => {
+      const asset = byId.get(String(t.assetId));
+      return {
+        ...t,
+        portfolio: names.get(String(asset?.portfolioId)),
+        symbol: asset?.symbol,
+        assetType: asset?.type,
+        currency: t.currency || asset?.currency
+      };
+    });
+
+    await sendExport(res, {
+      filename: `transactions-${portfolio ? `${slug(portfolio.name)}-` : ""}${stamp()}`,
+      format: req.query.format,
+      sheets: [{ name: "Transactions", columns: TRANSACTION_COLUMNS, records: transactions }]
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to export transactions" });
+  }
+});
+
+// === Price history for one symbol ===
+router.get("/history/:symbol", auth, async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const { range, interval, history } = await getHistory(symbol, {
+      range: (req.query.range || "6mo").toString(),
+      interval: (req.query.interval || "1d").toString(),
+      type: req.query.type ? String(req.query.type) : undefined,
+      coinId: req.query.coinId ? String(req.query.coinId) : undefined
+    });
+    if (!history.length) return res.status(404).json({ error: "No historical data found" });
+
+    await sendExport(res, {
+      filename: `${symbol.replace(/[^\w.-]/g, "_")}-history-${stamp()}`,
+      format: req.query.format,
+      meta: { symbol, range, interval },
+      sheets: [{ name: "History", columns: HISTORY_COLUMNS, records: history }]
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Failed to export history" });
+  }
+});
+
+// === Realized gains for a tax year (?year, ?jurisdiction, ?method as for /api/tax/report) ===
+router.get("/tax", auth, async (req, res) => {
+  try {
+    const options = ReportQuery.parse(req.query);
+    const { ownerId, names, portfolio } = await portfolioScope(req);
+    if (portfolio === null) return res.status(404).json({ error: "Portfolio not found" });
+    const report = await taxReport(ownerId, { portfolio, ...options });
+    const records = report.disposals.map((d) => ({ ...d, portfolio: names.get(String(d.portfolioId)) }));
+
+    await sendExport(res, {
+      filename: `capital-gains-${report.jurisdiction.code}-${report.year}${portfolio ? `-${slug(portfolio.name)}` : ""}`,
+      format: req.query.format,
+      meta: {
+        portfolio: portfolio?.name || "All portfolios",
+        jurisdiction: report.jurisdiction,
+        taxYear: { from: day(report.from), to: day(report.to) },
+        costBasisMethod: report.costBasisMethod
+      },
+      sheets: [
+        { name: "Disposals", columns: TAX_COLUMNS, records },
+        { name: "Totals", columns: TAX_TOTAL_COLUMNS, records: report.totals }
+      ]
+    });
+  } catch (err) {
+    if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to export tax report" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// routes/notifications.js
+const express = require("express");
+const auth = require("../middleware/auth");
+const Notification = require("../models/Notification");
+
+const router = express.Router();
+
+// === List notifications (?unread=1 for unread only) ===
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.query.unread) filter.read = false;
+    const [notifications, unread] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(50),
+      Notification.countDocuments({ userId: req.user.id, read: false })
+    ]);
+    res.json({ unread, notifications });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// === Mark all as read ===
+router.post("/read-all", auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ userId: req.user.id, read: false }, { $set: { read: true } });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+// === Mark one as read ===
+router.post("/:id/read", auth, async (req, res) => {
+  try {
+    const n = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { read: true } },
+      { new: true }
+    );
+    if (!n) return res.status(404).json({ error: "Notification not found" });
+    res.json(n);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update notification" });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,77 @@
 const express = require("express");
 const { z } = require("zod");
 const auth = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const Asset = require("../models/Asset");
-const { enrichAssetsWithPrices, getQuote } = require("../services/prices");
+const Transaction = require("../models/Transaction");
+const { getQuote, detectCurrency } = require("../services/prices");
+const { getProviderStats } = require("../services/providers");
+const { resolveCoinId, rememberCoins, coinCandidates } = require("../services/coins");
+const { resolvePortfolio } = require("../services/portfolios");
+const { portfolioAccess, assetAccess, denial, logActivity } = require("../services/access");
+const { buildPositions } = require("../services/ledger");
+const { buildPortfolio } = require("../services/portfolio");
+const { notifyChanged } = require("../services/priceHub");
+const { SNAPSHOT_RANGES, getSnapshots } = require("../services/snapshots");
+const { getHistory } = require("../services/history");
+const { parseIndicators, computeIndicators } = require("../services/indicators");
+const { RETURN_PERIODS, computeReturns } = require("../services/returns");
+const { compareToBenchmarks } = require("../services/benchmarks");
+const { computeRisk } = require("../services/risk");
+const {
+  ASSET_TYPES,
+  FIELDS: IMPORT_FIELDS,
+  DECIMAL_SEPARATORS,
+  listPresets,
+  previewImport,
+  commitImport
+} = require("../services/importer");
 const axios = require("axios");
+const NodeCache = require("node-cache");
 const yahooFinance = require("yahoo-finance2").default;
 
 const router = express.Router();
 
-// Add asset
+// ?portfolioId: undefined for the consolidated view (the user's own portfolios), else
+// { portfolio, role } for a portfolio they own or that is shared with them, null otherwise
+async function selectedPortfolio(req) {
+  const id = req.query.portfolioId;
+  if (!id || id === "all") return undefined;
+  return portfolioAccess(req.user.id, String(id));
+}
+
+// Add asset (records a "buy" on the asset's ledger)
 const AddSchema = z.object({
   symbol: z.string().min(1),
   type: z.enum(["stock", "mutual_fund", "crypto", "commodity"]),
   quantity: z.number().positive(),
-  buyPrice: z.number().nonnegative()
+  buyPrice: z.number().nonnegative(),
+  date: z.coerce.date().optional(),
+  coinId: z.string().optional(), // crypto: CoinGecko id from /search
+  portfolioId: z.string().optional(), // defaults to the user's first portfolio; needs editor access
+  // currency buyPrice is quoted in; defaults to the symbol's trading currency
+  currency: z.string().regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter code").optional()
 });
 
 // === Search endpoint ===
-router.get("/search", async (req, res) => {
+// Public, so it's limited per IP and answers repeat queries from a cache instead of
+// spending Yahoo / CoinGecko quota on them
+const searchLimit = rateLimit({ name: "search", max: 30, windowSeconds: 60, message: "Too many searches" });
+const searchCache = new NodeCache({ stdTTL: Number(process.env.SEARCH_CACHE_SECONDS || 600) });
+const MAX_QUERY_LENGTH = 64;
+const MAX_RESULTS = 20;
+
+router.get("/search", searchLimit, async (req, res) => {
   try {
-    const keywords = req.query.q;
+    const keywords = String(req.query.q || "").trim();
     const type = req.query.type || "stock"; // default to stock
     if (!keywords) return res.status(400).json({ error: "Missing query" });
+    if (keywords.length > MAX_QUERY_LENGTH)
+      return res.status(400).json({ error: `Query must be at most ${MAX_QUERY_LENGTH} characters` });
+
+    const cacheKey = `${type === "crypto" ? "crypto" : "yahoo"}:${keywords.toLowerCase()}`;
+    const cached = searchCache.get(cacheKey);
+    if (cached) return res.json(cached);
 
     let results = [];
 
@@ -30,11 +80,21 @@ router.get("/search", async (req, res) => {
       const url = `https://api.coingecko.com/api/v3/search?query=${encodeURIComponent(
         keywords
       )}`;
-      const response = await axios.get(url);
-      const coins = response.data.coins || [];
+      const response = await axios.get(url).catch((err) => {
+        if (err.response?.status === 429) err.status = 503; // CoinGecko's limit, not the caller's
+        throw err;
+      });
+      const coins = (response.data.coins || []).slice(0, MAX_RESULTS);
+      await rememberCoins(coins);
+      // flag tickers shared by several coins so the user picks by name
+      const counts = {};
+      for (const c of coins) counts[c.symbol.toUpperCase()] = (counts[c.symbol.toUpperCase()] || 0) + 1;
       results = coins.map((c) => ({
         symbol: c.symbol.toUpperCase(),
+        coinId: c.id,
         name: c.name,
+        marketCapRank: c.market_cap_rank ?? null,
+        ambiguous: counts[c.symbol.toUpperCase()] > 1,
         region: "Crypto",
         currency: (process.env.CURRENCY || "USD").toUpperCase(),
       }));
@@ -54,11 +114,14 @@ router.get("/search", async (req, res) => {
           name: m.shortname || m.longname || m.symbol,
           region: m.quoteType || m.exchange || "Unknown",
           currency: m.currency || (process.env.CURRENCY || "USD"),
-        }));
+        }))
+        .slice(0, MAX_RESULTS);
     }
 
+    searchCache.set(cacheKey, results);
     res.json(results);
   } catch (err) {
+    if (err.status === 503) return res.status(503).json({ error: "Search is busy right now, try again in a minute" });
     res.status(500).json({ error: err.message || "Search failed" });
   }
 });
@@ -66,9 +129,67 @@ router.get("/search", async (req, res) => {
 // === Add asset ===
 router.post("/add", auth, async (req, res) => {
   try {
-    const parsed = AddSchema.parse(req.body);
-    const asset = await Asset.create({ ...parsed, userId: req.user.id });
-    res.status(201).json(asset);
+    const { symbol, type, quantity, buyPrice, date, currency, ...rest } = AddSchema.parse(req.body);
+    const access = await resolvePortfolio(req.user.id, rest.portfolioId);
+    const denied = denial(access, "editor");
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    // holdings in a shared portfolio belong to its owner, whoever records them
+    const { portfolio } = access;
+    const ownerId = portfolio.userId;
+    const query = { userId: ownerId, portfolioId: portfolio._id, symbol: symbol.toUpperCase(), type };
+    let coinId;
+    let asset;
+    if (type === "crypto") {
+      coinId = rest.coinId || (await resolveCoinId(symbol));
+      if (!coinId)
+        return res
+          .status(400)
+          .json({ error: `Unknown crypto symbol ${symbol}; pick the coin from the search suggestions` });
+      // same ticker, different coin = different holding; older holdings without an id adopt this one
+      asset =
+        (await Asset.findOne({ ...query, coinId })) ||
+        (await Asset.findOne({ ...query, coinId: { $exists: false } }));
+      if (asset && !asset.coinId) {
+        asset.coinId = coinId;
+        await asset.save();
+      }
+    } else {
+      // Adding to an existing holding appends to its ledger instead of duplicating it
+      asset = await Asset.findOne(query);
+    }
+    if (!asset) {
+      asset = await Asset.create({
+        symbol,
+        type,
+        coinId,
+        userId: ownerId,
+        portfolioId: portfolio._id,
+        currency: currency || (await detectCurrency(symbol, type))
+      });
+    } else if (currency && currency.toUpperCase() !== asset.currency) {
+      return res
+        .status(400)
+        .json({ error: `${asset.symbol} is recorded in ${asset.currency}` });
+    }
+    const transaction = await Transaction.create({
+      userId: ownerId,
+      assetId: asset._id,
+      type: "buy",
+      date: date || new Date(),
+      quantity,
+      price: buyPrice,
+      currency: asset.currency
+    });
+    const transactions = await Transaction.find({ assetId: asset._id }).lean();
+    await logActivity(
+      portfolio._id,
+      req.user.id,
+      "asset.added",
+      `Bought ${quantity} ${asset.symbol} at ${buyPrice} ${asset.currency}`,
+      { assetId: asset._id, transactionId: transaction._id }
+    );
+    notifyChanged(ownerId);
+    res.status(201).json(buildPositions([asset], transactions)[0]);
   } catch (err) {
     if (err?.issues)
       return res
@@ -78,23 +199,99 @@ router.post("/add", auth, async (req, res) => {
   }
 });
 
-// === Edit asset ===
+// === CSV import (dry-run preview first, then commit) ===
+const ImportSchema = z.object({
+  csv: z.string().min(1, "CSV is empty"),
+  preset: z.string().optional(),
+  mapping: z.record(z.string()).optional(),
+  defaultType: z.enum(ASSET_TYPES).optional(),
+  decimal: z.enum(DECIMAL_SEPARATORS).optional(),
+  portfolioId: z.string().optional(),
+  dryRun: z.boolean().default(true)
+});
+
+router.get("/import/presets", auth, (_req, res) => {
+  res.json({ fields: IMPORT_FIELDS, presets: listPresets() });
+});
+
+router.post("/import", auth, async (req, res) => {
+  try {
+    const { dryRun, portfolioId, ...options } = ImportSchema.parse(req.body);
+    const access = await resolvePortfolio(req.user.id, portfolioId);
+    const denied = denial(access, "editor");
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    const { portfolio } = access;
+    const preview = await previewImport(portfolio.userId, { ...options, portfolioId: portfolio._id });
+    if (dryRun) return res.json(preview);
+
+    if (!preview.rows.length) return res.status(400).json({ error: "No rows to import", ...preview });
+    if (preview.invalid)
+      return res
+        .status(400)
+        .json({ error: `${preview.invalid} row(s) failed validation; nothing was imported`, ...preview });
+
+    const result = await commitImport(portfolio.userId, preview.rows, { portfolioId: portfolio._id });
+    await logActivity(
+      portfolio._id,
+      req.user.id,
+      "import.committed",
+      `Imported ${result.transactionsCreated} transaction(s), ${result.assetsCreated} new asset(s)`,
+      { transactionsCreated: result.transactionsCreated, assetsCreated: result.assetsCreated }
+    );
+    notifyChanged(portfolio.userId);
+    res.status(201).json(result);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Import failed; no changes were saved" });
+  }
+});
+
+// === Edit asset (identity only; quantities live in /api/transactions) ===
 const EditSchema = z.object({
   symbol: z.string().min(1).optional(),
   type: z.enum(["stock", "mutual_fund", "crypto", "commodity"]).optional(),
-  quantity: z.number().positive().optional(),
-  buyPrice: z.number().nonnegative().optional()
+  // move the holding (with its ledger) to another portfolio of the same owner
+  portfolioId: z.string().optional(),
+  // allocation bucket; an empty string clears it
+  tag: z
+    .string()
+    .trim()
+    .max(40)
+    .transform((t) => t || undefined)
+    .optional()
 });
 
 router.put("/:id", auth, async (req, res) => {
   try {
     const updates = EditSchema.parse(req.body);
-    const asset = await Asset.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      { $set: updates },
-      { new: true }
-    );
-    if (!asset) return res.status(404).json({ error: "Asset not found" });
+    const access = await assetAccess(req.user.id, req.params.id);
+    const denied = denial(access, "editor", "Asset not found");
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    const { asset } = access;
+
+    const from = asset.portfolioId;
+    const moving = updates.portfolioId && String(updates.portfolioId) !== String(from);
+    if (moving) {
+      const target = await portfolioAccess(req.user.id, updates.portfolioId);
+      const deniedTarget = denial(target, "editor");
+      if (deniedTarget) return res.status(deniedTarget.status).json({ error: deniedTarget.error });
+      if (String(target.portfolio.userId) !== String(asset.userId))
+        return res.status(400).json({ error: "Assets can only move between portfolios with the same owner" });
+    }
+
+    asset.set(updates);
+    await asset.save();
+    if (moving) {
+      const details = { assetId: asset._id, from, to: asset.portfolioId };
+      await logActivity(from, req.user.id, "asset.moved", `Moved ${asset.symbol} to another portfolio`, details);
+      await logActivity(asset.portfolioId, req.user.id, "asset.moved", `Moved ${asset.symbol} in`, details);
+    } else {
+      await logActivity(from, req.user.id, "asset.updated", `Edited ${asset.symbol}`, { assetId: asset._id, ...updates });
+    }
+    notifyChanged(asset.userId);
     res.json(asset);
   } catch (err) {
     if (err?.issues)
@@ -108,50 +305,112 @@ router.put("/:id", auth, async (req, res) => {
 // === Delete asset ===
 router.delete("/:id", auth, async (req, res) => {
   try {
-    const asset = await Asset.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user.id
+    const access = await assetAccess(req.user.id, req.params.id);
+    const denied = denial(access, "editor", "Asset not found");
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    const { asset } = access;
+    await asset.deleteOne();
+    await Transaction.deleteMany({ assetId: asset._id });
+    await logActivity(asset.portfolioId, req.user.id, "asset.deleted", `Deleted ${asset.symbol} and its transactions`, {
+      assetId: asset._id,
+      symbol: asset.symbol
     });
-    if (!asset) return res.status(404).json({ error: "Asset not found" });
+    notifyChanged(asset.userId);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: "Failed to delete asset" });
   }
 });
 
-// === Get portfolio ===
-router.get("/:userId", auth, async (req, res) => {
+// === Portfolio value snapshots (recorded daily by services/snapshots.js) ===
+router.get("/snapshots", auth, async (req, res) => {
   try {
-    if (req.params.userId !== req.user.id)
-      return res.status(403).json({ error: "Forbidden" });
+    const range = SNAPSHOT_RANGES.includes(req.query.range) ? req.query.range : "6mo";
+    const access = await selectedPortfolio(req);
+    if (access === null) return res.status(404).json({ error: "Portfolio not found" });
+    const ownerId = access ? access.portfolio.userId : req.user.id;
+    const snapshots = await getSnapshots(ownerId, range, { portfolio: access?.portfolio });
+    res.json({ range, snapshots });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch snapshots" });
+  }
+});
 
-    const assets = await Asset.find({ userId: req.user.id }).sort({
-      createdAt: -1
-    });
-    const enriched = await enrichAssetsWithPrices(assets);
-
-    const totals = enriched.reduce(
-      (acc, a) => {
-        acc.invested += a.invested || 0;
-        acc.currentValue += a.currentValue || 0;
-        return acc;
-      },
-      { invested: 0, currentValue: 0 }
+// === Time- and money-weighted returns ===
+router.get("/returns", auth, async (req, res) => {
+  try {
+    const period = RETURN_PERIODS.includes(req.query.period) ? req.query.period : "inception";
+    const access = await selectedPortfolio(req);
+    if (access === null) return res.status(404).json({ error: "Portfolio not found" });
+    const ownerId = access ? access.portfolio.userId : req.user.id;
+    res.json(await computeReturns(ownerId, period, { portfolio: access?.portfolio }));
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Failed to compute returns" });
+  }
+});
+
+// === Portfolio and holdings vs benchmarks ===
+// ?benchmarks=^GSPC,BTC overrides the portfolio's saved list (DEFAULT_BENCHMARKS when it has none);
+// ?range as for /history
+router.get("/benchmarks", auth, async (req, res) => {
+  try {
+    const access = await selectedPortfolio(req);
+    if (access === null) return res.status(404).json({ error: "Portfolio not found" });
+    const ownerId = access ? access.portfolio.userId : req.user.id;
+    const benchmarks = req.query.benchmarks
+      ? String(req.query.benchmarks).split(",").map((s) => s.trim()).filter(Boolean)
+      : access?.portfolio.benchmarks;
+    res.json(
+      await compareToBenchmarks(ownerId, {
+        portfolio: access?.portfolio,
+        range: String(req.query.range || "1y"),
+        benchmarks
+      })
     );
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Failed to compare with benchmarks" });
+  }
+});
 
-    const net = totals.currentValue - totals.invested;
-    const netPct = totals.invested > 0 ? (net / totals.invested) * 100 : 0;
+// === Risk: volatility, drawdown, Sharpe/Sortino, VaR and correlations ===
+// ?range as for /history; ?confidence=90|95|99 for VaR
+router.get("/risk", auth, async (req, res) => {
+  try {
+    const access = await selectedPortfolio(req);
+    if (access === null) return res.status(404).json({ error: "Portfolio not found" });
+    const ownerId = access ? access.portfolio.userId : req.user.id;
+    res.json(
+      await computeRisk(ownerId, {
+        portfolio: access?.portfolio,
+        range: String(req.query.range || "1y"),
+        confidence: Number(req.query.confidence || 95)
+      })
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Failed to compute risk" });
+  }
+});
 
-    res.json({
-      currency: process.env.CURRENCY || "USD",
-      assets: enriched,
-      summary: {
-        totalInvested: totals.invested,
-        totalCurrentValue: totals.currentValue,
-        netPnL: net,
-        netPnLPct: netPct
-      }
-    });
+// === Quote provider health (fallback chains, error rates, latency) ===
+router.get("/providers", auth, (_req, res) => {
+  res.json(getProviderStats());
+});
+
+// === Get portfolio ===
+// ?method=fifo|lifo|average|specific overrides the user's saved cost-basis method
+// ?portfolioId=<id> limits it to one portfolio (own or shared with the user, any role);
+// without it (or "all") the user's own portfolios are consolidated
+router.get("/:userId", auth, async (req, res) => {
+  try {
+    const access = await selectedPortfolio(req);
+    if (access === null) return res.status(404).json({ error: "Portfolio not found" });
+    // a shared portfolio can be requested under its owner's id as well as the member's own
+    const ownerId = access ? String(access.portfolio.userId) : req.user.id;
+    if (req.params.userId !== req.user.id && req.params.userId !== ownerId)
+      return res.status(403).json({ error: "Forbidden" });
+
+    const data = await buildPortfolio(ownerId, { method: req.query.method, portfolio: access?.portfolio });
+    res.json({ ...data, role: access ? access.role : "owner" });
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch portfolio" });
   }
@@ -168,97 +427,65 @@ router.get("/quote/:type/:symbol", auth, async (req, res) => {
   }
 });
 
+// === Coins sharing a crypto ticker (for picking the right one) ===
+router.get("/coins/:symbol", auth, async (req, res) => {
+  try {
+    res.json(await coinCandidates(req.params.symbol));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to look up coins" });
+  }
+});
+
 // === History endpoint (robust) ===
+// ?indicators=sma:50,ema:20,bb:20:2,rsi:14,macd:12:26:9 adds server-computed overlays (see services/indicators.js);
+// the user's own buys of the symbol come back too, for markers on the chart.
+// ?type=crypto (&coinId=bitcoin) reads crypto history from CoinGecko instead of Yahoo
 router.get("/history/:symbol", auth, async (req, res) => {
   try {
     const { symbol } = req.params;
-    let range = (req.query.range || "6mo").toString();
-    let interval = (req.query.interval || "1d").toString();
-
-    // Allowed sets
-    const VALID_RANGES = new Set(["1mo", "3mo", "6mo", "1y", "5y", "max"]);
-    const VALID_INTERVALS = new Set(["1d", "1wk", "1mo"]);
-
-    // Normalize invalid values
-    if (!VALID_RANGES.has(range)) range = "6mo";
-    if (!VALID_INTERVALS.has(interval)) interval = "1d";
-
-    // helper: compute period1/period2 dates for fallback
-    function computePeriod(rangeKey) {
-      const end = new Date();
-      let start = new Date(end);
-      switch (rangeKey) {
-        case "1mo": start.setMonth(end.getMonth() - 1); break;
-        case "3mo": start.setMonth(end.getMonth() - 3); break;
-        case "6mo": start.setMonth(end.getMonth() - 6); break;
-        case "1y":  start.setFullYear(end.getFullYear() - 1); break;
-        case "5y":  start.setFullYear(end.getFullYear() - 5); break;
-        case "max": start = new Date(2000, 0, 1); break;
-        default:    start.setMonth(end.getMonth() - 6);
-      }
-      return { period1: start, period2: end };
-    }
-
-    // try chart(range, interval) first
-    let result;
-    let usedRange = range;
-    let usedInterval = interval;
-    let quotes = [];
-
+    const range = (req.query.range || "6mo").toString();
+    const interval = (req.query.interval || "1d").toString();
+    let specs;
     try {
-      result = await yahooFinance.chart(symbol, { range, interval });
-    } catch (errChart) {
-      // fallback: compute period1/period2 and retry
-      const { period1, period2 } = computePeriod(range);
-      result = await yahooFinance.chart(symbol, { period1, period2, interval });
-      // set usedRange to the computed actual dates for frontend clarity
-      usedRange = undefined; // not using range shorthand now
-      usedInterval = interval;
+      specs = parseIndicators(req.query.indicators);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    // Parse result into a consistent quotes array
-    if (result && Array.isArray(result.quotes) && result.quotes.length) {
-      quotes = result.quotes;
-    } else if (result && result.chart && Array.isArray(result.chart.result) && result.chart.result[0]) {
-      // low-level chart result shape -> build quotes
-      const r0 = result.chart.result[0];
-      const timestamps = r0.timestamp || [];
-      const quoteIndicators = (r0.indicators && r0.indicators.quote && r0.indicators.quote[0]) || {};
-      const opens = quoteIndicators.open || [];
-      const closes = quoteIndicators.close || [];
-      const highs = quoteIndicators.high || [];
-      const lows = quoteIndicators.low || [];
-      const volumes = quoteIndicators.volume || [];
-
-      quotes = timestamps.map((ts, i) => ({
-        date: new Date(ts * 1000),
-        open: opens[i] ?? null,
-        close: closes[i] ?? null,
-        high: highs[i] ?? null,
-        low: lows[i] ?? null,
-        volume: volumes[i] ?? null
-      }));
-    } else {
+    const type = req.query.type ? String(req.query.type) : undefined;
+    const coinId = req.query.coinId ? String(req.query.coinId) : undefined;
+    const {
+      range: usedRange,
+      interval: usedInterval,
+      currency,
+      stale,
+      history
+    } = await getHistory(symbol, { range, interval, type, coinId });
+    if (!history.length) {
       // no data
       return res.status(404).json({ error: "No historical data found", range: usedRange, interval: usedInterval, history: [] });
     }
 
-    // Normalize quotes into history records
-    const history = quotes
-      .filter(q => q && (q.close !== undefined && q.close !== null || q.price !== undefined)) // ensure meaningful entries
-      .map(q => ({
-        date: q.date instanceof Date ? q.date : new Date(q.date),
-        open: q.open ?? null,
-        close: (q.close ?? q.price) ?? null,
-        high: q.high ?? null,
-        low: q.low ?? null,
-        volume: q.volume ?? null
-      }));
+    const assets = await Asset.find({ userId: req.user.id, symbol: symbol.toUpperCase() }).lean();
+    const buys = await Transaction.find({ assetId: { $in: assets.map((a) => a._id) }, type: "buy" })
+      .sort({ date: 1 })
+      .lean();
+    const assetById = new Map(assets.map((a) => [String(a._id), a]));
 
     res.json({
       range: usedRange,
       interval: usedInterval,
-      history
+      currency,
+      stale, // the provider couldn't be reached; these are the stored bars
+      history,
+      indicators: computeIndicators(history, specs),
+      buys: buys.map((t) => ({
+        date: t.date,
+        quantity: t.quantity,
+        price: t.price,
+        currency: assetById.get(String(t.assetId)).currency,
+        portfolioId: assetById.get(String(t.assetId)).portfolioId
+      }))
     });
   } catch (err) {
     console.error("History fetch error:", err && err.stack ? err.stack : err);
@@ -0,0 +1,376 @@
+// routes/portfolios.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const auth = require("../middleware/auth");
+const Activity = require("../models/Activity");
+const AllocationTarget = require("../models/AllocationTarget");
+const Asset = require("../models/Asset");
+const Notification = require("../models/Notification");
+const Portfolio = require("../models/Portfolio");
+const PortfolioMember = require("../models/PortfolioMember");
+const PortfolioSnapshot = require("../models/PortfolioSnapshot");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const { getDefaultPortfolio } = require("../services/portfolios");
+const { ROLES, portfolioAccess, denial, sharedPortfolios, logActivity } = require("../services/access");
+const { sendMail } = require("../services/mailer");
+const { notifyChanged } = require("../services/priceHub");
+const { MAX_BENCHMARKS } = require("../services/benchmarks");
+
+const router = express.Router();
+
+const PortfolioSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(60),
+  baseCurrency: z
+    .string()
+    .regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter code")
+    .transform((c) => c.toUpperCase())
+    .optional(),
+  broker: z.string().trim().max(60).optional(),
+  benchmarks: z
+    .array(z.string().trim().toUpperCase().regex(/^[\^A-Z0-9.=-]{1,20}$/, "Benchmarks must be tickers like ^GSPC or BTC"))
+    .max(MAX_BENCHMARKS, `At most ${MAX_BENCHMARKS} benchmarks`)
+    .optional(),
+  notes: z.string().max(500).optional()
+});
+
+const InviteSchema = z.object({
+  email: z.string().trim().toLowerCase().pipe(z.string().email()),
+  role: z.enum(ROLES).default("viewer")
+});
+
+const RoleSchema = z.object({ role: z.enum(ROLES) });
+
+const ActivityQuery = z.object({
+  before: z.coerce.date({ errorMap: () => ({ message: "before must be a date" }) }).optional()
+});
+
+const duplicateName = (err) => err?.code === 11000;
+
+// Loads the portfolio in :id and checks the caller's role; sends the error and returns null when denied
+async function authorize(req, res, minRole) {
+  const access = await portfolioAccess(req.user.id, req.params.id);
+  const denied = denial(access, minRole);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  return access;
+}
+
+// Tell the invitee: in-app when they already have an account, and by email either way
+async function sendInvite(invite, portfolio, inviter) {
+  const title = "A portfolio was shared with you";
+  const message = `${inviter} invited you to "${portfolio.name}" as ${invite.role}. Accept it from your dashboard.`;
+  const user = await User.findOne({ email: invite.email });
+  if (user) await Notification.create({ userId: user._id, title, message });
+  await sendMail({ to: invite.email, subject: title, text: message }).catch((err) =>
+    console.error(`Invite email to ${invite.email} failed:`, err.message)
+  );
+}
+
+// === List portfolios: the user's own (with asset counts) and those shared with them ===
+router.get("/", auth, async (req, res) => {
+  try {
+    await getDefaultPortfolio(req.user.id); // every user has at least one
+    const portfolios = await Portfolio.find({ userId: req.user.id }).sort({ createdAt: 1 }).lean();
+    const counts = await Asset.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+      { $group: { _id: "$portfolioId", count: { $sum: 1 } } }
+    ]);
+    const byId = new Map(counts.map((c) => [String(c._id), c.count]));
+    const own = portfolios.map((p) => ({ ...p, role: "owner", assetCount: byId.get(String(p._id)) || 0 }));
+
+    const shared = await sharedPortfolios(req.user.id);
+    const sharedCounts = await Asset.aggregate([
+      { $match: { portfolioId: { $in: shared.map((p) => p._id) } } },
+      { $group: { _id: "$portfolioId", count: { $sum: 1 } } }
+    ]);
+    const sharedById = new Map(sharedCounts.map((c) => [String(c._id), c.count]));
+    res.json([
+      ...own,
+      ...shared.map((p) => ({ ...p, shared: true, assetCount: sharedById.get(String(p._id)) || 0 }))
+    ]);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch portfolios" });
+  }
+});
+
+// === Create portfolio ===
+router.post("/", auth, async (req, res) => {
+  try {
+    const parsed = PortfolioSchema.parse(req.body);
+    const portfolio = await Portfolio.create({ ...parsed, userId: req.user.id });
+    await logActivity(portfolio._id, req.user.id, "portfolio.created", `Created ${portfolio.name}`);
+    res.status(201).json(portfolio);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    if (duplicateName(err)) return res.status(409).json({ error: "You already have a portfolio with that name" });
+    res.status(500).json({ error: "Failed to create portfolio" });
+  }
+});
+
+// === Pending invites for the signed-in user's email ===
+router.get("/invites", auth, async (req, res) => {
+  try {
+    const invites = await PortfolioMember.find({ email: req.user.email, status: "pending" })
+      .populate({ path: "portfolioId", select: "name" })
+      .populate({ path: "invitedBy", select: "email" })
+      .lean();
+    res.json(
+      invites
+        .filter((i) => i.portfolioId) // the portfolio may have been deleted since
+        .map((i) => ({
+          _id: i._id,
+          portfolioId: i.portfolioId._id,
+          portfolioName: i.portfolioId.name,
+          role: i.role,
+          invitedBy: i.invitedBy?.email,
+          createdAt: i.createdAt
+        }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch invites" });
+  }
+});
+
+// === Accept / decline an invite ===
+router.post("/invites/:inviteId/:decision(accept|decline)", auth, async (req, res) => {
+  try {
+    const invite = await PortfolioMember.findOne({
+      _id: req.params.inviteId,
+      email: req.user.email,
+      status: "pending"
+    }).catch(() => null);
+    if (!invite) return res.status(404).json({ error: "Invite not found" });
+
+    if (req.params.decision === "decline") {
+      await invite.deleteOne();
+      return res.json({ ok: true });
+    }
+    // an invite goes to an address: only someone who has proven they own it may take it up
+    const user = await User.findById(req.user.id).select("email emailVerified");
+    if (!user || user.email !== invite.email)
+      return res.status(404).json({ error: "Invite not found" });
+    if (!user.emailVerified)
+      return res.status(403).json({ error: "Verify your email address before accepting an invite" });
+    invite.set({ userId: req.user.id, status: "active", acceptedAt: new Date() });
+    await invite.save();
+    await logActivity(invite.portfolioId, req.user.id, "member.joined", `${req.user.email} joined as ${invite.role}`);
+    res.json(invite);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to answer invite" });
+  }
+});
+
+// === Rename / edit portfolio (owners) ===
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const updates = PortfolioSchema.partial().parse(req.body);
+    const access = await authorize(req, res, "owner");
+    if (!access) return;
+    const { portfolio } = access;
+    const before = portfolio.toObject();
+    portfolio.set(updates);
+    await portfolio.save();
+    const changed = Object.keys(updates).filter((k) => JSON.stringify(before[k]) !== JSON.stringify(portfolio[k]));
+    if (changed.length)
+      await logActivity(portfolio._id, req.user.id, "portfolio.updated", `Changed ${changed.join(", ")}`, {
+        from: Object.fromEntries(changed.map((k) => [k, before[k]])),
+        to: Object.fromEntries(changed.map((k) => [k, portfolio[k]]))
+      });
+    if (updates.baseCurrency) notifyChanged(portfolio.userId);
+    res.json(portfolio);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    if (duplicateName(err)) return res.status(409).json({ error: "You already have a portfolio with that name" });
+    res.status(500).json({ error: "Failed to update portfolio" });
+  }
+});
+
+// === Delete portfolio (owners) ===
+// Refuses while it still holds assets, unless ?moveTo=<portfolioId> moves them first
+// or ?force=true deletes them with their transactions (only the creator, whose holdings they are).
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const access = await authorize(req, res, "owner");
+    if (!access) return;
+    const { portfolio } = access;
+    const ownerId = portfolio.userId;
+    if ((await Portfolio.countDocuments({ userId: ownerId })) === 1)
+      return res.status(400).json({ error: "A user's only portfolio can't be deleted" });
+
+    const assets = await Asset.find({ portfolioId: portfolio._id }, { _id: 1 }).lean();
+    if (assets.length) {
+      if (req.query.moveTo) {
+        // holdings stay with their owner, so they can only move to another of the owner's portfolios
+        const target = await Portfolio.findOne({ _id: req.query.moveTo, userId: ownerId }).catch(() => null);
+        if (!target || String(target._id) === String(portfolio._id))
+          return res.status(400).json({ error: "Pick another portfolio of the same owner to move the assets to" });
+        await Asset.updateMany({ portfolioId: portfolio._id }, { $set: { portfolioId: target._id } });
+      } else if (req.query.force === "true") {
+        if (String(ownerId) !== req.user.id)
+          return res.status(403).json({ error: "Only the portfolio's creator can delete its assets" });
+        const ids = assets.map((a) => a._id);
+        await Transaction.deleteMany({ assetId: { $in: ids } });
+        await Asset.deleteMany({ _id: { $in: ids } });
+      } else {
+        return res
+          .status(409)
+          .json({ error: `This portfolio still holds ${assets.length} asset(s)`, assetCount: assets.length });
+      }
+    }
+
+    await portfolio.deleteOne();
+    await PortfolioMember.deleteMany({ portfolioId: portfolio._id });
+    await Activity.deleteMany({ portfolioId: portfolio._id });
+    await AllocationTarget.deleteMany({ portfolioId: portfolio._id });
+    await PortfolioSnapshot.deleteMany({ portfolioId: portfolio._id });
+    notifyChanged(ownerId);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete portfolio" });
+  }
+});
+
+// === Members: the creator (always an owner) plus everyone invited ===
+router.get("/:id/members", auth, async (req, res) => {
+  try {
+    const access = await authorize(req, res, "viewer");
+    if (!access) return;
+    const { portfolio } = access;
+    const creator = await User.findById(portfolio.userId, { email: 1 }).lean();
+    const members = await PortfolioMember.find({ portfolioId: portfolio._id }).sort({ createdAt: 1 }).lean();
+    res.json({
+      role: access.role,
+      members: [
+        { userId: portfolio.userId, email: creator?.email, role: "owner", status: "active", creator: true },
+        ...members.map((m) => ({
+          _id: m._id,
+          userId: m.userId,
+          email: m.email,
+          role: m.role,
+          status: m.status,
+          acceptedAt: m.acceptedAt
+        }))
+      ]
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch members" });
+  }
+});
+
+// === Invite someone by email (owners) ===
+router.post("/:id/members", auth, async (req, res) => {
+  try {
+    const { email, role } = InviteSchema.parse(req.body);
+    const access = await authorize(req, res, "owner");
+    if (!access) return;
+    const { portfolio } = access;
+    const creator = await User.findById(portfolio.userId, { email: 1 }).lean();
+    if (email === creator?.email) return res.status(400).json({ error: "That's the portfolio's owner" });
+
+    let invite;
+    try {
+      invite = await PortfolioMember.create({ portfolioId: portfolio._id, email, role, invitedBy: req.user.id });
+    } catch (e) {
+      if (e?.code === 11000) return res.status(409).json({ error: `${email} is already invited` });
+      throw e;
+    }
+    await sendInvite(invite, portfolio, req.user.email);
+    await logActivity(portfolio._id, req.user.id, "member.invited", `Invited ${email} as ${role}`, {
+      memberId: invite._id
+    });
+    res.status(201).json(invite);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to invite member" });
+  }
+});
+
+// === Change a member's role (owners) ===
+router.put("/:id/members/:memberId", auth, async (req, res) => {
+  try {
+    const { role } = RoleSchema.parse(req.body);
+    const access = await authorize(req, res, "owner");
+    if (!access) return;
+    const member = await PortfolioMember.findOne({ _id: req.params.memberId, portfolioId: access.portfolio._id }).catch(
+      () => null
+    );
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    const from = member.role;
+    member.role = role;
+    await member.save();
+    if (from !== role)
+      await logActivity(access.portfolio._id, req.user.id, "member.updated", `${member.email}: ${from} → ${role}`, {
+        memberId: member._id
+      });
+    res.json(member);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to update member" });
+  }
+});
+
+// === Remove a member or cancel an invite (owners), or leave a shared portfolio (the member) ===
+router.delete("/:id/members/:memberId", auth, async (req, res) => {
+  try {
+    const access = await portfolioAccess(req.user.id, req.params.id);
+    if (!access) return res.status(404).json({ error: "Portfolio not found" });
+    const member = await PortfolioMember.findOne({ _id: req.params.memberId, portfolioId: access.portfolio._id }).catch(
+      () => null
+    );
+    if (!member) return res.status(404).json({ error: "Member not found" });
+    const leaving = String(member.userId) === String(req.user.id);
+    if (!leaving && access.role !== "owner")
+      return res.status(403).json({ error: "Only owners can remove other members" });
+
+    await member.deleteOne();
+    await logActivity(
+      access.portfolio._id,
+      req.user.id,
+      leaving ? "member.left" : "member.removed",
+      leaving ? `${member.email} left` : `Removed ${member.email}`,
+      { memberId: member._id }
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+// === Activity log (newest first; ?before=<ISO date> pages back) ===
+router.get("/:id/activity", auth, async (req, res) => {
+  try {
+    const access = await authorize(req, res, "viewer");
+    if (!access) return;
+    const { before } = ActivityQuery.parse(req.query);
+    const filter = { portfolioId: access.portfolio._id };
+    if (before) filter.createdAt = { $lt: before };
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const entries = await Activity.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate({ path: "userId", select: "email" })
+      .lean();
+    res.json(entries.map((e) => ({ ...e, userId: e.userId?._id, actor: e.userId?.email })));
+  } catch (err) {
+    if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to fetch activity" });
+  }
+});
+
+module.exports = router;
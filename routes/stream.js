@@ -0,0 +1,26 @@
+// routes/stream.js
+const express = require("express");
+const mongoose = require("mongoose");
+const auth = require("../middleware/auth");
+const { subscribe } = require("../services/priceHub");
+
+const router = express.Router();
+
+// EventSource can't set headers, so the (short-lived) access token comes in the query string;
+// the client reconnects with a fresh one after it expires
+function tokenFromQuery(req, _res, next) {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// === Live portfolio updates (Server-Sent Events); ?portfolioId follows a single portfolio ===
+router.get("/", tokenFromQuery, auth, (req, res) => {
+  const { portfolioId } = req.query;
+  if (portfolioId && portfolioId !== "all" && !mongoose.isValidObjectId(String(portfolioId)))
+    return res.status(400).json({ error: "Invalid portfolioId" });
+  subscribe(String(req.user.id), req, res, { portfolioId: req.query.portfolioId, sessionId: req.user.sessionId });
+});
+
+module.exports = router;
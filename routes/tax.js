@@ -0,0 +1,38 @@
+// routes/tax.js
+// Realized capital gains report. ?portfolioId selects one portfolio (any role can read it);
+// without it every portfolio the user owns is included. CSV/XLSX download: /api/export/tax
+const express = require("express");
+const auth = require("../middleware/auth");
+const { portfolioAccess } = require("../services/access");
+const { ReportQuery, defaultJurisdiction, listJurisdictions, taxReport } = require("../services/tax");
+
+const router = express.Router();
+
+// Parsed report options + whose ledger to read; { portfolio: null } when the portfolio isn't accessible
+async function reportScope(req) {
+  const options = ReportQuery.parse(req.query);
+  const id = req.query.portfolioId;
+  if (!id || id === "all") return { ownerId: req.user.id, options };
+  const access = await portfolioAccess(req.user.id, String(id));
+  if (!access) return { portfolio: null };
+  return { ownerId: access.portfolio.userId, portfolio: access.portfolio, options };
+}
+
+// === Jurisdictions with built-in or configured rules ===
+router.get("/jurisdictions", auth, (_req, res) => {
+  res.json({ default: defaultJurisdiction(), jurisdictions: listJurisdictions() });
+});
+
+// === Disposals in a tax year ===
+router.get("/report", auth, async (req, res) => {
+  try {
+    const { ownerId, portfolio, options } = await reportScope(req);
+    if (portfolio === null) return res.status(404).json({ error: "Portfolio not found" });
+    res.json(await taxReport(ownerId, { portfolio, ...options }));
+  } catch (err) {
+    if (err?.issues) return res.status(400).json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to build tax report" });
+  }
+});
+
+module.exports = router;
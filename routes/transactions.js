@@ -0,0 +1,300 @@
+// routes/transactions.js
+const express = require("express");
+const { z } = require("zod");
+const auth = require("../middleware/auth");
+const Transaction = require("../models/Transaction");
+const { TRANSACTION_TYPES, MERGER_TYPES } = require("../models/Transaction");
+const { derivePosition } = require("../services/ledger");
+const { notifyChanged } = require("../services/priceHub");
+const { recordMerger, linkedTransactions, syncCorporateActions } = require("../services/corporateActions");
+const { assetAccess, denial, logActivity } = require("../services/access");
+
+const router = express.Router();
+
+const LotsSchema = z
+  .array(z.object({ transactionId: z.string().min(1), quantity: z.number().positive() }))
+  .optional();
+
+const TransactionSchema = z
+  .object({
+    assetId: z.string().min(1),
+    type: z.enum(TRANSACTION_TYPES),
+    date: z.coerce.date().optional(),
+    quantity: z.number().nonnegative().optional(),
+    price: z.number().nonnegative().optional(),
+    amount: z.number().nonnegative().optional(),
+    fees: z.number().nonnegative().optional(),
+    currency: z.string().regex(/^[A-Za-z]{3}$/, "Currency must be a 3-letter code").optional(),
+    ratio: z.number().positive().optional(),
+    lots: LotsSchema,
+    notes: z.string().max(500).optional()
+  })
+  .superRefine((t, ctx) => {
+    if (MERGER_TYPES.includes(t.type))
+      ctx.addIssue({ code: "custom", message: "Record mergers with POST /api/transactions/merger" });
+    checkTransaction(t, ctx);
+  });
+
+const EditSchema = z.object({
+  date: z.coerce.date().optional(),
+  quantity: z.number().nonnegative().optional(),
+  price: z.number().nonnegative().optional(),
+  amount: z.number().nonnegative().optional(),
+  fees: z.number().nonnegative().optional(),
+  ratio: z.number().positive().optional(),
+  lots: LotsSchema,
+  notes: z.string().max(500).optional()
+});
+
+// An edit is checked as the whole transaction it leaves behind
+const EditedSchema = z.object({ type: z.enum(TRANSACTION_TYPES) }).passthrough().superRefine(checkTransaction);
+
+// Rules every entry obeys, whether new or edited
+function checkTransaction(t, ctx) {
+  if ((t.type === "buy" || t.type === "sell") && !(t.quantity > 0))
+    ctx.addIssue({ code: "custom", message: `${t.type} requires a positive quantity` });
+  if (["dividend", "interest", "fee"].includes(t.type) && !(t.amount > 0))
+    ctx.addIssue({ code: "custom", message: `${t.type} requires a positive amount` });
+  if ((t.type === "split" || t.type === "bonus") && !t.ratio)
+    ctx.addIssue({ code: "custom", message: `${t.type} requires a ratio` });
+  if (t.lots?.length && t.type !== "sell")
+    ctx.addIssue({ code: "custom", message: "lots only apply to sells" });
+  if (t.lots?.length && Math.abs(t.lots.reduce((sum, l) => sum + l.quantity, 0) - t.quantity) > 1e-9)
+    ctx.addIssue({ code: "custom", message: "lot quantities must add up to the sell quantity" });
+}
+
+const MergerSchema = z.object({
+  fromAssetId: z.string().min(1),
+  toSymbol: z.string().min(1),
+  toType: z.enum(["stock", "mutual_fund", "crypto", "commodity"]),
+  toCoinId: z.string().optional(),
+  ratio: z.number().positive(), // acquirer units per unit given up
+  date: z.coerce.date().optional(),
+  notes: z.string().max(500).optional()
+});
+
+const SyncSchema = z.object({
+  assetId: z.string().min(1),
+  dryRun: z.boolean().default(false)
+});
+
+// Replays the ledger with a pending change; throws if it would go negative
+// or a sell names a lot that isn't open ("specific" checks named lots, FIFO otherwise)
+async function assertLedgerValid(assetId, apply) {
+  const existing = await Transaction.find({ assetId }).lean();
+  derivePosition(apply(existing), "specific");
+}
+
+// One line for the activity log, e.g. "Sold 5 AAPL at 190"
+function describe(t, symbol) {
+  switch (t.type) {
+    case "buy": return `Bought ${t.quantity} ${symbol} at ${t.price}`;
+    case "sell": return `Sold ${t.quantity} ${symbol} at ${t.price}`;
+    case "split":
+    case "bonus": return `${t.type} of ${t.ratio} on ${symbol}`;
+    default: return `${t.type} of ${t.amount} on ${symbol}`;
+  }
+}
+
+// Loads the asset a request acts on and checks the caller's role on its portfolio;
+// sends the error response and returns null when they may not
+async function authorizeAsset(req, res, assetId, minRole, notFound = "Asset not found") {
+  const access = await assetAccess(req.user.id, assetId);
+  const denied = denial(access, minRole, notFound);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  return access.asset;
+}
+
+// === List transactions (one asset's, which may be in a shared portfolio, or all of the user's own) ===
+router.get("/", auth, async (req, res) => {
+  try {
+    let filter = { userId: req.user.id };
+    if (req.query.assetId) {
+      const asset = await authorizeAsset(req, res, req.query.assetId, "viewer");
+      if (!asset) return;
+      filter = { assetId: asset._id };
+    }
+    const transactions = await Transaction.find(filter).sort({ date: -1, createdAt: -1 });
+    res.json(transactions);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch transactions" });
+  }
+});
+
+// === Record a transaction ===
+router.post("/", auth, async (req, res) => {
+  try {
+    const parsed = TransactionSchema.parse(req.body);
+    const asset = await authorizeAsset(req, res, parsed.assetId, "editor");
+    if (!asset) return;
+    // The ledger is replayed in one currency, so every entry must use the asset's
+    if (parsed.currency && parsed.currency.toUpperCase() !== asset.currency)
+      return res
+        .status(400)
+        .json({ error: `${asset.symbol} is recorded in ${asset.currency}` });
+
+    const candidate = { ...parsed, date: parsed.date || new Date(), currency: asset.currency };
+    try {
+      await assertLedgerValid(asset._id, (txns) => [...txns, candidate]);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // the ledger belongs to the asset's owner, whoever records the entry
+    const transaction = await Transaction.create({ ...candidate, userId: asset.userId });
+    await logActivity(asset.portfolioId, req.user.id, "transaction.added", describe(transaction, asset.symbol), {
+      assetId: asset._id,
+      transactionId: transaction._id
+    });
+    notifyChanged(asset.userId);
+    res.status(201).json(transaction);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to record transaction" });
+  }
+});
+
+// === Merger / acquisition (moves the holding and its cost basis to the acquirer) ===
+router.post("/merger", auth, async (req, res) => {
+  try {
+    const parsed = MergerSchema.parse(req.body);
+    const from = await authorizeAsset(req, res, parsed.fromAssetId, "editor");
+    if (!from) return;
+
+    let result;
+    try {
+      result = await recordMerger(from.userId, from, parsed);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    await logActivity(
+      from.portfolioId,
+      req.user.id,
+      "merger.recorded",
+      `${result.converted} ${from.symbol} merged into ${result.received} ${result.to.symbol}`,
+      { groupId: result.groupId, fromAssetId: from._id, toAssetId: result.to._id }
+    );
+    notifyChanged(from.userId);
+    res.status(201).json({
+      groupId: result.groupId,
+      fromAssetId: result.from._id,
+      toAssetId: result.to._id,
+      converted: result.converted,
+      received: result.received
+    });
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to record merger" });
+  }
+});
+
+// === Pull dividends + splits from the price provider (dryRun previews) ===
+router.post("/sync-events", auth, async (req, res) => {
+  try {
+    const { assetId, dryRun } = SyncSchema.parse(req.body);
+    const asset = await authorizeAsset(req, res, assetId, dryRun ? "viewer" : "editor");
+    if (!asset) return;
+
+    const { added, skipped } = await syncCorporateActions(asset.userId, asset, { dryRun });
+    if (!dryRun && added.length) {
+      await logActivity(
+        asset.portfolioId,
+        req.user.id,
+        "events.synced",
+        `Synced ${added.length} dividend/split event(s) for ${asset.symbol}`,
+        { assetId: asset._id, count: added.length }
+      );
+      notifyChanged(asset.userId);
+    }
+    res.json({ dryRun, added, skipped });
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: err.message || "Failed to sync corporate actions" });
+  }
+});
+
+// === Edit a transaction ===
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const updates = EditSchema.parse(req.body);
+    const transaction = await Transaction.findById(req.params.id).catch(() => null);
+    if (!transaction) return res.status(404).json({ error: "Transaction not found" });
+    const asset = await authorizeAsset(req, res, transaction.assetId, "editor", "Transaction not found");
+    if (!asset) return;
+    if (MERGER_TYPES.includes(transaction.type))
+      return res.status(400).json({ error: "Mergers can't be edited; undo and record it again" });
+    // lots picked for the old quantity no longer fit: without new picks the sell goes back to FIFO
+    if (updates.quantity !== undefined && updates.quantity !== transaction.quantity && !updates.lots)
+      updates.lots = [];
+    EditedSchema.parse({ ...transaction.toObject(), ...updates });
+
+    try {
+      await assertLedgerValid(transaction.assetId, (txns) =>
+        txns.map((t) => (String(t._id) === String(transaction._id) ? { ...t, ...updates } : t))
+      );
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    transaction.set(updates);
+    await transaction.save();
+    await logActivity(asset.portfolioId, req.user.id, "transaction.updated", `Edited: ${describe(transaction, asset.symbol)}`, {
+      assetId: asset._id,
+      transactionId: transaction._id,
+      changes: updates
+    });
+    notifyChanged(asset.userId);
+    res.json(transaction);
+  } catch (err) {
+    if (err?.issues)
+      return res
+        .status(400)
+        .json({ error: err.issues[0]?.message || "Invalid input" });
+    res.status(500).json({ error: "Failed to edit transaction" });
+  }
+});
+
+// === Undo (delete) a transaction ===
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const transaction = await Transaction.findById(req.params.id).catch(() => null);
+    if (!transaction) return res.status(404).json({ error: "Transaction not found" });
+    const asset = await authorizeAsset(req, res, transaction.assetId, "editor", "Transaction not found");
+    if (!asset) return;
+
+    // a merger is undone as a whole: both assets' ledgers must stay valid without it
+    const linked = await linkedTransactions(transaction);
+    const ids = new Set(linked.map((t) => String(t._id)));
+    try {
+      for (const assetId of new Set(linked.map((t) => String(t.assetId)))) {
+        await assertLedgerValid(assetId, (txns) => txns.filter((t) => !ids.has(String(t._id))));
+      }
+    } catch (e) {
+      return res.status(400).json({ error: `Cannot undo: ${e.message}` });
+    }
+
+    await Transaction.deleteMany({ _id: { $in: [...ids] }, userId: transaction.userId });
+    await logActivity(asset.portfolioId, req.user.id, "transaction.deleted", `Undid: ${describe(transaction, asset.symbol)}`, {
+      assetId: asset._id,
+      transactionIds: [...ids]
+    });
+    notifyChanged(asset.userId);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete transaction" });
+  }
+});
+
+module.exports = router;
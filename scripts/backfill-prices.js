@@ -0,0 +1,57 @@
+// scripts/backfill-prices.js
+// Fill the price store for every held symbol and benchmark: node scripts/backfill-prices.js [range]
+// Without a range each holding goes back to its first trade and benchmarks to their start.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Asset = require("../models/Asset");
+const Portfolio = require("../models/Portfolio");
+const Transaction = require("../models/Transaction");
+const { VALID_RANGES, computePeriod } = require("../services/history");
+const { DEFAULT_BENCHMARKS } = require("../services/benchmarks");
+const { getBars } = require("../services/priceStore");
+
+(async () => {
+  const range = process.argv[2];
+  try {
+    if (range && !VALID_RANGES.has(range)) throw new Error(`Unknown range "${range}"`);
+    await mongoose.connect(process.env.MONGO_URI);
+    const rangeStart = range ? computePeriod(range).period1 : null;
+
+    const firstTrades = await Transaction.aggregate([{ $group: { _id: "$assetId", first: { $min: "$date" } } }]);
+    const firstTrade = new Map(firstTrades.map((t) => [String(t._id), t.first]));
+    const series = new Map(); // one download per symbol, from the earliest day anyone needs
+    for (const a of await Asset.find({}).lean()) {
+      const from = rangeStart || firstTrade.get(String(a._id));
+      if (!from) continue;
+      const key = `${a.type}:${a.symbol}:${a.coinId || ""}`;
+      const seen = series.get(key);
+      if (!seen || from < seen.from) series.set(key, { symbol: a.symbol, type: a.type, coinId: a.coinId, from });
+    }
+    const benchmarks = new Set(DEFAULT_BENCHMARKS);
+    for (const p of await Portfolio.find({ benchmarks: { $exists: true } }, { benchmarks: 1 }).lean()) {
+      (p.benchmarks || []).forEach((b) => benchmarks.add(b));
+    }
+    for (const symbol of benchmarks) {
+      series.set(`index:${symbol}`, { symbol, type: "index", from: rangeStart || new Date(0) });
+    }
+
+    let failed = 0;
+    for (const { symbol, type, coinId, from } of series.values()) {
+      try {
+        const { bars, stale } = await getBars(symbol, { type, coinId, from });
+        const note = stale ? " (provider unreachable, kept stored bars)" : "";
+        console.log(`${symbol} (${type}): ${bars.length} bar(s)${note}`);
+      } catch (err) {
+        failed++;
+        console.error(`${symbol} (${type}) failed:`, err.message);
+      }
+    }
+    console.log(`Backfilled ${series.size - failed} of ${series.size} series`);
+    if (failed) process.exitCode = 1;
+  } catch (err) {
+    console.error("Price backfill failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
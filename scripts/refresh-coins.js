@@ -0,0 +1,18 @@
+// scripts/refresh-coins.js
+// Reload the crypto symbol registry: node scripts/refresh-coins.js [path/to/coins-list.json]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { refreshCoinList } = require("../services/coins");
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    const { count, source } = await refreshCoinList(process.argv[2] || process.env.COIN_LIST_FILE);
+    console.log(`Loaded ${count} coin(s) from ${source}`);
+  } catch (err) {
+    console.error("Coin list refresh failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -10,19 +10,43 @@ const axios = require("axios");
 
 const authRoutes = require("./routes/auth");
 const portfolioRoutes = require("./routes/portfolio");
+const portfoliosRoutes = require("./routes/portfolios");
+const transactionRoutes = require("./routes/transactions");
+const exportRoutes = require("./routes/export");
+const alertRoutes = require("./routes/alerts");
+const notificationRoutes = require("./routes/notifications");
+const streamRoutes = require("./routes/stream");
+const allocationRoutes = require("./routes/allocation");
+const taxRoutes = require("./routes/tax");
+const { migrateLegacyAssets } = require("./services/ledger");
+const { migrateSnapshotIndexes, startSnapshotScheduler } = require("./services/snapshots");
+const { startAlertWorker } = require("./services/alerts");
+const { seedPreferred } = require("./services/coins");
+const { migrateAssetsToPortfolios } = require("./services/portfolios");
+const { rateLimit } = require("./middleware/rateLimit");
 
 const app = express();
 
 
 // Middleware
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || false); // real client IPs for the sessions list
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // CSV imports arrive as JSON-wrapped text
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/api", rateLimit({ name: "ip", max: 600, windowSeconds: 60 })); // per client IP, on top of the per-user limit
 
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/portfolio", portfolioRoutes);
+app.use("/api/portfolios", portfoliosRoutes);
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/export", exportRoutes);
+app.use("/api/alerts", alertRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/allocation", allocationRoutes);
+app.use("/api/tax", taxRoutes);
 
 
 // Health check
@@ -46,7 +70,15 @@ process.exit(1);
 }
 await mongoose.connect(process.env.MONGO_URI);
 console.log("MongoDB connected");
+const migrated = await migrateLegacyAssets();
+if (migrated) console.log(`Migrated ${migrated} legacy asset(s) into the transaction ledger`);
+const grouped = await migrateAssetsToPortfolios();
+if (grouped) console.log(`Moved ${grouped} asset(s) into default portfolios`);
+if (await migrateSnapshotIndexes()) console.log("Snapshots are now recorded per portfolio");
+await seedPreferred();
 app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
+startSnapshotScheduler();
+startAlertWorker();
 } catch (err) {
 console.error("Failed to start server", err);
 process.exit(1);
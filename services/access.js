@@ -0,0 +1,66 @@
+// services/access.js
+// Role-based access to (possibly shared) portfolios, plus the activity log.
+// Assets and transactions always belong to the portfolio's creator (userId); members act on them
+// through their role: viewers read, editors also change holdings and trades, owners also manage
+// the portfolio itself and its members.
+const mongoose = require("mongoose");
+const Activity = require("../models/Activity");
+const Asset = require("../models/Asset");
+const Portfolio = require("../models/Portfolio");
+const PortfolioMember = require("../models/PortfolioMember");
+const { ROLES } = require("../models/PortfolioMember");
+
+const hasRole = (role, minRole) => ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+// ✅ { portfolio, role } for a user, or null when the portfolio isn't theirs or shared with them
+async function portfolioAccess(userId, portfolioId) {
+  if (!mongoose.isValidObjectId(portfolioId)) return null;
+  const portfolio = await Portfolio.findById(portfolioId);
+  if (!portfolio) return null;
+  if (String(portfolio.userId) === String(userId)) return { portfolio, role: "owner" };
+  const member = await PortfolioMember.findOne({ portfolioId: portfolio._id, userId, status: "active" }).lean();
+  return member ? { portfolio, role: member.role } : null;
+}
+
+// ✅ Same for the portfolio an asset sits in: { asset, portfolio, role } or null
+async function assetAccess(userId, assetId) {
+  if (!mongoose.isValidObjectId(assetId)) return null;
+  const asset = await Asset.findById(assetId);
+  if (!asset) return null;
+  const access = await portfolioAccess(userId, asset.portfolioId);
+  return access && { ...access, asset };
+}
+
+// The response for a failed check: 404 without any access (existence isn't revealed), 403 when the
+// role is too low. null means the check passed.
+function denial(access, minRole, notFound = "Portfolio not found") {
+  if (!access) return { status: 404, error: notFound };
+  if (!hasRole(access.role, minRole))
+    return { status: 403, error: `You need ${minRole} access to this portfolio (you are a ${access.role})` };
+  return null;
+}
+
+// ✅ Portfolios other users shared with this user (accepted invites), with the member's role
+async function sharedPortfolios(userId) {
+  const memberships = await PortfolioMember.find({ userId, status: "active" }).lean();
+  const portfolios = await Portfolio.find({ _id: { $in: memberships.map((m) => m.portfolioId) } })
+    .populate("userId", "email")
+    .lean();
+  return portfolios.map((p) => ({
+    ...p,
+    userId: p.userId?._id,
+    ownerEmail: p.userId?.email,
+    role: memberships.find((m) => String(m.portfolioId) === String(p._id)).role
+  }));
+}
+
+// ✅ Append to a portfolio's activity log; logging never fails the change it describes
+async function logActivity(portfolioId, userId, action, summary, details) {
+  try {
+    await Activity.create({ portfolioId, userId, action, summary, details });
+  } catch (err) {
+    console.error(`Activity log failed (${action}):`, err.message);
+  }
+}
+
+module.exports = { ROLES, hasRole, portfolioAccess, assetAccess, denial, sharedPortfolios, logActivity };
@@ -0,0 +1,100 @@
+// services/accounts.js
+// Account recovery + verification: emailed single-use tokens and the password changes they allow.
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const UserToken = require("../models/UserToken");
+const { sendMail, mailInBackground } = require("./mailer");
+const { revokeAllSessions } = require("./sessions");
+
+const TOKEN_TTL_MS = {
+  verify_email: Number(process.env.VERIFY_EMAIL_HOURS || 48) * 3600 * 1000,
+  reset_password: Number(process.env.RESET_PASSWORD_MINUTES || 60) * 60 * 1000
+};
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "");
+
+// ✅ New token of a type for a user; any earlier one of the same type stops working
+async function issueToken(userId, type) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await UserToken.deleteMany({ userId, type });
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+  await UserToken.create({ userId, type, tokenHash: hash(token), expiresAt });
+  return token;
+}
+
+// ✅ Use up a token: returns its user, or null when it's unknown, expired or already used
+async function consumeToken(token, type) {
+  if (!token) return null;
+  const doc = await UserToken.findOneAndDelete({ tokenHash: hash(token), type, expiresAt: { $gt: new Date() } });
+  return doc ? User.findById(doc.userId) : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueToken(user._id, "verify_email");
+  const link = `${appUrl()}/verify-email.html?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Welcome to Portfolio Tracker!\n\nConfirm your email address by opening this link:\n${link}\n\nIt expires in ${
+      TOKEN_TTL_MS.verify_email / 3600000
+    } hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueToken(user._id, "reset_password");
+  const link = `${appUrl()}/reset-password.html?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Someone (hopefully you) asked to reset your Portfolio Tracker password.\n\nChoose a new one here:\n${link}\n\nThe link expires in ${
+      TOKEN_TTL_MS.reset_password / 60000
+    } minutes. If you didn't ask for this, ignore this email; your password stays the same.`
+  });
+}
+
+// ✅ Mark the user behind a verification token as verified; returns the user or null
+async function verifyEmail(token) {
+  const user = await consumeToken(token, "verify_email");
+  if (!user) return null;
+  if (!user.emailVerified) {
+    user.set({ emailVerified: true, emailVerifiedAt: new Date() });
+    await user.save();
+  }
+  return user;
+}
+
+// ✅ Store a new password and sign out other devices (all of them unless keepSessionId is given)
+async function setPassword(user, password, { keepSessionId } = {}) {
+  // a new password also lifts any sign-in lockout
+  user.set({
+    password: await bcrypt.hash(password, 10),
+    passwordChangedAt: new Date(),
+    failedLogins: 0,
+    lockedUntil: undefined
+  });
+  await user.save();
+  await revokeAllSessions(user._id, { except: keepSessionId, reason: "password_changed" });
+  mailInBackground(
+    sendMail({
+      to: user.email,
+      subject: "Your password was changed",
+      text: "The password for your Portfolio Tracker account was just changed. If this wasn't you, reset it right away from the sign-in page."
+    }),
+    "Password-change"
+  );
+}
+
+// ✅ Reset a password with an emailed token; returns the user or null for a bad token.
+// Following the link also proves the address, so it counts as verification.
+async function resetPassword(token, password) {
+  const user = await consumeToken(token, "reset_password");
+  if (!user) return null;
+  if (!user.emailVerified) user.set({ emailVerified: true, emailVerifiedAt: new Date() });
+  await setPassword(user, password);
+  return user;
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, verifyEmail, resetPassword, setPassword };
@@ -0,0 +1,137 @@
+// services/alerts.js
+// Background evaluator for PriceAlert rules, using getQuotes (and the ledger for P&L alerts)
+const PriceAlert = require("../models/PriceAlert");
+const Transaction = require("../models/Transaction");
+const Asset = require("../models/Asset");
+const User = require("../models/User");
+const { getQuotes, quoteKey } = require("./prices");
+const { derivePosition } = require("./ledger");
+const { getFxRate, normalizeCurrency } = require("./fx");
+const { deliver } = require("./notifiers");
+
+const INTERVAL_MS = Number(process.env.ALERT_INTERVAL_SECONDS || 60) * 1000;
+
+// Unrealized P&L % of a holding at `price` (quote currency converted into the ledger currency),
+// on the owner's cost-basis method so it matches the dashboard
+async function holdingPnlPct(alert, quote) {
+  const asset = await Asset.findOne({ _id: alert.assetId, userId: alert.userId });
+  if (!asset) throw new Error("Holding no longer exists");
+  const user = await User.findById(alert.userId, { costBasisMethod: 1 }).lean();
+  const txns = await Transaction.find({ assetId: asset._id }).lean();
+  const { quantity, invested } = derivePosition(txns, user?.costBasisMethod || "fifo");
+  if (!(invested > 0)) throw new Error("Holding has no open cost basis");
+
+  const quoted = normalizeCurrency(quote.currency || asset.currency);
+  const price = quote.price * quoted.factor * (await getFxRate(quoted.currency, asset.currency));
+  return ((price * quantity - invested) / invested) * 100;
+}
+
+// A quote in whole currency units, the way holdings are valued: LSE quotes in pence ("GBp")
+// while a threshold is set in pounds
+function quotedPrice(quote) {
+  const { currency, factor } = normalizeCurrency(quote.currency);
+  return { price: quote.price * factor, currency };
+}
+
+// ✅ Value the rule watches, and whether it has crossed its threshold
+async function check(alert, quote) {
+  switch (alert.kind) {
+    case "price_above": {
+      const { price } = quotedPrice(quote);
+      return { value: price, hit: price >= alert.threshold };
+    }
+    case "price_below": {
+      const { price } = quotedPrice(quote);
+      return { value: price, hit: price <= alert.threshold };
+    }
+    case "day_move_pct": {
+      if (quote.changePct === null || quote.changePct === undefined) {
+        throw new Error("Daily change not available for this symbol");
+      }
+      return { value: quote.changePct, hit: Math.abs(quote.changePct) >= Math.abs(alert.threshold) };
+    }
+    case "pnl_pct_above": {
+      const value = await holdingPnlPct(alert, quote);
+      return { value, hit: value >= alert.threshold };
+    }
+    case "pnl_pct_below": {
+      const value = await holdingPnlPct(alert, quote);
+      return { value, hit: value <= alert.threshold };
+    }
+    default:
+      throw new Error(`Unknown alert kind: ${alert.kind}`);
+  }
+}
+
+function describe(alert, value, quote) {
+  const fmt = (n) => Number(n).toFixed(2);
+  switch (alert.kind) {
+    case "price_above":
+      return `${alert.symbol} is at ${fmt(value)} ${quotedPrice(quote).currency || ""}, above ${fmt(alert.threshold)}`;
+    case "price_below":
+      return `${alert.symbol} is at ${fmt(value)} ${quotedPrice(quote).currency || ""}, below ${fmt(alert.threshold)}`;
+    case "day_move_pct":
+      return `${alert.symbol} moved ${fmt(value)}% today (alert at ±${fmt(Math.abs(alert.threshold))}%)`;
+    default:
+      return `Your ${alert.symbol} holding is at ${fmt(value)}% P&L (alert at ${fmt(alert.threshold)}%)`;
+  }
+}
+
+// ✅ One pass over every active alert; quotes for all of them are fetched in one batch
+async function evaluateAlerts() {
+  const alerts = await PriceAlert.find({ active: true });
+  const quotes = await getQuotes(alerts.map((a) => ({ symbol: a.symbol, type: a.assetType, coinId: a.coinId })));
+  let triggered = 0;
+
+  for (const alert of alerts) {
+    try {
+      const quote = quotes.get(quoteKey({ symbol: alert.symbol, type: alert.assetType, coinId: alert.coinId }));
+      if (quote instanceof Error) throw quote;
+      if (quote.stale) throw new Error("Only a stale quote is available; not evaluating");
+      const { value, hit } = await check(alert, quote);
+
+      alert.lastCheckedAt = new Date();
+      alert.lastError = undefined;
+      if (hit) {
+        alert.active = false;
+        alert.triggeredAt = new Date();
+        alert.triggeredValue = value;
+        const user = await User.findById(alert.userId);
+        if (user) {
+          const errors = await deliver({
+            user,
+            alert,
+            notification: { title: `Alert: ${alert.symbol}`, message: describe(alert, value, quote) }
+          });
+          if (errors.length) alert.lastError = errors.join("; ");
+        }
+        triggered++;
+      }
+    } catch (err) {
+      alert.lastCheckedAt = new Date();
+      alert.lastError = err.message;
+    }
+    await alert.save();
+  }
+  return triggered;
+}
+
+function startAlertWorker() {
+  let running = false;
+  const run = async () => {
+    if (running) return; // a slow pass shouldn't overlap the next tick
+    running = true;
+    try {
+      const n = await evaluateAlerts();
+      if (n) console.log(`Triggered ${n} price alert(s)`);
+    } catch (err) {
+      console.error("Alert worker failed", err);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  return setInterval(run, INTERVAL_MS);
+}
+
+module.exports = { evaluateAlerts, startAlertWorker };
@@ -0,0 +1,158 @@
+// services/benchmarks.js
+// The portfolio and its holdings against market benchmarks: growth rebased to 100, plus alpha,
+// beta and tracking error from daily returns on the days both series have a close.
+const { VALID_RANGES, computePeriod, getDailyCloses } = require("./history");
+const { buildAssetSeries, combineSeries, growthIndex } = require("./returns");
+
+const DEFAULT_BENCHMARKS = (process.env.DEFAULT_BENCHMARKS || "^GSPC")
+  .split(",")
+  .map((s) => s.trim().toUpperCase())
+  .filter(Boolean);
+const MAX_BENCHMARKS = 5;
+const RISK_FREE_RATE = Number(process.env.RISK_FREE_RATE || 0); // annual, e.g. 0.04 for 4%
+const MIN_OBSERVATIONS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (d) => new Date(d).toISOString().slice(0, 10);
+
+// Index and Yahoo tickers (^GSPC, ^NSEI, VT) are used as-is; a bare crypto ticker (BTC) that Yahoo
+// doesn't know falls back to its fiat pair (BTC-USD)
+async function benchmarkCloses(symbol, from) {
+  const bare = /^[A-Z0-9]+$/.test(symbol);
+  try {
+    const result = await getDailyCloses(symbol, "index", from);
+    if (result.closes.some((c) => c.close != null)) return result;
+  } catch (err) {
+    if (!bare) throw err;
+  }
+  if (bare) {
+    const result = await getDailyCloses(symbol, "crypto", from);
+    if (result.closes.some((c) => c.close != null)) return result;
+  }
+  throw new Error(`No price history for ${symbol}`);
+}
+
+// Price index rebased to 100 at the last close on or before `start`
+function rebase(closes, start) {
+  const valid = closes.filter((c) => c.close != null);
+  const before = valid.filter((c) => c.date <= start);
+  const base = (before.length ? before[before.length - 1] : valid[0]).close;
+  return valid.filter((c) => c.date >= start).map((c) => ({ key: dayKey(c.date), value: (c.close / base) * 100 }));
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const covariance = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  return xs.reduce((acc, x, i) => acc + (x - mx) * (ys[i] - my), 0) / (xs.length - 1);
+};
+
+// ✅ Alpha (annualized, Jensen's), beta, tracking error (annualized) and correlation of a subject
+// index against a benchmark index; both are [{ key, value }] with null before the subject existed
+function compare(subject, benchmark) {
+  const bench = new Map(benchmark.map((p) => [p.key, p.value]));
+  const common = subject.filter((p) => p.value != null && bench.has(p.key));
+  if (common.length < MIN_OBSERVATIONS + 1)
+    return { observations: Math.max(0, common.length - 1), insufficient: true };
+
+  const rs = [];
+  const rb = [];
+  for (let i = 1; i < common.length; i++) {
+    rs.push(common[i].value / common[i - 1].value - 1);
+    rb.push(bench.get(common[i].key) / bench.get(common[i - 1].key) - 1);
+  }
+  // weekends count for crypto, not for stocks: annualize by how often the two actually overlap
+  const years = (new Date(common[common.length - 1].key) - new Date(common[0].key)) / (365.25 * DAY_MS);
+  const perYear = years > 0 ? rs.length / years : 252;
+  const rf = RISK_FREE_RATE / perYear;
+
+  const varB = covariance(rb, rb);
+  const varS = covariance(rs, rs);
+  const cov = covariance(rs, rb);
+  const beta = varB > 0 ? cov / varB : null;
+  const alpha = beta === null ? null : (mean(rs) - rf - beta * (mean(rb) - rf)) * perYear;
+  const active = rs.map((r, i) => r - rb[i]);
+  const trackingError = Math.sqrt(covariance(active, active) * perYear);
+  const growth = (first, last) => (last / first - 1) * 100;
+  const returnPct = growth(common[0].value, common[common.length - 1].value);
+  const benchmarkReturnPct = growth(bench.get(common[0].key), bench.get(common[common.length - 1].key));
+
+  return {
+    observations: rs.length,
+    alphaPct: alpha === null ? null : alpha * 100,
+    beta,
+    trackingErrorPct: trackingError * 100,
+    correlation: varB > 0 && varS > 0 ? cov / Math.sqrt(varB * varS) : null,
+    returnPct,
+    benchmarkReturnPct,
+    excessReturnPct: returnPct - benchmarkReturnPct
+  };
+}
+
+// ✅ Main entry: growth series on shared dates for the portfolio, each holding and each benchmark,
+// and the statistics of the portfolio and every holding against every benchmark
+async function compareToBenchmarks(userId, { portfolio, range = "1y", benchmarks } = {}) {
+  if (!VALID_RANGES.has(range)) range = "1y";
+  const requested = benchmarks?.length ? benchmarks : DEFAULT_BENCHMARKS;
+  const symbols = [...new Set(requested.map((s) => s.toUpperCase()))].slice(0, MAX_BENCHMARKS);
+  const { period1: start } = computePeriod(range);
+
+  const { currency, rows } = await buildAssetSeries(userId, { portfolio, start });
+  const withSeries = rows.filter((r) => r.series);
+  const subjects = [
+    {
+      kind: "portfolio",
+      label: portfolio ? portfolio.name : "All portfolios",
+      points: growthIndex(combineSeries(withSeries.map((r) => r.series), start))
+    },
+    ...withSeries.map((r) => ({
+      kind: "holding",
+      label: r.asset.symbol,
+      assetId: r.asset._id,
+      points: growthIndex(r.series)
+    }))
+  ];
+
+  const benchmarkSeries = [];
+  for (const symbol of symbols) {
+    try {
+      const { currency: quoted, closes } = await benchmarkCloses(symbol, new Date(start.getTime() - 7 * DAY_MS));
+      benchmarkSeries.push({ kind: "benchmark", label: symbol, currency: quoted, points: rebase(closes, start) });
+    } catch (err) {
+      benchmarkSeries.push({ kind: "benchmark", label: symbol, error: err.message, points: [] });
+    }
+  }
+
+  const all = [...subjects, ...benchmarkSeries];
+  const dates = [...new Set(all.flatMap((s) => s.points.map((p) => p.key)))].sort();
+  const series = all.map(({ points, ...s }) => {
+    const byKey = new Map(points.map((p) => [p.key, p.value]));
+    return { ...s, values: dates.map((d) => (byKey.has(d) ? byKey.get(d) : null)) };
+  });
+
+  const stats = subjects.flatMap((subject) =>
+    benchmarkSeries
+      .filter((b) => !b.error)
+      .map((b) => ({
+        kind: subject.kind,
+        label: subject.label,
+        assetId: subject.assetId,
+        benchmark: b.label,
+        ...compare(subject.points, b.points)
+      }))
+  );
+
+  return {
+    range,
+    start,
+    currency,
+    riskFreeRatePct: RISK_FREE_RATE * 100,
+    benchmarks: benchmarkSeries.map((b) => ({ symbol: b.label, currency: b.currency || null, error: b.error })),
+    dates,
+    series,
+    stats,
+    skipped: rows.filter((r) => r.error).map((r) => ({ symbol: r.asset.symbol, error: r.error }))
+  };
+}
+
+module.exports = { DEFAULT_BENCHMARKS, MAX_BENCHMARKS, RISK_FREE_RATE, compare, compareToBenchmarks };
@@ -0,0 +1,118 @@
+// services/coins.js
+// Crypto symbol registry. Many coins share a ticker, so crypto assets store the CoinGecko id chosen
+// at search time; this resolves tickers that come without one (imports, alerts, older assets).
+const fs = require("fs");
+const mongoose = require("mongoose");
+const axios = require("axios");
+const CoinSymbol = require("../models/CoinSymbol");
+
+// Well-known tickers always win over look-alike coins
+const PREFERRED = {
+  BTC: "bitcoin",
+  ETH: "ethereum",
+  ADA: "cardano",
+  BNB: "binancecoin",
+  XRP: "ripple",
+  DOGE: "dogecoin",
+  SOL: "solana",
+  MATIC: "matic-network",
+  LTC: "litecoin",
+  USDT: "tether",
+  USDC: "usd-coin",
+  DOT: "polkadot",
+  AVAX: "avalanche-2",
+  LINK: "chainlink",
+  TRX: "tron"
+};
+
+const COIN_LIST_URL = "https://api.coingecko.com/api/v3/coins/list";
+const dbReady = () => mongoose.connection.readyState === 1;
+
+// preferred first, then by market cap rank (unranked last)
+const byRelevance = (a, b) =>
+  (b.preferred === true) - (a.preferred === true) ||
+  (a.marketCapRank ?? Infinity) - (b.marketCapRank ?? Infinity);
+
+// ✅ Best CoinGecko id for each ticker -> Map(SYMBOL -> coinId); unknown tickers are left out
+async function resolveCoinIds(symbols) {
+  const wanted = [...new Set(symbols.map((s) => s.toUpperCase()))];
+  const resolved = new Map();
+  for (const s of wanted) if (PREFERRED[s]) resolved.set(s, PREFERRED[s]);
+
+  const rest = wanted.filter((s) => !resolved.has(s));
+  if (rest.length && dbReady()) {
+    const rows = await CoinSymbol.find({ symbol: { $in: rest } }).lean();
+    for (const row of rows.sort(byRelevance)) {
+      if (!resolved.has(row.symbol)) resolved.set(row.symbol, row.coinId);
+    }
+  }
+  return resolved;
+}
+
+async function resolveCoinId(symbol) {
+  return (await resolveCoinIds([symbol])).get(symbol.toUpperCase()) || null;
+}
+
+// ✅ Every coin using a ticker, most relevant first (for disambiguation in the UI)
+async function coinCandidates(symbol) {
+  if (!dbReady()) return [];
+  const rows = await CoinSymbol.find({ symbol: symbol.toUpperCase() }).lean();
+  return rows.sort(byRelevance).map((r) => ({ coinId: r.coinId, symbol: r.symbol, name: r.name, marketCapRank: r.marketCapRank }));
+}
+
+async function upsertCoins(coins, source) {
+  const ops = coins
+    .filter((c) => c && c.id && c.symbol)
+    .map((c) => ({
+      updateOne: {
+        filter: { coinId: c.id },
+        update: {
+          $set: {
+            symbol: String(c.symbol).toUpperCase(),
+            name: c.name,
+            ...(c.market_cap_rank ? { marketCapRank: c.market_cap_rank } : {})
+          },
+          $setOnInsert: { source }
+        },
+        upsert: true
+      }
+    }));
+  for (let i = 0; i < ops.length; i += 1000) {
+    await CoinSymbol.bulkWrite(ops.slice(i, i + 1000), { ordered: false });
+  }
+  return ops.length;
+}
+
+// ✅ Keep what /search showed the user (ids, names and market cap ranks)
+async function rememberCoins(coins) {
+  if (!dbReady() || !coins.length) return;
+  await upsertCoins(coins, "search").catch((err) => console.error("Coin registry update failed:", err.message));
+}
+
+// ✅ (Re)load the full registry from a CoinGecko /coins/list style file ([{ id, symbol, name }]),
+// or download it when no file is given
+async function refreshCoinList(file = process.env.COIN_LIST_FILE) {
+  const coins = file
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : (await axios.get(COIN_LIST_URL, { timeout: 30000 })).data;
+  if (!Array.isArray(coins)) throw new Error("Coin list must be an array of { id, symbol, name }");
+  const count = await upsertCoins(coins, "list");
+  await seedPreferred();
+  return { count, source: file || COIN_LIST_URL };
+}
+
+// ✅ Make sure the well-known coins exist and are marked preferred
+async function seedPreferred() {
+  await CoinSymbol.bulkWrite(
+    Object.entries(PREFERRED).map(([symbol, coinId]) => ({
+      updateOne: {
+        filter: { coinId },
+        update: { $set: { symbol, preferred: true }, $setOnInsert: { source: "seed" } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+}
+
+module.exports = { resolveCoinIds, resolveCoinId, coinCandidates, rememberCoins, refreshCoinList, seedPreferred };
@@ -0,0 +1,169 @@
+// services/corporateActions.js
+// Mergers (recorded as a linked merger_out / merger_in pair) and syncing dividends + splits
+// from the price provider's chart events into the ledger.
+const mongoose = require("mongoose");
+const yahooFinance = require("yahoo-finance2").default;
+const Asset = require("../models/Asset");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const { derivePosition } = require("./ledger");
+const { detectCurrency } = require("./prices");
+const { getFxRate, normalizeCurrency } = require("./fx");
+
+const DAY_MS = 24 * 3600 * 1000;
+const NEAR_DAYS = 5; // a manual entry this close to a provider event is taken to be the same event
+
+const dayKey = (d) => new Date(d).toISOString().slice(0, 10);
+const near = (a, b) => Math.abs(new Date(a) - new Date(b)) <= NEAR_DAYS * DAY_MS;
+
+// ✅ Record a merger: the whole holding of `fromAsset` becomes `ratio` units of the acquirer per unit.
+// Each open lot continues on the acquirer with its cost basis and acquisition date, so holding
+// periods survive (lots are matched with the user's cost-basis method as of the merger date).
+// Throws (before writing anything) when the ledger can't take the merger.
+async function recordMerger(userId, from, { toSymbol, toType, toCoinId, ratio, date, notes }) {
+  const when = date || new Date();
+  const symbol = toSymbol.toUpperCase();
+  if (symbol === from.symbol && toType === from.type && (toCoinId || null) === (from.coinId || null)) {
+    throw new Error("An asset can't merge into itself");
+  }
+
+  const user = await User.findById(userId);
+  const method = user?.costBasisMethod || "fifo";
+  const fromTxns = await Transaction.find({ assetId: from._id }).lean();
+  const before = derivePosition(fromTxns.filter((t) => new Date(t.date) <= when), method);
+  if (!(before.quantity > 0)) throw new Error(`No ${from.symbol} held on that date`);
+
+  const groupId = new mongoose.Types.ObjectId();
+  const out = {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    assetId: from._id,
+    type: "merger_out",
+    date: when,
+    quantity: before.quantity,
+    ratio,
+    currency: from.currency,
+    groupId,
+    notes
+  };
+  // later transactions on the old asset (sells after the merger) would now be invalid
+  derivePosition([...fromTxns, out], "specific");
+
+  // the acquirer's shares land in the same portfolio
+  const scope = { userId, portfolioId: from.portfolioId, symbol, type: toType };
+  let to = await Asset.findOne({ ...scope, ...(toCoinId ? { coinId: toCoinId } : {}) });
+  let created = false;
+  if (!to) {
+    to = await Asset.create({ ...scope, coinId: toCoinId, currency: await detectCurrency(symbol, toType) });
+    created = true;
+  }
+  out.relatedAssetId = to._id;
+
+  // cost basis moves into the acquirer's ledger currency (today's rate: historical FX isn't available)
+  const fx = await getFxRate(from.currency, to.currency);
+  const ins = before.lots.map((lot) => ({
+    userId,
+    assetId: to._id,
+    type: "merger_in",
+    date: when,
+    quantity: lot.quantity * ratio,
+    amount: lot.quantity * lot.unitCost * fx,
+    acquiredAt: lot.date,
+    currency: to.currency,
+    relatedAssetId: from._id,
+    groupId,
+    notes
+  }));
+
+  try {
+    await Transaction.insertMany([out, ...ins]);
+  } catch (err) {
+    await Transaction.deleteMany({ groupId });
+    if (created) await Asset.deleteOne({ _id: to._id });
+    throw err;
+  }
+  return { groupId, from, to, converted: before.quantity, received: before.quantity * ratio };
+}
+
+// ✅ Every transaction recorded together with `transaction` (both sides of a merger), or just itself
+async function linkedTransactions(transaction) {
+  if (!transaction.groupId) return [transaction];
+  return Transaction.find({ groupId: transaction.groupId, userId: transaction.userId });
+}
+
+// Dividends and splits Yahoo knows about since `from`
+async function fetchEvents(symbol, from) {
+  const result = await yahooFinance.chart(symbol, {
+    period1: from,
+    period2: new Date(),
+    interval: "1d",
+    events: "div|split"
+  });
+  const events = result?.events || {};
+  const list = (e) => (Array.isArray(e) ? e : Object.values(e || {}));
+  return {
+    currency: result?.meta?.currency || null,
+    dividends: list(events.dividends).map((d) => ({ date: new Date(d.date), amount: Number(d.amount) })),
+    splits: list(events.splits).map((s) => ({
+      date: new Date(s.date),
+      ratio: Number(s.numerator) / Number(s.denominator)
+    }))
+  };
+}
+
+// ✅ Add the provider's splits and dividends for one holding that aren't in its ledger yet.
+// Dividends are per share held the day before the ex-date; Yahoo's amounts are split-adjusted,
+// so they're applied to split-adjusted units. dryRun returns what would be added.
+async function syncCorporateActions(userId, asset, { dryRun = false } = {}) {
+  if (asset.type === "crypto") return { added: [], skipped: 0 };
+
+  const txns = await Transaction.find({ assetId: asset._id }).lean();
+  if (!txns.length) return { added: [], skipped: 0 };
+  const first = txns.reduce((min, t) => (new Date(t.date) < min ? new Date(t.date) : min), new Date());
+  const events = await fetchEvents(asset.symbol, first);
+
+  const quoted = normalizeCurrency(events.currency || asset.currency);
+  const toLocal = quoted.factor * (await getFxRate(quoted.currency, asset.currency));
+  const base = { userId, assetId: asset._id, currency: asset.currency, notes: "Synced from Yahoo Finance" };
+  const added = [];
+  let skipped = 0;
+
+  for (const s of events.splits) {
+    const externalId = `yahoo:split:${dayKey(s.date)}`;
+    const known = txns.some(
+      (t) => t.externalId === externalId || (t.type === "split" && near(t.date, s.date) && Math.abs(t.ratio - s.ratio) < 1e-6)
+    );
+    if (known || !(s.ratio > 0)) {
+      skipped++;
+      continue;
+    }
+    added.push({ ...base, type: "split", date: s.date, ratio: s.ratio, externalId });
+  }
+
+  const ledger = [...txns, ...added];
+  const splitFactorAfter = (date) =>
+    ledger
+      .filter((t) => (t.type === "split" || t.type === "bonus") && new Date(t.date) > date)
+      .reduce((f, t) => f * (t.type === "bonus" ? 1 + (t.ratio || 0) : t.ratio || 1), 1);
+
+  for (const d of events.dividends) {
+    const externalId = `yahoo:div:${dayKey(d.date)}`;
+    const known = txns.some(
+      (t) => t.externalId === externalId || (t.type === "dividend" && near(t.date, d.date))
+    );
+    if (known || !(d.amount > 0)) {
+      skipped++;
+      continue;
+    }
+    const { quantity } = derivePosition(ledger.filter((t) => new Date(t.date) < d.date));
+    if (!(quantity > 0)) continue; // not held on the ex-date
+    const amount = d.amount * quantity * splitFactorAfter(d.date) * toLocal;
+    added.push({ ...base, type: "dividend", date: d.date, amount, externalId });
+  }
+
+  if (added.length) derivePosition([...txns, ...added], "specific");
+  if (!dryRun && added.length) await Transaction.insertMany(added, { ordered: false });
+  return { added, skipped };
+}
+
+module.exports = { recordMerger, linkedTransactions, syncCorporateActions };
@@ -0,0 +1,84 @@
+// services/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, embedded commas/newlines, "" escapes)
+
+// Broker exports use "," or ";" (European locales); pick whichever the header line uses more
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const count = (ch) => firstLine.split(ch).length - 1;
+  if (count("\t") > count(",") && count("\t") > count(";")) return "\t";
+  return count(";") > count(",") ? ";" : ",";
+}
+
+// ✅ Parse CSV text into an array of rows (arrays of strings); blank lines are skipped
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, ""); // strip BOM from Excel exports
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// ✅ Parse CSV with a header row into objects keyed by (trimmed) header
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const headers = header.map((h) => h.trim());
+  return {
+    headers,
+    records: rows.map((r) => Object.fromEntries(headers.map((h, i) => [h, (r[i] ?? "").trim()])))
+  };
+}
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(...)", "@SUM(...)", "-1+1", ...);
+// numbers are written as they are, so negative amounts stay numeric
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ✅ Serialize objects to CSV using the given columns ([{ key, header }] or plain keys)
+function toCsv(records, columns) {
+  const cols = columns.map((c) => (typeof c === "string" ? { key: c, header: c } : c));
+  const lines = [cols.map((c) => escapeField(c.header)).join(",")];
+  for (const r of records) {
+    lines.push(cols.map((c) => escapeField(typeof c.value === "function" ? c.value(r) : r[c.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { detectDelimiter, parseCsv, parseCsvRecords, toCsv };
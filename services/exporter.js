@@ -0,0 +1,58 @@
+// services/exporter.js
+// Serialize tabular data as CSV, JSON or XLSX and send it as a download
+const ExcelJS = require("exceljs");
+const { toCsv } = require("./csv");
+
+const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const cell = (column, record) =>
+  typeof column.value === "function" ? column.value(record) : record[column.key];
+
+// ✅ Build an .xlsx workbook: one sheet per { name, columns, records }
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  for (const sheet of sheets) {
+    const ws = workbook.addWorksheet(sheet.name);
+    ws.columns = sheet.columns.map((c) => ({ header: c.header, key: c.key, width: c.width || 14 }));
+    for (const r of sheet.records) {
+      ws.addRow(Object.fromEntries(sheet.columns.map((c) => [c.key, cell(c, r) ?? null])));
+    }
+    ws.getRow(1).font = { bold: true };
+    ws.views = [{ state: "frozen", ySplit: 1 }];
+  }
+  return workbook.xlsx.writeBuffer();
+}
+
+// ✅ Send sheets in the requested format. CSV carries only the first sheet;
+// JSON carries every sheet keyed by name (plus any extra metadata).
+async function sendExport(res, { filename, format, sheets, meta = {} }) {
+  if (!EXPORT_FORMATS.includes(format)) format = "csv";
+
+  let body;
+  if (format === "csv") {
+    body = toCsv(sheets[0].records, sheets[0].columns);
+  } else if (format === "json") {
+    const data = Object.fromEntries(
+      sheets.map((s) => [
+        s.name.toLowerCase(),
+        s.records.map((r) => Object.fromEntries(s.columns.map((c) => [c.key, cell(c, r) ?? null])))
+      ])
+    );
+    body = JSON.stringify({ ...meta, ...data }, null, 2);
+  } else {
+    body = Buffer.from(await toXlsx(sheets));
+  }
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  res.send(body);
+}
+
+module.exports = { EXPORT_FORMATS, sendExport };
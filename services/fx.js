@@ -0,0 +1,64 @@
+// services/fx.js
+// FX rates from Yahoo Finance currency pairs (e.g. EURUSD=X), cached like quotes in services/prices.js
+const NodeCache = require("node-cache");
+const yahooFinance = require("yahoo-finance2").default;
+const cache = new NodeCache({ stdTTL: 600 }); // FX moves slower than quotes: 10 minute cache
+const { isOffline } = require("./providers");
+
+// Some exchanges quote in minor units (London in pence, Tel Aviv in agorot, Johannesburg in cents)
+const MINOR_UNITS = {
+  GBP: { currency: "GBP", factor: 0.01 },
+  GBX: { currency: "GBP", factor: 0.01 },
+  ILA: { currency: "ILS", factor: 0.01 },
+  ZAC: { currency: "ZAR", factor: 0.01 }
+};
+
+// ✅ Normalize a quote currency into an ISO code plus the multiplier to reach it
+function normalizeCurrency(code) {
+  if (!code) return { currency: null, factor: 1 };
+  // "GBp" (pence) vs "GBP" (pounds) only differ by case, so check before uppercasing
+  if (code === "GBp") return MINOR_UNITS.GBP;
+  const upper = code.toUpperCase();
+  if (upper !== "GBP" && MINOR_UNITS[upper]) return MINOR_UNITS[upper];
+  return { currency: upper, factor: 1 };
+}
+
+// Offline mode has no FX feed: MOCK_FX_RATES="EURUSD=1.08,GBPUSD=1.27", inverse pairs are derived
+function offlineRate(base, quote) {
+  const rates = Object.fromEntries(
+    (process.env.MOCK_FX_RATES || "")
+      .split(",")
+      .map((pair) => pair.trim().split("="))
+      .filter(([k, v]) => k && Number(v) > 0)
+      .map(([k, v]) => [k.toUpperCase(), Number(v)])
+  );
+  if (rates[`${base}${quote}`]) return rates[`${base}${quote}`];
+  if (rates[`${quote}${base}`]) return 1 / rates[`${quote}${base}`];
+  throw new Error(`FX rate ${base}/${quote} not configured in MOCK_FX_RATES (offline mode)`);
+}
+
+// ✅ Rate to multiply an amount in `from` by to get `to`
+async function getFxRate(from, to) {
+  const base = (from || "").toUpperCase();
+  const quote = (to || "").toUpperCase();
+  if (!base || !quote || base === quote) return 1;
+
+  const key = `FX:${base}${quote}`;
+  const cached = cache.get(key);
+  if (cached) return cached;
+
+  let rate;
+  if (isOffline()) return offlineRate(base, quote);
+  try {
+    const q = await yahooFinance.quote(`${base}${quote}=X`);
+    rate = Number(q?.regularMarketPrice);
+  } catch (err) {
+    throw new Error(`FX rate ${base}/${quote} unavailable: ${err.message}`);
+  }
+  if (!rate || !Number.isFinite(rate)) throw new Error(`FX rate ${base}/${quote} not found`);
+
+  cache.set(key, rate);
+  return rate;
+}
+
+module.exports = { getFxRate, normalizeCurrency };
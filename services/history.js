@@ -0,0 +1,81 @@
+// services/history.js
+// Historical OHLC bars, shared by the /history route and analytics. Daily bars come from the
+// local store (services/priceStore.js); weekly and monthly bars are built from them.
+const { getBars } = require("./priceStore");
+
+const VALID_RANGES = new Set(["1mo", "3mo", "6mo", "1y", "5y", "max"]);
+const VALID_INTERVALS = new Set(["1d", "1wk", "1mo"]);
+const VALID_TYPES = new Set(["stock", "mutual_fund", "crypto", "commodity", "index"]);
+
+// helper: compute period1/period2 dates for a range shorthand
+function computePeriod(rangeKey) {
+  const end = new Date();
+  let start = new Date(end);
+  switch (rangeKey) {
+    case "1mo": start.setMonth(end.getMonth() - 1); break;
+    case "3mo": start.setMonth(end.getMonth() - 3); break;
+    case "6mo": start.setMonth(end.getMonth() - 6); break;
+    case "1y":  start.setFullYear(end.getFullYear() - 1); break;
+    case "5y":  start.setFullYear(end.getFullYear() - 5); break;
+    case "max": start = new Date(0); break; // everything the provider has
+    default:    start.setMonth(end.getMonth() - 6);
+  }
+  return { period1: start, period2: end };
+}
+
+// Week (starting Monday, UTC) or month a daily bar belongs to
+function bucketOf(date, interval) {
+  const d = new Date(date);
+  if (interval === "1mo") return `${d.getUTCFullYear()}-${d.getUTCMonth()}`;
+  const monday = new Date(d);
+  monday.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+}
+
+// ✅ Daily bars -> weekly/monthly bars, each dated by its first trading day
+function resample(bars, interval) {
+  if (interval === "1d") return bars;
+  const out = [];
+  let key = null;
+  for (const b of bars) {
+    const k = bucketOf(b.date, interval);
+    const last = out[out.length - 1];
+    if (k !== key) {
+      out.push({ ...b });
+      key = k;
+      continue;
+    }
+    last.high = last.high === null || b.high === null ? last.high ?? b.high : Math.max(last.high, b.high);
+    last.low = last.low === null || b.low === null ? last.low ?? b.low : Math.min(last.low, b.low);
+    last.close = b.close;
+    last.volume = last.volume === null && b.volume === null ? null : (last.volume || 0) + (b.volume || 0);
+  }
+  return out;
+}
+
+// ✅ History for a range shorthand (used by GET /history/:symbol)
+// type picks the source (crypto goes to CoinGecko, with coinId when the asset has one)
+async function getHistory(symbol, { range = "6mo", interval = "1d", type = "stock", coinId } = {}) {
+  if (!VALID_RANGES.has(range)) range = "6mo";
+  if (!VALID_INTERVALS.has(interval)) interval = "1d";
+  if (!VALID_TYPES.has(type)) type = "stock";
+
+  const { period1 } = computePeriod(range);
+  const { currency, bars, stale } = await getBars(symbol, { type, coinId, from: period1 });
+  const history = bars.map(({ date, open, high, low, close, volume }) => ({ date, open, high, low, close, volume }));
+  return { range, interval, currency, stale, history: resample(history, interval) };
+}
+
+// ✅ Daily closes since `from` for an asset, oldest first
+async function getDailyCloses(symbol, type, from, { coinId } = {}) {
+  const { currency, bars } = await getBars(symbol, { type, coinId, from });
+  return { currency, closes: bars.map((b) => ({ date: b.date, close: b.close })) };
+}
+
+module.exports = {
+  VALID_RANGES,
+  VALID_INTERVALS,
+  computePeriod,
+  getHistory,
+  getDailyCloses
+};
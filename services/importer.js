@@ -0,0 +1,348 @@
+// services/importer.js
+// CSV trade import: column mapping (with broker presets), per-row validation, dry-run preview,
+// then an all-or-nothing commit into the Transaction ledger.
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const Asset = require("../models/Asset");
+const Transaction = require("../models/Transaction");
+const { TRANSACTION_TYPES } = require("../models/Transaction");
+const { derivePosition } = require("./ledger");
+const { detectCurrency } = require("./prices");
+const { resolveCoinId } = require("./coins");
+const { detectDelimiter, parseCsvRecords } = require("./csv");
+
+const ASSET_TYPES = ["stock", "mutual_fund", "crypto", "commodity"];
+const FIELDS = ["symbol", "type", "side", "date", "quantity", "price", "amount", "fees", "ratio", "currency"];
+const NUMBER_FIELDS = ["quantity", "price", "amount", "fees", "ratio"];
+const DECIMAL_SEPARATORS = [".", ","];
+
+// Broker export layouts: field -> column header
+const PRESETS = {
+  generic: {
+    label: "Generic (symbol, type, side, date, quantity, price, fees, currency)",
+    mapping: {
+      symbol: "symbol",
+      type: "type",
+      side: "side",
+      date: "date",
+      quantity: "quantity",
+      price: "price",
+      amount: "amount",
+      fees: "fees",
+      ratio: "ratio",
+      currency: "currency"
+    }
+  },
+  zerodha: {
+    label: "Zerodha tradebook",
+    defaultType: "stock",
+    mapping: { symbol: "symbol", side: "trade_type", date: "trade_date", quantity: "quantity", price: "price" }
+  },
+  robinhood: {
+    label: "Robinhood account activity",
+    defaultType: "stock",
+    mapping: {
+      symbol: "Instrument",
+      side: "Trans Code",
+      date: "Activity Date",
+      quantity: "Quantity",
+      price: "Price",
+      amount: "Amount"
+    }
+  },
+  interactive_brokers: {
+    label: "Interactive Brokers trades (negative quantity = sell)",
+    defaultType: "stock",
+    signedQuantity: true,
+    mapping: {
+      symbol: "Symbol",
+      date: "Date/Time",
+      quantity: "Quantity",
+      price: "T. Price",
+      fees: "Comm/Fee",
+      currency: "Currency"
+    }
+  },
+  coinbase: {
+    label: "Coinbase transaction history",
+    defaultType: "crypto",
+    mapping: {
+      symbol: "Asset",
+      side: "Transaction Type",
+      date: "Timestamp",
+      quantity: "Quantity Transacted",
+      price: "Spot Price at Transaction",
+      fees: "Fees and/or Spread",
+      currency: "Spot Price Currency"
+    }
+  }
+};
+
+const SIDE_ALIASES = {
+  buy: ["buy", "b", "bought", "purchase", "advanced trade buy", "reinvest"],
+  sell: ["sell", "s", "sold", "advanced trade sell"],
+  dividend: ["dividend", "div", "cdiv"],
+  interest: ["interest", "int"],
+  fee: ["fee", "fees", "commission", "gold"],
+  split: ["split", "spl", "sxch"],
+  bonus: ["bonus", "bonus issue"]
+};
+
+const ImportRowSchema = z
+  .object({
+    symbol: z.string().min(1, "Missing symbol"),
+    type: z.enum(ASSET_TYPES, { errorMap: () => ({ message: "Unknown asset type" }) }),
+    side: z.enum(TRANSACTION_TYPES, { errorMap: () => ({ message: "Unknown transaction side" }) }),
+    date: z.date({ required_error: "Missing or invalid date", invalid_type_error: "Invalid date" }),
+    quantity: z.number().nonnegative().optional(),
+    price: z.number().nonnegative().optional(),
+    amount: z.number().nonnegative().optional(),
+    fees: z.number().nonnegative().optional(),
+    ratio: z.number().positive().optional(),
+    currency: z.string().regex(/^[A-Z]{3}$/, "Currency must be a 3-letter code").optional()
+  })
+  .superRefine((r, ctx) => {
+    if ((r.side === "buy" || r.side === "sell") && !(r.quantity > 0))
+      ctx.addIssue({ code: "custom", message: `${r.side} requires a positive quantity` });
+    if (["dividend", "interest", "fee"].includes(r.side) && !(r.amount > 0))
+      ctx.addIssue({ code: "custom", message: `${r.side} requires a positive amount` });
+    if ((r.side === "split" || r.side === "bonus") && !r.ratio)
+      ctx.addIssue({ code: "custom", message: `${r.side} requires a ratio` });
+    if (r.side === "merger_out" || r.side === "merger_in")
+      ctx.addIssue({ code: "custom", message: "Mergers can't be imported; record them from the ledger" });
+  });
+
+// ✅ "$1,234.50", "(12.00)", "-3", "1e-5" -> number; with decimal "," also "1.234,50" and "120,50".
+// Only a leading "-" or surrounding parentheses make it negative; blanks -> undefined,
+// anything that doesn't read cleanly in that locale (e.g. "120,50" with decimal ".") -> NaN
+function parseNumber(raw, decimal = ".") {
+  if (raw === undefined || raw === null || String(raw).trim() === "") return undefined;
+  let s = String(raw).replace(/[\s$€£₹¥]/g, "");
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+  if (s.startsWith("-")) {
+    if (negative) return NaN;
+    negative = true;
+    s = s.slice(1);
+  }
+
+  const group = decimal === "," ? "\\." : ",";
+  const point = decimal === "," ? "," : "\\.";
+  const grouped = new RegExp(`^\\d{1,3}(${group}\\d{3})+(${point}\\d+)?$`);
+  const plain = new RegExp(`^(\\d+(${point}\\d*)?|${point}\\d+)(e[+-]?\\d+)?$`, "i");
+  if (grouped.test(s)) s = s.replace(new RegExp(group, "g"), "");
+  else if (!plain.test(s)) return NaN;
+  const n = Number(s.replace(decimal, "."));
+  if (!Number.isFinite(n)) return NaN;
+  return negative ? -n : n;
+}
+
+function parseDate(raw) {
+  if (!raw) return undefined;
+  // IBKR writes "2024-01-15, 10:30:00"
+  const d = new Date(String(raw).replace(/,\s*/, " "));
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function parseSide(raw) {
+  const s = String(raw || "").trim().toLowerCase();
+  return Object.keys(SIDE_ALIASES).find((side) => SIDE_ALIASES[side].includes(s)) || s || undefined;
+}
+
+// Match headers to fields by name when no preset/mapping is given
+function autoMapping(headers) {
+  const lower = headers.map((h) => h.toLowerCase());
+  const mapping = {};
+  for (const field of FIELDS) {
+    const i = lower.indexOf(field);
+    if (i >= 0) mapping[field] = headers[i];
+  }
+  return mapping;
+}
+
+// ✅ Turn one CSV record into a validated row (or an error message)
+function mapRecord(record, mapping, { defaultType, signedQuantity, decimal = "." }) {
+  const get = (field) => (mapping[field] ? record[mapping[field]] : undefined);
+
+  const numbers = {};
+  for (const field of NUMBER_FIELDS) {
+    numbers[field] = parseNumber(get(field), decimal);
+    if (Number.isNaN(numbers[field])) return { ok: false, error: `Can't read ${field} "${get(field)}"` };
+  }
+
+  let quantity = numbers.quantity;
+  let side = parseSide(get("side"));
+  if (signedQuantity && !get("side") && quantity !== undefined) side = quantity < 0 ? "sell" : "buy";
+  if (quantity !== undefined) quantity = Math.abs(quantity);
+
+  const { amount, fees } = numbers;
+  const candidate = {
+    symbol: (get("symbol") || "").trim().toUpperCase(),
+    type: (get("type") || defaultType || "").trim().toLowerCase().replace(/\s+/g, "_"),
+    side,
+    date: parseDate(get("date")),
+    quantity,
+    price: numbers.price,
+    amount: amount === undefined ? undefined : Math.abs(amount),
+    fees: fees === undefined ? undefined : Math.abs(fees),
+    ratio: numbers.ratio,
+    currency: get("currency") ? get("currency").trim().toUpperCase() : undefined
+  };
+  // blank optional cells shouldn't fail the row
+  for (const k of Object.keys(candidate)) if (candidate[k] === undefined) delete candidate[k];
+
+  const parsed = ImportRowSchema.safeParse(candidate);
+  if (!parsed.success) return { ok: false, error: parsed.error.issues[0]?.message || "Invalid row" };
+  return { ok: true, data: parsed.data };
+}
+
+const groupKey = (r) => `${r.symbol}|${r.type}`;
+// the first currency a group of rows (in file order) states, if any
+const statedCurrency = (group) => group.find((r) => r.data.currency)?.data.currency;
+
+// ✅ Dry run: map + validate every row, including ledger checks against existing holdings
+// decimal: "." or ","; by default "," for ";"-separated files (the locales that write "1.234,50")
+async function previewImport(userId, { csv, preset, mapping, defaultType, decimal, portfolioId }) {
+  const { headers, records } = parseCsvRecords(csv);
+  const presetDef = PRESETS[preset] || null;
+  const usedMapping = mapping || presetDef?.mapping || autoMapping(headers);
+  const options = {
+    defaultType: defaultType || presetDef?.defaultType,
+    signedQuantity: Boolean(presetDef?.signedQuantity),
+    decimal: DECIMAL_SEPARATORS.includes(decimal) ? decimal : detectDelimiter(csv) === ";" ? "," : "."
+  };
+
+  const missing = Object.entries(usedMapping)
+    .filter(([, col]) => col && !headers.includes(col))
+    .map(([field, col]) => `${field} → "${col}"`);
+
+  // line numbers are 1-based and count the header row
+  const rows = records.map((record, i) => ({ line: i + 2, ...mapRecord(record, usedMapping, options) }));
+
+  // Replay each asset's ledger with the new rows in date order to catch oversells etc.
+  const valid = rows.filter((r) => r.ok);
+  const groups = new Map();
+  for (const r of valid) {
+    if (!groups.has(groupKey(r.data))) groups.set(groupKey(r.data), []);
+    groups.get(groupKey(r.data)).push(r);
+  }
+  for (const group of groups.values()) {
+    const { symbol, type } = group[0].data;
+    const asset = await Asset.findOne({ userId, portfolioId, symbol, type });
+    if (!asset && type === "crypto" && !(await resolveCoinId(symbol))) {
+      for (const r of group) Object.assign(r, { ok: false, error: `Unknown crypto symbol ${symbol}` });
+      continue;
+    }
+    const existing = asset ? await Transaction.find({ assetId: asset._id }).lean() : [];
+    // a new asset takes the first stated currency (see commitImport); one asset holds one currency
+    const currency = asset ? asset.currency : statedCurrency(group);
+    const pending = [];
+    for (const r of [...group].sort((a, b) => a.data.date - b.data.date)) {
+      if (currency && r.data.currency && r.data.currency !== currency) {
+        const error = asset
+          ? `${symbol} is recorded in ${currency}`
+          : `${symbol} is imported in ${currency} (first row); import ${r.data.currency} trades separately`;
+        Object.assign(r, { ok: false, error });
+        continue;
+      }
+      const txn = { ...toTransaction(r.data), _id: `row-${r.line}` };
+      try {
+        derivePosition([...existing, ...pending, txn]);
+        pending.push(txn);
+      } catch (e) {
+        Object.assign(r, { ok: false, error: e.message });
+      }
+    }
+  }
+
+  return {
+    headers,
+    fields: FIELDS,
+    preset: presetDef ? preset : null,
+    mapping: usedMapping,
+    decimal: options.decimal,
+    missingColumns: missing,
+    rows,
+    valid: rows.filter((r) => r.ok).length,
+    invalid: rows.filter((r) => !r.ok).length
+  };
+}
+
+function toTransaction(row) {
+  return {
+    type: row.side,
+    date: row.date,
+    quantity: row.quantity || 0,
+    price: row.price || 0,
+    amount: row.amount || 0,
+    fees: row.fees || 0,
+    ratio: row.ratio,
+    notes: "Imported from CSV"
+  };
+}
+
+// ✅ Commit validated rows. Standalone MongoDB has no multi-document transactions,
+// so on any failure the rows and assets created by this import are removed again.
+async function commitImport(userId, rows, { portfolioId }) {
+  const createdAssets = [];
+  const txnIds = [];
+  try {
+    const assets = new Map();
+    for (const { data } of rows) {
+      const key = groupKey(data);
+      if (assets.has(key)) continue;
+      const group = rows.filter((r) => groupKey(r.data) === key);
+      let asset = await Asset.findOne({ userId, portfolioId, symbol: data.symbol, type: data.type });
+      if (!asset) {
+        asset = await Asset.create({
+          userId,
+          portfolioId,
+          symbol: data.symbol,
+          type: data.type,
+          // broker exports only carry tickers; take the registry's best match for crypto
+          coinId: data.type === "crypto" ? (await resolveCoinId(data.symbol)) || undefined : undefined,
+          currency: statedCurrency(group) || (await detectCurrency(data.symbol, data.type))
+        });
+        createdAssets.push(asset._id);
+      }
+      assets.set(key, asset);
+    }
+
+    const docs = rows.map(({ data }) => {
+      const asset = assets.get(groupKey(data));
+      const _id = new mongoose.Types.ObjectId();
+      txnIds.push(_id);
+      return { ...toTransaction(data), _id, userId, assetId: asset._id, currency: asset.currency };
+    });
+    await Transaction.insertMany(docs);
+
+    return { assetsCreated: createdAssets.length, transactionsCreated: docs.length };
+  } catch (err) {
+    await Transaction.deleteMany({ _id: { $in: txnIds } });
+    await Asset.deleteMany({ _id: { $in: createdAssets } });
+    throw err;
+  }
+}
+
+function listPresets() {
+  return Object.entries(PRESETS).map(([id, p]) => ({
+    id,
+    label: p.label,
+    defaultType: p.defaultType || null,
+    mapping: p.mapping
+  }));
+}
+
+module.exports = {
+  ASSET_TYPES,
+  FIELDS,
+  DECIMAL_SEPARATORS,
+  parseNumber,
+  mapRecord,
+  listPresets,
+  previewImport,
+  commitImport
+};
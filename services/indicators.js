@@ -0,0 +1,130 @@
+// services/indicators.js
+// Technical indicators over a series of closes. Every output array lines up with the input;
+// entries before an indicator has enough data (its warm-up) are null.
+
+// ✅ Simple moving average
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+// ✅ Exponential moving average, seeded with the SMA of the first `period` values.
+// Leading nulls in the input (e.g. another indicator's warm-up) are skipped.
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const k = 2 / (period + 1);
+  const start = values.findIndex((v) => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return out;
+  let prev = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+  out[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// ✅ Bollinger Bands: SMA ± `mult` population standard deviations
+function bollinger(values, period = 20, mult = 2) {
+  const middle = sma(values, period);
+  const upper = middle.map(() => null);
+  const lower = middle.map(() => null);
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(window.reduce((acc, v) => acc + (v - middle[i]) ** 2, 0) / period);
+    upper[i] = middle[i] + mult * sd;
+    lower[i] = middle[i] - mult * sd;
+  }
+  return { upper, middle, lower };
+}
+
+// ✅ Relative Strength Index with Wilder's smoothing (0-100)
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  const value = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  out[period] = value();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+// ✅ MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+function macd(values, fast = 12, slow = 26, signal = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+  const signalLine = ema(line, signal);
+  const histogram = line.map((v, i) => (v !== null && signalLine[i] !== null ? v - signalLine[i] : null));
+  return { macd: line, signal: signalLine, histogram };
+}
+
+// name -> parameter names + defaults, where it's drawn, and how to compute it
+const INDICATORS = {
+  sma: { params: [["period", 20]], pane: "price", compute: (c, p) => ({ sma: sma(c, p.period) }) },
+  ema: { params: [["period", 20]], pane: "price", compute: (c, p) => ({ ema: ema(c, p.period) }) },
+  bb: {
+    params: [["period", 20], ["mult", 2]],
+    pane: "price",
+    compute: (c, p) => bollinger(c, p.period, p.mult)
+  },
+  rsi: { params: [["period", 14]], pane: "rsi", compute: (c, p) => ({ rsi: rsi(c, p.period) }) },
+  macd: {
+    params: [["fast", 12], ["slow", 26], ["signal", 9]],
+    pane: "macd",
+    compute: (c, p) => macd(c, p.fast, p.slow, p.signal)
+  }
+};
+
+const MAX_INDICATORS = 8;
+const MAX_PERIOD = 400;
+
+// ✅ Parse "sma:50,ema:20,bb:20:2,rsi,macd:12:26:9" into specs; throws with a readable message
+function parseIndicators(query) {
+  if (!query) return [];
+  const parts = String(query).split(",").map((s) => s.trim()).filter(Boolean);
+  if (parts.length > MAX_INDICATORS) throw new Error(`At most ${MAX_INDICATORS} indicators at a time`);
+  return parts.map((part) => {
+    const [name, ...args] = part.toLowerCase().split(":");
+    const def = INDICATORS[name];
+    if (!def) throw new Error(`Unknown indicator "${name}" (use ${Object.keys(INDICATORS).join(", ")})`);
+    const params = {};
+    def.params.forEach(([key, fallback], i) => {
+      const value = args[i] === undefined || args[i] === "" ? fallback : Number(args[i]);
+      if (!Number.isFinite(value) || value <= 0 || value > MAX_PERIOD)
+        throw new Error(`Invalid ${key} for ${name}: ${args[i]}`);
+      params[key] = key === "mult" ? value : Math.round(value);
+    });
+    return { key: [name, ...def.params.map(([k]) => params[k])].join(":"), type: name, params };
+  });
+}
+
+// ✅ Compute parsed specs over history bars: [{ key, type, params, pane, lines: { name: values[] } }]
+function computeIndicators(history, specs) {
+  const closes = history.map((h) => h.close);
+  return specs.map((spec) => {
+    const def = INDICATORS[spec.type];
+    return { ...spec, pane: def.pane, lines: def.compute(closes, spec.params) };
+  });
+}
+
+module.exports = { sma, ema, bollinger, rsi, macd, INDICATORS, parseIndicators, computeIndicators };
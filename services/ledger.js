@@ -0,0 +1,217 @@
+// services/ledger.js
+// Derive positions from the Transaction ledger instead of storing quantity/buyPrice on Asset
+const Asset = require("../models/Asset");
+const Transaction = require("../models/Transaction");
+
+function byDate(a, b) {
+  return new Date(a.date) - new Date(b.date) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+}
+
+const COST_BASIS_METHODS = ["fifo", "lifo", "average", "specific"];
+const EPSILON = 1e-9;
+
+// Pick which open lots a sell consumes, as [{ lot, quantity }]
+function matchLots(lots, sell, method) {
+  const open = lots.filter((l) => l.quantity > EPSILON);
+
+  if (method === "specific" && Array.isArray(sell.lots) && sell.lots.length) {
+    return sell.lots.map((pick) => {
+      const lot = open.find((l) => String(l.transactionId) === String(pick.transactionId));
+      if (!lot) throw new Error(`Lot ${pick.transactionId} is not open`);
+      if (pick.quantity > lot.quantity + EPSILON) {
+        throw new Error(`Lot ${pick.transactionId} only has ${lot.quantity} remaining`);
+      }
+      return { lot, quantity: pick.quantity };
+    });
+  }
+
+  const ordered = method === "lifo" ? [...open].reverse() : open;
+  const picks = [];
+  let remaining = sell.quantity;
+  for (const lot of ordered) {
+    if (remaining <= EPSILON) break;
+    const quantity = Math.min(lot.quantity, remaining);
+    picks.push({ lot, quantity });
+    remaining -= quantity;
+  }
+  return picks;
+}
+
+// ✅ Replay one asset's transactions into open lots, disposals and realized P&L
+// method: "fifo" | "lifo" | "average" | "specific" (specific falls back to FIFO
+// for sells that don't name their lots)
+function derivePosition(transactions, method = "fifo") {
+  const lots = [];
+  const disposals = [];
+  let realizedPnL = 0;
+  let income = 0;
+  let fees = 0; // sell brokerage + fee charges
+  let charges = 0; // fee charges only (buy/sell fees are already in cost and proceeds)
+
+  const held = () => lots.reduce((sum, l) => sum + l.quantity, 0);
+
+  for (const t of [...transactions].sort(byDate)) {
+    switch (t.type) {
+      case "buy":
+        lots.push({
+          transactionId: t._id,
+          date: new Date(t.date),
+          quantity: t.quantity,
+          unitCost: (t.quantity * t.price + (t.fees || 0)) / t.quantity
+        });
+        break;
+      case "sell": {
+        const quantity = held();
+        if (t.quantity > quantity + EPSILON) {
+          throw new Error(`Sell of ${t.quantity} exceeds held quantity ${quantity}`);
+        }
+        const netPrice = (t.quantity * t.price - (t.fees || 0)) / t.quantity;
+
+        if (method === "average") {
+          // Pool every open lot at the running average cost, then reduce each pro rata
+          const avg = lots.reduce((sum, l) => sum + l.quantity * l.unitCost, 0) / quantity;
+          const fraction = t.quantity / quantity;
+          for (const lot of lots.filter((l) => l.quantity > EPSILON)) {
+            const sold = lot.quantity * fraction;
+            disposals.push(dispose(lot, sold, avg, t, netPrice));
+            lot.quantity -= sold;
+            lot.unitCost = avg;
+          }
+        } else {
+          for (const { lot, quantity: sold } of matchLots(lots, t, method)) {
+            disposals.push(dispose(lot, sold, lot.unitCost, t, netPrice));
+            lot.quantity -= sold;
+          }
+        }
+        fees += t.fees || 0;
+        break;
+      }
+      case "dividend":
+      case "interest":
+        income += t.amount || 0;
+        break;
+      case "fee":
+        fees += t.amount || 0;
+        charges += t.amount || 0;
+        break;
+      case "split":
+      case "bonus": {
+        // Same cost spread over more (or fewer) units; a bonus adds `ratio` units per unit held
+        const factor = t.type === "bonus" ? 1 + (t.ratio || 0) : t.ratio;
+        if (factor > 0) {
+          for (const lot of lots) {
+            lot.quantity *= factor;
+            lot.unitCost /= factor;
+          }
+        }
+        break;
+      }
+      case "merger_out": {
+        // The whole holding becomes the acquirer's shares; cost basis moves with it (no gain here)
+        const quantity = held();
+        if (!(quantity > EPSILON)) throw new Error("Nothing held to merge");
+        if (t.quantity && Math.abs(t.quantity - quantity) > 1e-6) {
+          throw new Error(`Merger converts ${t.quantity} but ${quantity} are held`);
+        }
+        for (const lot of lots) lot.quantity = 0;
+        break;
+      }
+      case "merger_in":
+        lots.push({
+          transactionId: t._id,
+          date: new Date(t.acquiredAt || t.date),
+          quantity: t.quantity,
+          unitCost: t.quantity > 0 ? (t.amount || 0) / t.quantity : 0
+        });
+        break;
+    }
+  }
+
+  for (const d of disposals) realizedPnL += d.gain;
+  const openLots = lots.filter((l) => l.quantity > EPSILON);
+  const quantity = openLots.reduce((sum, l) => sum + l.quantity, 0);
+  const invested = openLots.reduce((sum, l) => sum + l.quantity * l.unitCost, 0);
+
+  return {
+    quantity,
+    buyPrice: quantity > 0 ? invested / quantity : 0,
+    invested,
+    realizedPnL,
+    soldCost: disposals.reduce((sum, d) => sum + d.costBasis, 0),
+    lots: openLots,
+    disposals,
+    income,
+    fees,
+    charges
+  };
+}
+
+function dispose(lot, quantity, unitCost, sell, netPrice) {
+  const costBasis = quantity * unitCost;
+  const proceeds = quantity * netPrice;
+  return {
+    lotId: lot.transactionId,
+    sellId: sell._id,
+    acquiredAt: lot.date,
+    disposedAt: new Date(sell.date),
+    quantity,
+    costBasis,
+    proceeds,
+    gain: proceeds - costBasis
+  };
+}
+
+// ✅ Attach derived positions to asset documents (returns plain objects)
+function buildPositions(assets, transactions, method = "fifo") {
+  const grouped = new Map();
+  for (const t of transactions) {
+    const key = String(t.assetId);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(t);
+  }
+  return assets.map((a) => ({
+    ...(typeof a.toObject === "function" ? a.toObject() : a),
+    ...derivePosition(grouped.get(String(a._id)) || [], method)
+  }));
+}
+
+// ✅ Load a user's assets (optionally one portfolio's) together with their ledger-derived positions
+async function getPositions(userId, method = "fifo", { portfolioId } = {}) {
+  const filter = portfolioId ? { userId, portfolioId } : { userId };
+  const assets = await Asset.find(filter).sort({ createdAt: -1 });
+  const transactions = await Transaction.find({ userId, assetId: { $in: assets.map((a) => a._id) } }).lean();
+  return buildPositions(assets, transactions, method);
+}
+
+// ✅ One-off migration: legacy assets stored quantity/buyPrice directly.
+// Each becomes an opening "buy" dated at the asset's creation; safe to run repeatedly.
+async function migrateLegacyAssets() {
+  const legacy = await Asset.collection
+    .find({ quantity: { $exists: true } })
+    .toArray();
+
+  for (const a of legacy) {
+    const existing = await Transaction.exists({ assetId: a._id });
+    if (!existing && a.quantity > 0) {
+      await Transaction.create({
+        userId: a.userId,
+        assetId: a._id,
+        type: "buy",
+        date: a.createdAt || new Date(),
+        quantity: a.quantity,
+        price: a.buyPrice || 0,
+        notes: "Opening balance (migrated)"
+      });
+    }
+    await Asset.collection.updateOne({ _id: a._id }, { $unset: { quantity: "", buyPrice: "" } });
+  }
+  return legacy.length;
+}
+
+module.exports = {
+  COST_BASIS_METHODS,
+  derivePosition,
+  buildPositions,
+  getPositions,
+  migrateLegacyAssets
+};
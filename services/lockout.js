@@ -0,0 +1,33 @@
+// services/lockout.js
+// Progressive lockout after repeated failed sign-ins (wrong password or wrong 2FA code).
+// From LOGIN_LOCKOUT_THRESHOLD failures on, each further failure locks the account for twice as long,
+// starting at LOGIN_LOCKOUT_SECONDS and capped at LOGIN_LOCKOUT_MAX_MINUTES. A successful sign-in
+// or a password reset clears it. Per-IP limits (middleware/rateLimit.js) cover unknown emails.
+const User = require("../models/User");
+
+const THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const BASE_SECONDS = Number(process.env.LOGIN_LOCKOUT_SECONDS || 60);
+const MAX_SECONDS = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES || 60) * 60;
+
+// ✅ Seconds the account is still locked for (0 = not locked)
+function lockedFor(user) {
+  const until = user?.lockedUntil?.getTime() || 0;
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+}
+
+// ✅ Count a failure; returns the new lock length in seconds (0 while under the threshold)
+async function recordFailure(user) {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLogins: 1 } }, { new: true });
+  if (!updated || updated.failedLogins < THRESHOLD) return 0;
+  const seconds = Math.min(MAX_SECONDS, BASE_SECONDS * 2 ** (updated.failedLogins - THRESHOLD));
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil: new Date(Date.now() + seconds * 1000) } });
+  return seconds;
+}
+
+// ✅ Forget earlier failures
+async function clearFailures(user) {
+  if (!user.failedLogins && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: { failedLogins: 0 }, $unset: { lockedUntil: 1 } });
+}
+
+module.exports = { lockedFor, recordFailure, clearFailures };
@@ -0,0 +1,77 @@
+// services/mailer.js
+// Outgoing email through a pluggable transport, picked with MAIL_TRANSPORT:
+//   smtp (default)  SMTP_HOST/SMTP_PORT; in development point them at a local catch-all server
+//                   (MailHog, smtp4dev, ...) which listens on 127.0.0.1:1025 by default
+//   file            each message is written to MAIL_DIR (default ./tmp/mail) as a .eml file
+//   console         each message is printed to stdout
+// Register more with registerTransport(name, () => nodemailerTransport).
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const transports = {
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "127.0.0.1",
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    }),
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" }),
+  console: () => nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" })
+};
+
+let transporter;
+
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  transporter = undefined;
+}
+
+const transportName = () => (process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+
+function getTransport() {
+  if (!transporter) {
+    const factory = transports[transportName()];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${transportName()}"`);
+    transporter = factory();
+  }
+  return transporter;
+}
+
+// file / console transports hand back the rendered message; put it where the developer can read it
+function deliverLocally(info) {
+  if (!info.message) return;
+  if (transportName() === "file") {
+    const dir = path.resolve(process.env.MAIL_DIR || "./tmp/mail");
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`);
+    fs.writeFileSync(file, info.message);
+    info.file = file;
+  } else if (transportName() === "console") {
+    console.log(`--- mail ${info.messageId} ---\n${info.message.toString()}\n--- end mail ---`);
+  }
+}
+
+// ✅ Send one message
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || "Portfolio Tracker <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html
+  });
+  deliverLocally(info);
+  return info;
+}
+
+// ✅ Send without waiting: failures are logged, not surfaced, since the change the mail reports
+// has already happened. `what` names the message in the log.
+function mailInBackground(promise, what) {
+  promise.catch((err) => console.error(`${what} email failed:`, err.message));
+}
+
+module.exports = { sendMail, mailInBackground, registerTransport };
@@ -0,0 +1,117 @@
+// services/notifiers.js
+// Delivery channels for triggered alerts. Each channel is async ({ user, alert, notification }) => void;
+// register more with registerChannel(name, fn).
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+const Notification = require("../models/Notification");
+const { sendMail } = require("./mailer");
+
+// Webhooks are user-supplied URLs fetched from the server: they may only reach the public internet
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3] // multicast and reserved
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127], // unspecified and loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8] // multicast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, "ipv6"));
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// ✅ Why a webhook URL can't be used (null when it can): https only, and no private, loopback or
+// link-local hosts. Names are checked again when they resolve (see publicLookup).
+function webhookUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "Invalid webhook URL";
+  }
+  if (url.protocol !== "https:") return "Webhook URL must use https";
+  if (url.username || url.password) return "Webhook URL can't contain credentials";
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const internalName = host === "localhost" || /\.(localhost|local|internal)$/.test(host);
+  if (internalName || (net.isIP(host) && isPrivateAddress(host))) return "Webhook URL must point to a public host";
+  return null;
+}
+
+// DNS lookup for webhook connections that refuses private addresses, so a public name can't be
+// pointed (or re-pointed after validation) at an internal service
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((a) => isPrivateAddress(a.address)))
+      return callback(new Error(`${hostname} resolves to a private address`));
+    callback(null, address, family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+const channels = {
+  // in_app always runs first: it creates the Notification the other channels describe
+  in_app: async ({ user, alert, notification }) =>
+    Notification.create({ userId: user._id, alertId: alert._id, ...notification }),
+
+  email: async ({ user, notification }) =>
+    sendMail({ to: user.email, subject: notification.title, text: notification.message }),
+
+  webhook: async ({ alert, notification }) => {
+    if (!alert.webhookUrl) throw new Error("No webhook URL configured");
+    const invalid = webhookUrlError(alert.webhookUrl);
+    if (invalid) throw new Error(invalid);
+    await axios.post(
+      alert.webhookUrl,
+      {
+        event: "price_alert.triggered",
+        alertId: alert._id,
+        symbol: alert.symbol,
+        kind: alert.kind,
+        threshold: alert.threshold,
+        value: alert.triggeredValue,
+        ...notification
+      },
+      // no redirects: they could lead anywhere
+      { timeout: 10000, httpsAgent: webhookAgent, maxRedirects: 0 }
+    );
+  }
+};
+
+function registerChannel(name, fn) {
+  channels[name] = fn;
+}
+
+// ✅ Deliver over every channel the alert asks for; one failing channel doesn't stop the others
+async function deliver({ user, alert, notification }) {
+  const names = ["in_app", ...(alert.channels || []).filter((c) => c !== "in_app")];
+  const errors = [];
+  for (const name of names) {
+    const channel = channels[name];
+    if (!channel) {
+      errors.push(`${name}: unknown channel`);
+      continue;
+    }
+    try {
+      await channel({ user, alert, notification });
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { webhookUrlError, registerChannel, deliver };
@@ -0,0 +1,88 @@
+// services/portfolio.js
+// Build a user's priced portfolio + summary (shared by the API and background jobs)
+const User = require("../models/User");
+const Portfolio = require("../models/Portfolio");
+const { COST_BASIS_METHODS, getPositions } = require("./ledger");
+const { enrichAssetsWithPrices } = require("./prices");
+
+const FIAT = (process.env.CURRENCY || "USD").toUpperCase();
+
+// ✅ Totals across enriched positions (all figures already in the base currency)
+function summarize(enriched) {
+  const totals = enriched.reduce(
+    (acc, a) => {
+      acc.invested += a.invested || 0;
+      acc.currentValue += a.currentValue || 0;
+      acc.unrealized += a.unrealizedPnL || 0;
+      acc.realized += a.realizedPnL || 0;
+      acc.soldCost += a.soldCost || 0;
+      acc.income += a.income || 0;
+      acc.charges += a.charges || 0;
+      return acc;
+    },
+    { invested: 0, currentValue: 0, unrealized: 0, realized: 0, soldCost: 0, income: 0, charges: 0 }
+  );
+
+  const net = totals.unrealized + totals.realized;
+  const deployed = totals.invested + totals.soldCost;
+  const netPct = deployed > 0 ? (net / deployed) * 100 : 0;
+  // total return = price P&L + dividends/interest - standalone fee charges
+  const totalReturn = net + totals.income - totals.charges;
+
+  return {
+    totalInvested: totals.invested,
+    totalCurrentValue: totals.currentValue,
+    unrealizedPnL: totals.unrealized,
+    realizedPnL: totals.realized,
+    netPnL: net,
+    netPnLPct: netPct,
+    income: totals.income,
+    charges: totals.charges,
+    totalReturn,
+    totalReturnPct: deployed > 0 ? (totalReturn / deployed) * 100 : 0
+  };
+}
+
+// ✅ Invested / current value per asset type
+function breakdownByType(enriched) {
+  const groups = {};
+  for (const a of enriched) {
+    const g = (groups[a.type] = groups[a.type] || { type: a.type, invested: 0, currentValue: 0 });
+    g.invested += a.invested || 0;
+    g.currentValue += a.currentValue || 0;
+  }
+  return Object.values(groups);
+}
+
+const describe = (p) => ({ _id: p._id, name: p.name, baseCurrency: p.baseCurrency, broker: p.broker });
+
+// ✅ Main entry: method overrides the user's saved cost-basis method when valid.
+// With a portfolio (document) only its assets are priced, in its base currency; without one
+// every portfolio is consolidated in the user's base currency, with a summary per portfolio.
+async function buildPortfolio(userId, { method, portfolio } = {}) {
+  const user = await User.findById(userId);
+  const costBasisMethod = COST_BASIS_METHODS.includes(method)
+    ? method
+    : user?.costBasisMethod || "fifo";
+  const currency = (portfolio ? portfolio.baseCurrency : user?.baseCurrency) || FIAT;
+
+  const positions = await getPositions(userId, costBasisMethod, { portfolioId: portfolio?._id });
+  const assets = await enrichAssetsWithPrices(positions, currency);
+  const result = {
+    currency,
+    costBasisMethod,
+    portfolio: portfolio ? describe(portfolio) : null,
+    assets,
+    summary: summarize(assets)
+  };
+  if (portfolio) return result;
+
+  const portfolios = await Portfolio.find({ userId }).sort({ createdAt: 1 }).lean();
+  result.portfolios = portfolios.map((p) => ({
+    ...describe(p),
+    summary: summarize(assets.filter((a) => String(a.portfolioId) === String(p._id)))
+  }));
+  return result;
+}
+
+module.exports = { buildPortfolio, summarize, breakdownByType };
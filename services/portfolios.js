@@ -0,0 +1,45 @@
+// services/portfolios.js
+// Named portfolios: the default one new assets land in, and the one-off migration for older assets
+const Asset = require("../models/Asset");
+const Portfolio = require("../models/Portfolio");
+const User = require("../models/User");
+const { portfolioAccess } = require("./access");
+
+const DEFAULT_NAME = "Main";
+
+// ✅ The user's oldest portfolio, created on first use
+async function getDefaultPortfolio(userId) {
+  const existing = await Portfolio.findOne({ userId }).sort({ createdAt: 1 });
+  if (existing) return existing;
+  const user = await User.findById(userId);
+  return Portfolio.findOneAndUpdate(
+    { userId, name: DEFAULT_NAME },
+    { $setOnInsert: { userId, name: DEFAULT_NAME, baseCurrency: user?.baseCurrency } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// ✅ { portfolio, role } for a portfolio id the user can access (own or shared), else the user's
+// default portfolio when no id is given. Returns null for an id they can't access.
+async function resolvePortfolio(userId, portfolioId) {
+  if (!portfolioId) return { portfolio: await getDefaultPortfolio(userId), role: "owner" };
+  return portfolioAccess(userId, portfolioId);
+}
+
+// ✅ One-off migration: assets from before portfolios existed move into their owner's default
+// portfolio. Safe to run repeatedly.
+async function migrateAssetsToPortfolios() {
+  const userIds = await Asset.distinct("userId", { portfolioId: { $exists: false } });
+  let moved = 0;
+  for (const userId of userIds) {
+    const portfolio = await getDefaultPortfolio(userId);
+    const res = await Asset.updateMany(
+      { userId, portfolioId: { $exists: false } },
+      { $set: { portfolioId: portfolio._id } }
+    );
+    moved += res.modifiedCount || 0;
+  }
+  return moved;
+}
+
+module.exports = { getDefaultPortfolio, resolvePortfolio, migrateAssetsToPortfolios };
@@ -0,0 +1,176 @@
+// services/priceHub.js
+// Server-Sent Events hub: while users are connected, poll quotes for every symbol they hold
+// and push each user their re-priced portfolio whenever it changes.
+// A connection follows one portfolio (own or shared with the user) or, without a portfolioId,
+// the consolidated view of the user's own portfolios.
+const mongoose = require("mongoose");
+const Asset = require("../models/Asset");
+const { getQuotes } = require("./prices");
+const { buildPortfolio } = require("./portfolio");
+const { portfolioAccess } = require("./access");
+const { isSessionActive } = require("./sessions");
+
+const POLL_MS = Number(process.env.STREAM_INTERVAL_SECONDS || 15) * 1000;
+const HEARTBEAT_MS = 25 * 1000; // keep proxies from closing idle connections
+
+const clients = new Map(); // userId -> Map<view, Set<res>> (view = portfolioId or "all")
+const lastSent = new Map(); // "userId:view" -> fingerprint of the last pushed payload
+const viewOwners = new Map(); // portfolioId -> its owner's userId (whose changes re-push the view)
+let pollTimer = null;
+let heartbeatTimer = null;
+let polling = false;
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Prices + totals are what the dashboard redraws; skip pushes when none of them moved
+function fingerprint(portfolio) {
+  return JSON.stringify([
+    portfolio.summary,
+    portfolio.assets.map((a) => [a._id, a.currentPrice, a.quantity, a.error || null])
+  ]);
+}
+
+async function pushView(userId, view, set) {
+  const key = `${userId}:${view}`;
+  let access;
+  if (view !== "all") {
+    access = await portfolioAccess(userId, view);
+    if (!access) {
+      // deleted, or the user's access was revoked
+      for (const res of set) send(res, "error", { error: "Portfolio not found" });
+      return;
+    }
+    viewOwners.set(view, String(access.portfolio.userId));
+  }
+  const ownerId = access ? access.portfolio.userId : userId;
+  const payload = {
+    ...(await buildPortfolio(ownerId, { portfolio: access?.portfolio })),
+    role: access ? access.role : "owner"
+  };
+  const print = fingerprint(payload);
+  if (lastSent.get(key) === print) return;
+  lastSent.set(key, print);
+  for (const res of set) send(res, "portfolio", payload);
+}
+
+async function pushPortfolio(userId) {
+  const views = clients.get(userId);
+  if (!views) return;
+  for (const [view, set] of views) await pushView(userId, view, set);
+}
+
+// ✅ One polling pass: warm the quote cache in one batch, then re-price each connected user
+async function poll() {
+  if (polling || !clients.size) return;
+  polling = true;
+  try {
+    const userIds = [...clients.keys()];
+    // one bad id would make the query (and so every user's updates) fail
+    const views = [...clients.values()]
+      .flatMap((v) => [...v.keys()])
+      .filter((v) => v !== "all" && mongoose.isValidObjectId(v));
+    const held = await Asset.find(
+      { $or: [{ userId: { $in: userIds } }, { portfolioId: { $in: views } }] },
+      { symbol: 1, type: 1, coinId: 1 }
+    ).lean();
+    await getQuotes(held); // one batched fetch for every connected user's symbols
+    for (const userId of userIds) {
+      await pushPortfolio(userId).catch((err) => console.error(`Stream push failed for ${userId}:`, err.message));
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+// Keep-alive ping; connections whose session was revoked since they opened are closed instead
+async function heartbeat() {
+  for (const views of clients.values()) {
+    for (const set of views.values()) {
+      for (const res of set) {
+        const { sessionId, drop } = res.locals.stream;
+        if (sessionId && !(await isSessionActive(sessionId))) {
+          send(res, "revoked", { error: "Session revoked" });
+          res.end();
+          drop();
+          continue;
+        }
+        res.write(": ping\n\n");
+      }
+    }
+  }
+}
+
+function ensureTimers() {
+  if (!pollTimer) pollTimer = setInterval(() => poll().catch((err) => console.error("Price hub poll failed", err)), POLL_MS);
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(
+      () => heartbeat().catch((err) => console.error("Price hub heartbeat failed", err)),
+      HEARTBEAT_MS
+    );
+  }
+}
+
+function stopTimersIfIdle() {
+  if (clients.size) return;
+  clearInterval(pollTimer);
+  clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+}
+
+// ✅ Attach an SSE response for a user (and optionally one portfolio); the first snapshot is sent immediately.
+// sessionId ties the connection to the sign-in that opened it, so revoking the session ends it.
+function subscribe(userId, req, res, { portfolioId, sessionId } = {}) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${POLL_MS}\n\n`);
+
+  const view = portfolioId && portfolioId !== "all" ? String(portfolioId) : "all";
+  if (!clients.has(userId)) clients.set(userId, new Map());
+  const views = clients.get(userId);
+  if (!views.has(view)) views.set(view, new Set());
+  views.get(view).add(res);
+  lastSent.delete(`${userId}:${view}`); // a new tab needs a full snapshot
+  ensureTimers();
+  pushView(userId, view, views.get(view)).catch((err) => send(res, "error", { error: err.message }));
+
+  const drop = () => {
+    const set = views.get(view);
+    if (set) {
+      set.delete(res);
+      if (!set.size) {
+        views.delete(view);
+        lastSent.delete(`${userId}:${view}`);
+      }
+    }
+    if (!views.size && clients.get(userId) === views) clients.delete(userId);
+    stopTimersIfIdle();
+  };
+  res.locals.stream = { sessionId, drop };
+  req.on("close", drop);
+}
+
+// ✅ Push immediately (e.g. after a trade is recorded) instead of waiting for the next poll.
+// userId is the owner of what changed: their own connections and anyone watching one of their
+// shared portfolios are re-pushed.
+function notifyChanged(userId) {
+  const id = String(userId);
+  const pushes = [];
+  for (const [uid, views] of clients) {
+    for (const [view, set] of views) {
+      if (uid !== id && viewOwners.get(view) !== id) continue;
+      lastSent.delete(`${uid}:${view}`);
+      pushes.push(pushView(uid, view, set).catch(() => {}));
+    }
+  }
+  return Promise.all(pushes);
+}
+
+module.exports = { subscribe, notifyChanged };
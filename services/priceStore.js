@@ -0,0 +1,293 @@
+// services/priceStore.js
+// Daily bars kept in MongoDB (models/PriceBar.js). A request only downloads what the store doesn't
+// cover yet: older days in front of it, and the days since it was last refreshed. When the
+// provider is down, whatever is stored is served instead (marked stale).
+// Stocks, funds and indices come from Yahoo; crypto from CoinGecko, with Yahoo's pair for the
+// days before CoinGecko's history window or when CoinGecko doesn't know the coin.
+const mongoose = require("mongoose");
+const axios = require("axios");
+const NodeCache = require("node-cache");
+const yahooFinance = require("yahoo-finance2").default;
+const PriceBar = require("../models/PriceBar");
+const PriceSeries = require("../models/PriceSeries");
+const { resolveCoinId } = require("./coins");
+
+const FIAT = (process.env.CURRENCY || "USD").toUpperCase();
+// how often the latest bars are re-downloaded (today's bar changes until the close)
+const REFRESH_MS = Number(process.env.PRICE_REFRESH_MINUTES || 60) * 60 * 1000;
+// the public CoinGecko API only serves the last year of history
+const COINGECKO_DAYS = Number(process.env.COINGECKO_HISTORY_DAYS || 365);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFETCH_DAYS = 5; // the last few stored bars are fetched again on refresh, in case they were provisional
+
+const dbReady = () => mongoose.connection.readyState === 1;
+const memory = new NodeCache({ stdTTL: REFRESH_MS / 1000 }); // only used without a database
+const inflight = new Map(); // series key -> running update, so concurrent requests share one download
+
+const dayStart = (d) => {
+  const day = new Date(d);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Yahoo lists crypto as pairs (BTC-USD); everything else uses the asset symbol as-is
+function yahooSymbol(symbol, type) {
+  return type === "crypto" ? `${symbol.toUpperCase()}-${FIAT}` : symbol;
+}
+
+// Parse a chart() result (either shape) into a consistent quotes array
+function parseChart(result) {
+  if (result && Array.isArray(result.quotes) && result.quotes.length) {
+    return result.quotes;
+  }
+  if (result && result.chart && Array.isArray(result.chart.result) && result.chart.result[0]) {
+    // low-level chart result shape -> build quotes
+    const r0 = result.chart.result[0];
+    const timestamps = r0.timestamp || [];
+    const quoteIndicators = (r0.indicators && r0.indicators.quote && r0.indicators.quote[0]) || {};
+    const opens = quoteIndicators.open || [];
+    const closes = quoteIndicators.close || [];
+    const highs = quoteIndicators.high || [];
+    const lows = quoteIndicators.low || [];
+    const volumes = quoteIndicators.volume || [];
+
+    return timestamps.map((ts, i) => ({
+      date: new Date(ts * 1000),
+      open: opens[i] ?? null,
+      close: closes[i] ?? null,
+      high: highs[i] ?? null,
+      low: lows[i] ?? null,
+      volume: volumes[i] ?? null
+    }));
+  }
+  return [];
+}
+
+// Normalize quotes into history records
+function toHistory(quotes) {
+  return quotes
+    .filter(q => q && (q.close !== undefined && q.close !== null || q.price !== undefined)) // ensure meaningful entries
+    .map(q => ({
+      date: q.date instanceof Date ? q.date : new Date(q.date),
+      open: q.open ?? null,
+      close: (q.close ?? q.price) ?? null,
+      high: q.high ?? null,
+      low: q.low ?? null,
+      volume: q.volume ?? null
+    }));
+}
+
+// ✅ Yahoo daily bars (split-adjusted) and the splits in the span; each is dated by its trading
+// day at the exchange (an ASX bar opens the evening before in UTC)
+async function fetchYahoo(ticker, from, to) {
+  const result = await yahooFinance.chart(ticker, { period1: from, period2: to, interval: "1d", events: "split" });
+  const offset = (result?.meta?.gmtoffset || 0) * 1000;
+  const bars = toHistory(parseChart(result))
+    .filter((h) => h.close != null)
+    .map((h) => ({ ...h, date: dayStart(h.date.getTime() + offset), source: "yahoo" }));
+  const events = result?.events?.splits;
+  const splits = (Array.isArray(events) ? events : Object.values(events || {}))
+    .map((s) => ({
+      date: dayStart(new Date(s.date).getTime() + offset),
+      ratio: Number(s.numerator) / Number(s.denominator)
+    }))
+    .filter((s) => s.ratio > 0 && s.ratio !== 1);
+  return { currency: result?.meta?.currency || null, bars, splits };
+}
+
+// ✅ CoinGecko prices bucketed into UTC days (hourly points below 90 days, daily above)
+async function fetchCoinGecko(coinId, from, to) {
+  const url = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(coinId)}/market_chart/range`;
+  const { data } = await axios.get(url, {
+    params: {
+      vs_currency: FIAT.toLowerCase(),
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000)
+    },
+    timeout: 15000
+  });
+  const volumes = new Map((data.total_volumes || []).map(([ms, v]) => [dayStart(ms).getTime(), v]));
+  const days = new Map();
+  for (const [ms, price] of data.prices || []) {
+    const day = dayStart(ms).getTime();
+    const bar = days.get(day);
+    if (!bar) days.set(day, { date: new Date(day), open: price, high: price, low: price, close: price });
+    else Object.assign(bar, { high: Math.max(bar.high, price), low: Math.min(bar.low, price), close: price });
+  }
+  const bars = [...days.values()].sort((a, b) => a.date - b.date);
+  // a day with a single (daily) point opens where the day before closed
+  bars.forEach((bar, i) => {
+    if (i > 0 && bar.open === bar.close && bar.high === bar.low) {
+      bar.open = bars[i - 1].close;
+      bar.high = Math.max(bar.open, bar.close);
+      bar.low = Math.min(bar.open, bar.close);
+    }
+    bar.volume = volumes.get(bar.date.getTime()) ?? null;
+    bar.source = "coingecko";
+  });
+  return { currency: FIAT, bars };
+}
+
+// Where a series comes from: { key, symbol, fetch(from, to) }
+async function describeSeries(symbol, { type = "stock", coinId } = {}) {
+  if (type !== "crypto") {
+    const ticker = yahooSymbol(symbol, type);
+    return {
+      key: `${type.toUpperCase()}:${symbol.toUpperCase()}`,
+      symbol: ticker,
+      fetch: (from, to) => fetchYahoo(ticker, from, to)
+    };
+  }
+
+  const id = coinId || (await resolveCoinId(symbol));
+  const pair = yahooSymbol(symbol, type);
+  if (!id) {
+    return { key: `CRYPTO:${symbol.toUpperCase()}`, symbol: pair, fetch: (from, to) => fetchYahoo(pair, from, to) };
+  }
+  return {
+    key: `CRYPTO:${id}`,
+    symbol: id,
+    async fetch(from, to) {
+      const windowStart = new Date(Date.now() - (COINGECKO_DAYS - 1) * DAY_MS);
+      if (to <= windowStart) return fetchYahoo(pair, from, to);
+      let recent;
+      try {
+        recent = await fetchCoinGecko(id, from > windowStart ? from : windowStart, to);
+      } catch (err) {
+        console.warn(`CoinGecko history for ${id} failed, using ${pair}:`, err.message);
+        return fetchYahoo(pair, from, to);
+      }
+      if (from >= windowStart) return recent;
+      // older days from Yahoo's pair when it has them
+      const older = await fetchYahoo(pair, from, windowStart).catch(() => ({ bars: [], splits: [] }));
+      const first = recent.bars[0]?.date;
+      return {
+        currency: FIAT,
+        bars: [...older.bars.filter((b) => !first || b.date < first), ...recent.bars],
+        splits: older.splits
+      };
+    }
+  };
+}
+
+async function saveBars(key, bars) {
+  if (!bars.length) return;
+  await PriceBar.bulkWrite(
+    bars.map(({ date, open, high, low, close, volume, source }) => ({
+      updateOne: {
+        filter: { series: key, date },
+        update: { $set: { open, high, low, close, volume, source } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+}
+
+const splitKey = (s) => `${new Date(s.date).toISOString().slice(0, 10)}:${s.ratio}`;
+
+// ✅ Bars as they read after a split of `ratio` new units per old one
+function rescaleBars(bars, ratio) {
+  const scale = (v) => (v == null ? v : v / ratio);
+  return bars.map((b) => ({
+    ...b,
+    open: scale(b.open),
+    high: scale(b.high),
+    low: scale(b.low),
+    close: scale(b.close),
+    volume: b.volume == null ? b.volume : b.volume * ratio
+  }));
+}
+
+// Stored bars are only re-downloaded for the last few days, so a split the refresh reveals
+// restates everything stored before it (the provider's older closes have moved the same way)
+async function applySplits(key, doc, splits = []) {
+  const applied = new Set((doc.splits || []).map(splitKey));
+  for (const split of splits.filter((s) => !applied.has(splitKey(s))).sort((a, b) => a.date - b.date)) {
+    if (split.date > doc.from) {
+      const before = await PriceBar.find({ series: key, date: { $lt: split.date } }, { _id: 0, series: 0 }).lean();
+      await saveBars(key, rescaleBars(before, split.ratio));
+    }
+    doc.splits = [...(doc.splits || []), split];
+  }
+}
+
+// ✅ Bring the stored span of a series out to `from` and up to now; throws when the provider fails
+async function updateSeries(series, from) {
+  const now = new Date();
+  const doc = await PriceSeries.findOne({ key: series.key });
+
+  if (!doc) {
+    const { currency, bars, splits = [] } = await series.fetch(from, now);
+    await saveBars(series.key, bars);
+    // nothing within a week of the start asked for: that's where the provider's history begins
+    const complete = !bars.length || bars[0].date - from > 7 * DAY_MS;
+    await PriceSeries.updateOne(
+      { key: series.key },
+      { $set: { symbol: series.symbol, currency, from, to: now, complete, splits, lastError: null } },
+      { upsert: true }
+    );
+    return;
+  }
+
+  if (from < doc.from && !doc.complete) {
+    const { bars, splits = [] } = await series.fetch(from, doc.from);
+    await saveBars(series.key, bars);
+    // these came adjusted for every split so far, including ones older than what was stored
+    const applied = new Set((doc.splits || []).map(splitKey));
+    doc.splits = [...(doc.splits || []), ...splits.filter((s) => !applied.has(splitKey(s)))];
+    doc.complete = !bars.length || bars[0].date - from > 7 * DAY_MS;
+    doc.from = from;
+  }
+  if (now - doc.to > REFRESH_MS) {
+    const { currency, bars, splits } = await series.fetch(new Date(doc.to.getTime() - REFETCH_DAYS * DAY_MS), now);
+    await applySplits(series.key, doc, splits);
+    await saveBars(series.key, bars);
+    doc.currency = currency || doc.currency;
+    doc.to = now;
+  }
+  doc.lastError = null;
+  await doc.save();
+}
+
+// ✅ Main entry: daily bars from `from` (a Date; the epoch for the whole history) through today,
+// oldest first -> { key, currency, bars, stale }
+async function getBars(symbol, { type = "stock", coinId, from } = {}) {
+  const series = await describeSeries(symbol, { type, coinId });
+  const start = dayStart(Math.max(0, new Date(from || 0).getTime()));
+
+  if (!dbReady()) {
+    const cacheKey = `${series.key}:${start.toISOString().slice(0, 10)}`;
+    const cached = memory.get(cacheKey);
+    if (cached) return cached;
+    const { currency, bars } = await series.fetch(start, new Date());
+    const payload = { key: series.key, currency, bars, stale: false };
+    memory.set(cacheKey, payload);
+    return payload;
+  }
+
+  let stale = false;
+  if (!inflight.has(series.key)) {
+    inflight.set(series.key, updateSeries(series, start).finally(() => inflight.delete(series.key)));
+  }
+  try {
+    await inflight.get(series.key);
+    // another request may have been updating a shorter span
+    const doc = await PriceSeries.findOne({ key: series.key }).lean();
+    if (doc && start < doc.from && !doc.complete) await updateSeries(series, start);
+  } catch (err) {
+    // offline or rate limited: serve what's stored
+    stale = true;
+    console.warn(`Price history for ${series.key} not refreshed:`, err.message);
+    await PriceSeries.updateOne({ key: series.key }, { $set: { lastError: err.message } });
+    if (!(await PriceBar.exists({ series: series.key, date: { $gte: start } }))) throw err;
+  }
+
+  const doc = await PriceSeries.findOne({ key: series.key }).lean();
+  const bars = await PriceBar.find({ series: series.key, date: { $gte: start } }, { _id: 0, series: 0 })
+    .sort({ date: 1 })
+    .lean();
+  return { key: series.key, currency: doc?.currency || null, bars, stale };
+}
+
+module.exports = { yahooSymbol, rescaleBars, updateSeries, getBars };
@@ -1,106 +1,166 @@
 // services/prices.js
-// Fetch live quotes from free APIs: Yahoo Finance for stocks/mutual funds/commodities, CoinGecko for crypto
+// Live quotes (via the provider chains in services/providers.js) and position enrichment
+const mongoose = require("mongoose");
 const NodeCache = require("node-cache");
-const yahooFinance = require("yahoo-finance2").default; // install: npm install yahoo-finance2
-const cache = new NodeCache({ stdTTL: 60 }); // 1 minute cache to avoid rate limits
+const QuoteCache = require("../models/QuoteCache");
+const { getFxRate, normalizeCurrency } = require("./fx");
+const { fetchQuotes, quoteKey } = require("./providers");
 
 const FIAT = (process.env.CURRENCY || "USD").toUpperCase();
+const TTL_SECONDS = Number(process.env.QUOTE_CACHE_SECONDS || 60);
+const cache = new NodeCache({ stdTTL: TTL_SECONDS }); // in-process copy of the Mongo quote cache
+const inflight = new Map(); // key -> Promise<quote | Error>, shared by concurrent callers
 
-const CRYPTO_MAP = {
-  BTC: "bitcoin",
-  ETH: "ethereum",
-  ADA: "cardano",
-  BNB: "binancecoin",
-  XRP: "ripple",
-  DOGE: "dogecoin",
-  SOL: "solana",
-  MATIC: "matic-network",
-  LTC: "litecoin"
-};
+const dbReady = () => mongoose.connection.readyState === 1;
 
-// ✅ Yahoo Finance fetcher (works for stocks, mutual funds, commodities like GC=F for gold)
-async function fetchYahooQuote(symbol) {
-  try {
-    const q = await yahooFinance.quote(symbol);
-    if (!q || !q.regularMarketPrice) throw new Error("Price not found from Yahoo Finance");
-    return {
-      symbol,
-      price: Number(q.regularMarketPrice),
-      currency: q.currency || FIAT,
-      source: "Yahoo Finance"
-    };
-  } catch (err) {
-    throw new Error(`Yahoo Finance error: ${err.message}`);
+// Fresh quotes from Mongo, then the providers for whatever is left. A symbol no provider can price
+// falls back to its last stored quote (flagged stale) rather than failing outright.
+async function load(items) {
+  const results = new Map();
+  const stored = dbReady()
+    ? await QuoteCache.find({ key: { $in: items.map(quoteKey) } }).lean().catch(() => [])
+    : [];
+  const byKey = new Map(stored.map((d) => [d.key, d]));
+  const freshAfter = Date.now() - TTL_SECONDS * 1000;
+
+  const missing = [];
+  for (const item of items) {
+    const doc = byKey.get(quoteKey(item));
+    if (doc && doc.fetchedAt.getTime() > freshAfter) results.set(quoteKey(item), doc.quote);
+    else missing.push(item);
   }
-}
+  if (!missing.length) return results;
 
-// ✅ CoinGecko fetcher for crypto
-async function fetchCoinGeckoPrice(symbol) {
-  const id = CRYPTO_MAP[symbol.toUpperCase()];
-  if (!id) throw new Error(`Unsupported crypto symbol: ${symbol}`);
-  const url = new URL("https://api.coingecko.com/api/v3/simple/price");
-  url.searchParams.set("ids", id);
-  url.searchParams.set("vs_currencies", FIAT.toLowerCase());
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`CoinGecko error ${res.status}`);
-  const data = await res.json();
-  const price = data?.[id]?.[FIAT.toLowerCase()];
-  if (!price) throw new Error("Price not found from CoinGecko");
-  return { symbol: symbol.toUpperCase(), price: Number(price), currency: FIAT, source: "CoinGecko" };
+  const fetched = await fetchQuotes(missing);
+  const writes = [];
+  for (const [key, quote] of fetched) {
+    if (quote instanceof Error) {
+      const doc = byKey.get(key);
+      results.set(key, doc ? { ...doc.quote, stale: true, fetchedAt: doc.fetchedAt } : quote);
+      continue;
+    }
+    results.set(key, quote);
+    writes.push({
+      updateOne: { filter: { key }, update: { $set: { quote, fetchedAt: new Date() } }, upsert: true }
+    });
+  }
+  if (writes.length && dbReady()) {
+    QuoteCache.bulkWrite(writes, { ordered: false }).catch((err) => console.error("Quote cache write failed:", err.message));
+  }
+  return results;
 }
 
-// ✅ Main getQuote
-async function getQuote({ symbol, type }) {
-  const key = `${type}:${symbol}`.toUpperCase();
-  const cached = cache.get(key);
-  if (cached) return cached;
+// ✅ Quotes for many { symbol, type, coinId? } at once -> Map(quoteKey -> quote | Error).
+// Memory cache first; symbols another caller is already fetching are awaited, not re-requested.
+async function getQuotes(items) {
+  const results = new Map();
+  const waiting = [];
+  const toLoad = [];
+  for (const item of items) {
+    const key = quoteKey(item);
+    if (results.has(key) || toLoad.some((i) => quoteKey(i) === key)) continue;
+    const cached = cache.get(key);
+    if (cached) results.set(key, cached);
+    else if (inflight.has(key)) waiting.push([key, inflight.get(key)]);
+    else toLoad.push(item);
+  }
 
-  let result;
-  if (type === "crypto") {
-    result = await fetchCoinGeckoPrice(symbol);
-  } else if (["stock", "mutual_fund", "commodity"].includes(type)) {
-    result = await fetchYahooQuote(symbol);
-  } else {
-    throw new Error(`Unsupported asset type: ${type}`);
+  if (toLoad.length) {
+    const batch = load(toLoad).catch((err) => new Map(toLoad.map((i) => [quoteKey(i), err])));
+    for (const item of toLoad) {
+      const key = quoteKey(item);
+      const promise = batch.then((loaded) => {
+        const quote = loaded.get(key) || new Error(`No price for ${item.symbol}`);
+        if (!(quote instanceof Error) && !quote.stale) cache.set(key, quote);
+        return quote;
+      });
+      inflight.set(key, promise);
+      promise.finally(() => inflight.delete(key));
+      waiting.push([key, promise]);
+    }
   }
 
-  cache.set(key, result);
-  return result;
+  for (const [key, promise] of waiting) results.set(key, await promise);
+  return results;
 }
 
-// ✅ Enrich assets with prices, PnL, etc.
-async function enrichAssetsWithPrices(assets) {
+// ✅ Main getQuote (single symbol)
+async function getQuote({ symbol, type, coinId }) {
+  const quote = (await getQuotes([{ symbol, type, coinId }])).get(quoteKey({ symbol, type, coinId }));
+  if (quote instanceof Error) throw quote;
+  return quote;
+}
+
+// ✅ Trading currency of a symbol, used as the ledger currency of new assets
+async function detectCurrency(symbol, type) {
+  try {
+    const quote = await getQuote({ symbol, type });
+    return normalizeCurrency(quote.currency).currency || FIAT;
+  } catch {
+    return FIAT;
+  }
+}
+
+// ✅ Enrich positions (plain objects from services/ledger.js) with prices, PnL, etc.
+// currentPrice/buyPrice stay in the asset's own currency; invested, currentValue and
+// the P&L figures are converted into baseCurrency at the current FX rate.
+// invested is the cost basis of the open lots; pnl is the unrealized part,
+// realizedPnL comes straight from the ledger's lot matching.
+async function enrichAssetsWithPrices(assets, baseCurrency = FIAT) {
+  const quotes = await getQuotes(assets);
   const results = [];
   for (const a of assets) {
+    const currency = a.currency || FIAT;
     try {
-      const quote = await getQuote({ symbol: a.symbol, type: a.type });
-      const currentValue = quote.price * a.quantity;
-      const invested = a.buyPrice * a.quantity;
+      const quote = quotes.get(quoteKey(a));
+      if (quote instanceof Error) throw quote;
+      const quoted = normalizeCurrency(quote.currency || currency);
+      const toLocal = quoted.factor * (await getFxRate(quoted.currency, currency));
+      const fxRate = await getFxRate(currency, baseCurrency);
+
+      const currentPrice = quote.price * toLocal;
+      const currentValue = currentPrice * a.quantity * fxRate;
+      const invested = a.invested * fxRate;
       const pnl = currentValue - invested;
       const pnlPct = invested > 0 ? (pnl / invested) * 100 : 0;
       results.push({
-        ...a.toObject(),
-        currentPrice: quote.price,
-        currency: quote.currency,
+        ...a,
+        currentPrice,
+        currency,
+        fxRate,
         currentValue,
         invested,
         pnl,
-        pnlPct
+        pnlPct,
+        unrealizedPnL: pnl,
+        realizedPnL: a.realizedPnL * fxRate,
+        soldCost: a.soldCost * fxRate,
+        income: a.income * fxRate,
+        charges: a.charges * fxRate,
+        ...(quote.stale ? { priceStale: true, priceAsOf: quote.fetchedAt } : {})
       });
     } catch (err) {
+      // Without an FX rate the base-currency figures would be wrong, so leave them out
+      const fxRate = currency === baseCurrency ? 1 : null;
       results.push({
-        ...a.toObject(),
+        ...a,
         currentPrice: null,
         error: err.message,
-        currency: FIAT,
+        currency,
+        fxRate,
         currentValue: null,
-        invested: a.buyPrice * a.quantity,
+        invested: fxRate ? a.invested : null,
         pnl: null,
-        pnlPct: null
+        pnlPct: null,
+        unrealizedPnL: null,
+        realizedPnL: fxRate ? a.realizedPnL : null,
+        soldCost: fxRate ? a.soldCost : null,
+        income: fxRate ? a.income : null,
+        charges: fxRate ? a.charges : null
       });
     }
   }
   return results;
 }
 
-module.exports = { getQuote, enrichAssetsWithPrices };
+module.exports = { quoteKey, getQuote, getQuotes, detectCurrency, enrichAssetsWithPrices };
@@ -0,0 +1,362 @@
+// services/providers.js
+// Quote provider registry. A provider is { name, types, fetchQuote(item) } where item is
+// { symbol, type, coinId? }, resolving to { symbol, price, currency, changePct, source }; batch
+// endpoints can add fetchQuotes(items) resolving to { [item.key]: quote }. Each asset type has an
+// ordered fallback chain. Register more with registerProvider(provider).
+const fs = require("fs");
+const yahooFinance = require("yahoo-finance2").default;
+const { resolveCoinIds } = require("./coins");
+
+const FIAT = (process.env.CURRENCY || "USD").toUpperCase();
+const ASSET_TYPES = ["stock", "mutual_fund", "crypto", "commodity"];
+
+// After this many failures in a row a provider sits out for COOLDOWN_MS (unless it's the last in the chain)
+const MAX_CONSECUTIVE_FAILURES = 3;
+const COOLDOWN_MS = Number(process.env.PROVIDER_COOLDOWN_SECONDS || 120) * 1000;
+// Providers without a batch endpoint get this many single-symbol requests in flight at once
+const CONCURRENCY = Math.max(1, Number(process.env.QUOTE_CONCURRENCY || 4));
+const BATCH_SIZE = 50;
+
+// Cache/result key; crypto includes the CoinGecko id since tickers collide
+const quoteKey = ({ symbol, type, coinId }) =>
+  (type === "crypto" && coinId ? `${type}:${symbol}:${coinId}` : `${type}:${symbol}`).toUpperCase();
+
+// ✅ Yahoo Finance (stocks, mutual funds, commodities like GC=F for gold; crypto as BTC-USD)
+const yahooTicker = (symbol, type) => (type === "crypto" && !symbol.includes("-") ? `${symbol}-${FIAT}` : symbol);
+
+const fromYahoo = (symbol, q) => ({
+  symbol,
+  price: Number(q.regularMarketPrice),
+  currency: q.currency || FIAT,
+  changePct: q.regularMarketChangePercent ?? null, // % move vs previous close
+  source: "Yahoo Finance"
+});
+
+const yahoo = {
+  name: "yahoo",
+  types: ASSET_TYPES,
+  async fetchQuote({ symbol, type }) {
+    const q = await yahooFinance.quote(yahooTicker(symbol, type));
+    if (!q || !q.regularMarketPrice) throw new Error("Price not found from Yahoo Finance");
+    return fromYahoo(symbol, q);
+  },
+  // one request for many tickers; symbols Yahoo doesn't know are simply absent from the result
+  async fetchQuotes(items) {
+    const byTicker = new Map();
+    for (const item of items) {
+      const ticker = yahooTicker(item.symbol, item.type).toUpperCase();
+      byTicker.set(ticker, [...(byTicker.get(ticker) || []), item]);
+    }
+    const results = await yahooFinance.quote([...byTicker.keys()], { return: "array" });
+    const quotes = {};
+    for (const q of results || []) {
+      if (!q?.regularMarketPrice) continue;
+      for (const item of byTicker.get(String(q.symbol).toUpperCase()) || []) quotes[item.key] = fromYahoo(item.symbol, q);
+    }
+    return quotes;
+  }
+};
+
+// ✅ CoinGecko for crypto
+const coingecko = {
+  name: "coingecko",
+  types: ["crypto"],
+  async fetchQuote(item) {
+    const quote = (await this.fetchQuotes([{ ...item, key: "one" }])).one;
+    if (!quote) throw new Error(`No CoinGecko price for ${item.coinId || item.symbol}`);
+    return quote;
+  },
+  // simple/price takes a comma-separated list of ids; items without a stored id go through the registry
+  async fetchQuotes(items) {
+    const resolved = await resolveCoinIds(items.filter((i) => !i.coinId).map((i) => i.symbol));
+    const ids = new Map(); // coinId -> items
+    for (const item of items) {
+      const id = item.coinId || resolved.get(item.symbol.toUpperCase());
+      if (id) ids.set(id, [...(ids.get(id) || []), item]);
+    }
+    if (!ids.size) return {};
+    const fiat = FIAT.toLowerCase();
+    const url = new URL("https://api.coingecko.com/api/v3/simple/price");
+    url.searchParams.set("ids", [...ids.keys()].join(","));
+    url.searchParams.set("vs_currencies", fiat);
+    url.searchParams.set("include_24hr_change", "true");
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`CoinGecko error ${res.status}`);
+    const data = await res.json();
+    const quotes = {};
+    for (const [id, group] of ids) {
+      const price = data?.[id]?.[fiat];
+      if (!price) continue;
+      for (const item of group) {
+        quotes[item.key] = {
+          symbol: item.symbol.toUpperCase(),
+          coinId: id,
+          price: Number(price),
+          currency: FIAT,
+          changePct: data[id][`${fiat}_24h_change`] ?? null, // % move over the last 24h
+          source: "CoinGecko"
+        };
+      }
+    }
+    return quotes;
+  }
+};
+
+// ✅ Alpha Vantage GLOBAL_QUOTE as a stock/fund fallback (needs ALPHA_VANTAGE_KEY; free tier is 25 calls/day)
+const alphavantage = {
+  name: "alphavantage",
+  types: ["stock", "mutual_fund"],
+  async fetchQuote({ symbol }) {
+    const key = process.env.ALPHA_VANTAGE_KEY;
+    if (!key) throw new Error("ALPHA_VANTAGE_KEY is not set");
+    const url = new URL("https://www.alphavantage.co/query");
+    url.searchParams.set("function", "GLOBAL_QUOTE");
+    url.searchParams.set("symbol", symbol);
+    url.searchParams.set("apikey", key);
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Alpha Vantage error ${res.status}`);
+    const data = await res.json();
+    // throttling comes back as 200 with a "Note"/"Information" message instead of a quote
+    if (data.Note || data.Information) throw new Error(data.Note || data.Information);
+    const q = data["Global Quote"];
+    const price = Number(q?.["05. price"]);
+    if (!price) throw new Error("Price not found from Alpha Vantage");
+    const change = parseFloat(q["10. change percent"]);
+    return {
+      symbol,
+      price,
+      currency: null, // GLOBAL_QUOTE doesn't say; callers fall back to the asset's currency
+      changePct: Number.isFinite(change) ? change : null,
+      source: "Alpha Vantage"
+    };
+  }
+};
+
+// ✅ Offline provider: prices from MOCK_PRICES_FILE ({ "AAPL": 190 } or { "AAPL": { "price": 190,
+// "currency": "USD" } }), otherwise a stable made-up price per symbol. MOCK_PRICE_JITTER_PCT adds noise.
+function loadMockPrices() {
+  const file = process.env.MOCK_PRICES_FILE;
+  if (!file) return {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Object.fromEntries(
+      Object.entries(raw).map(([k, v]) => [k.toUpperCase(), typeof v === "number" ? { price: v } : v])
+    );
+  } catch (err) {
+    console.error(`Could not read MOCK_PRICES_FILE ${file}:`, err.message);
+    return {};
+  }
+}
+let mockPrices = null;
+
+function stablePrice(symbol) {
+  let h = 0;
+  for (const ch of symbol) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return 10 + (h % 49000) / 100; // 10.00 - 499.99
+}
+
+const mock = {
+  name: "mock",
+  types: ASSET_TYPES,
+  async fetchQuote({ symbol }) {
+    if (!mockPrices) mockPrices = loadMockPrices();
+    const entry = mockPrices[symbol.toUpperCase()] || {};
+    const jitter = Number(process.env.MOCK_PRICE_JITTER_PCT || 0) / 100;
+    const base = Number(entry.price) || stablePrice(symbol.toUpperCase());
+    const price = base * (1 + (Math.random() * 2 - 1) * jitter);
+    return {
+      symbol,
+      price,
+      currency: entry.currency || FIAT,
+      changePct: entry.changePct ?? ((price - base) / base) * 100,
+      source: "Mock"
+    };
+  }
+};
+
+const providers = { yahoo, coingecko, alphavantage, mock };
+const stats = {}; // name -> counters, see record()
+
+const DEFAULT_CHAINS = {
+  stock: ["yahoo", "alphavantage"],
+  mutual_fund: ["yahoo", "alphavantage"],
+  commodity: ["yahoo"],
+  crypto: ["coingecko", "yahoo"]
+};
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.fetchQuote !== "function") {
+    throw new Error("A provider needs a name and a fetchQuote(item) function");
+  }
+  providers[provider.name] = { types: ASSET_TYPES, ...provider };
+}
+
+const isOffline = () => ["1", "true", "yes"].includes(String(process.env.PRICE_OFFLINE || "").toLowerCase());
+
+// ✅ Fallback chain for an asset type: PRICE_PROVIDERS_<TYPE> (e.g. PRICE_PROVIDERS_STOCK=yahoo,alphavantage),
+// else the default. PRICE_OFFLINE=true swaps every chain for the mock provider.
+function chainFor(type) {
+  if (isOffline()) return ["mock"];
+  const configured = process.env[`PRICE_PROVIDERS_${type.toUpperCase()}`];
+  const names = configured ? configured.split(",").map((s) => s.trim()).filter(Boolean) : DEFAULT_CHAINS[type] || [];
+  return names.filter((name) => {
+    // Alpha Vantage only joins default chains when a key is configured
+    if (name === "alphavantage" && !configured && !process.env.ALPHA_VANTAGE_KEY) return false;
+    return providers[name]?.types.includes(type);
+  });
+}
+
+function statsFor(name) {
+  if (!stats[name]) {
+    stats[name] = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      totalLatencyMs: 0,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      cooldownUntil: null
+    };
+  }
+  return stats[name];
+}
+
+function record(name, startedAt, err) {
+  const s = statsFor(name);
+  const latency = Date.now() - startedAt;
+  s.requests++;
+  s.totalLatencyMs += latency;
+  s.lastLatencyMs = latency;
+  if (err) {
+    s.failures++;
+    s.consecutiveFailures++;
+    s.lastError = err.message;
+    s.lastErrorAt = new Date();
+    if (s.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) s.cooldownUntil = new Date(Date.now() + COOLDOWN_MS);
+  } else {
+    s.successes++;
+    s.consecutiveFailures = 0;
+    s.lastSuccessAt = new Date();
+    s.cooldownUntil = null;
+  }
+}
+
+// Run fn over items with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+const chunk = (arr, size) => Array.from({ length: Math.ceil(arr.length / size) }, (_, i) => arr.slice(i * size, (i + 1) * size));
+
+// One provider, many items: a batch call per chunk when supported, else bounded single calls
+async function fetchFromProvider(name, items) {
+  const provider = providers[name];
+  const quotes = {};
+  const errors = {};
+  if (typeof provider.fetchQuotes === "function") {
+    for (const part of chunk(items, BATCH_SIZE)) {
+      const startedAt = Date.now();
+      try {
+        Object.assign(quotes, await provider.fetchQuotes(part));
+        record(name, startedAt);
+      } catch (err) {
+        record(name, startedAt, err);
+        for (const item of part) errors[item.key] = err.message;
+      }
+    }
+    for (const item of items) if (!quotes[item.key] && !errors[item.key]) errors[item.key] = "not found";
+  } else {
+    await mapLimit(items, CONCURRENCY, async (item) => {
+      const startedAt = Date.now();
+      try {
+        quotes[item.key] = await provider.fetchQuote(item);
+        record(name, startedAt);
+      } catch (err) {
+        record(name, startedAt, err);
+        errors[item.key] = err.message;
+      }
+    });
+  }
+  return { quotes, errors };
+}
+
+// ✅ Batch version of fetchQuote: [{ symbol, type, coinId? }] -> Map(quoteKey -> quote | Error).
+// Items a provider can't price fall through to the next provider in their chain.
+async function fetchQuotes(requested) {
+  const results = new Map();
+  const byType = new Map();
+  for (const { symbol, type, coinId } of requested) {
+    const key = quoteKey({ symbol, type, coinId });
+    if (results.has(key)) continue;
+    if (!ASSET_TYPES.includes(type)) {
+      results.set(key, new Error(`Unsupported asset type: ${type}`));
+      continue;
+    }
+    results.set(key, null);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push({ key, symbol, type, coinId });
+  }
+
+  for (const [type, items] of byType) {
+    const chain = chainFor(type);
+    const failures = Object.fromEntries(items.map((i) => [i.key, []]));
+    let remaining = items;
+    for (const [i, name] of chain.entries()) {
+      if (!remaining.length) break;
+      const s = statsFor(name);
+      if (i < chain.length - 1 && s.cooldownUntil && s.cooldownUntil > new Date()) {
+        for (const item of remaining) failures[item.key].push(`${name}: cooling down after repeated failures`);
+        continue;
+      }
+      const { quotes, errors } = await fetchFromProvider(name, remaining);
+      for (const [key, quote] of Object.entries(quotes)) results.set(key, { ...quote, provider: name });
+      for (const [key, message] of Object.entries(errors)) failures[key].push(`${name}: ${message}`);
+      remaining = remaining.filter((item) => !quotes[item.key]);
+    }
+    for (const item of remaining) {
+      const why = failures[item.key].length ? failures[item.key].join("; ") : `no price provider configured for ${type}`;
+      results.set(item.key, new Error(`No price for ${item.symbol} (${why})`));
+    }
+  }
+  return results;
+}
+
+// ✅ Single-symbol convenience wrapper around fetchQuotes
+async function fetchQuote(item) {
+  const result = (await fetchQuotes([item])).get(quoteKey(item));
+  if (result instanceof Error) throw result;
+  return result;
+}
+
+// ✅ Health snapshot for the providers endpoint
+function getProviderStats() {
+  return {
+    offline: isOffline(),
+    chains: Object.fromEntries(ASSET_TYPES.map((t) => [t, chainFor(t)])),
+    providers: Object.keys(providers).map((name) => {
+      const { totalLatencyMs, ...s } = statsFor(name);
+      return {
+        name,
+        types: providers[name].types,
+        ...s,
+        avgLatencyMs: s.requests ? Math.round(totalLatencyMs / s.requests) : null,
+        errorRate: s.requests ? s.failures / s.requests : null,
+        coolingDown: Boolean(s.cooldownUntil && s.cooldownUntil > new Date())
+      };
+    })
+  };
+}
+
+module.exports = { quoteKey, registerProvider, fetchQuote, fetchQuotes, getProviderStats, isOffline, chainFor };
@@ -0,0 +1,145 @@
+// services/rebalance.js
+// Drift against target weights and a buy/sell plan to get back to them.
+// Works on enriched positions (services/prices.js): currentValue is in the base currency.
+const round = (n, digits = 6) => Number(n.toFixed(digits));
+
+// ✅ Which target group an asset falls in
+function groupKey(asset, groupBy) {
+  if (groupBy === "symbol") return asset.symbol;
+  if (groupBy === "tag") return asset.tag || "untagged";
+  return asset.type;
+}
+
+// Spread an amount over a group's holdings by their current value
+function spread(holdings, amount) {
+  const total = holdings.reduce((sum, a) => sum + a.currentValue, 0);
+  return holdings.map((a) => ({
+    asset: a,
+    value: total > 0 ? (amount * a.currentValue) / total : amount / holdings.length
+  }));
+}
+
+function trade(asset, group, action, value) {
+  // price per unit in the base currency (currentPrice is in the asset's own currency)
+  const unitValue = asset.currentValue / asset.quantity;
+  let quantity = round(value / unitValue);
+  if (action === "sell") quantity = Math.min(quantity, asset.quantity);
+  if (quantity <= 0) return null;
+  return {
+    assetId: asset._id,
+    portfolioId: asset.portfolioId,
+    symbol: asset.symbol,
+    type: asset.type,
+    group,
+    action,
+    quantity,
+    price: asset.currentPrice,
+    priceCurrency: asset.currency,
+    value: quantity * unitValue
+  };
+}
+
+// ✅ Drift per group and the trades that close it.
+// contribution: new cash to invest. Overweight groups are sold only when their drift exceeds
+// sellThresholdPct; otherwise the plan only buys. Trades below minTradeValue are dropped.
+function planRebalance(assets, target, { contribution = 0, sellThresholdPct, minTradeValue } = {}) {
+  const groupBy = target.groupBy || "type";
+  const threshold = sellThresholdPct ?? target.sellThresholdPct ?? 5;
+  const minTrade = minTradeValue ?? target.minTradeValue ?? 0;
+  const weights = new Map((target.targets || []).map((t) => [t.key, t.weight]));
+
+  const priced = assets.filter((a) => a.currentValue > 0 && a.quantity > 0);
+  const unpriced = assets.filter((a) => a.currentValue == null && a.quantity > 0).map((a) => a.symbol);
+
+  const groups = new Map();
+  const groupOf = (key) => {
+    if (!groups.has(key)) groups.set(key, { key, holdings: [], currentValue: 0 });
+    return groups.get(key);
+  };
+  for (const key of weights.keys()) groupOf(key);
+  for (const a of priced) {
+    const g = groupOf(groupKey(a, groupBy));
+    g.holdings.push(a);
+    g.currentValue += a.currentValue;
+  }
+
+  const currentTotal = priced.reduce((sum, a) => sum + a.currentValue, 0);
+  const total = currentTotal + contribution;
+  for (const g of groups.values()) {
+    g.targetPct = weights.get(g.key) || 0;
+    g.currentPct = currentTotal > 0 ? (g.currentValue / currentTotal) * 100 : 0;
+    g.driftPct = g.currentPct - g.targetPct;
+    g.targetValue = (g.targetPct / 100) * total;
+    g.tradeValue = 0;
+  }
+
+  // 1. sell what is too far over target
+  const trades = [];
+  for (const g of groups.values()) {
+    if (g.driftPct <= threshold || g.currentValue <= g.targetValue) continue;
+    for (const { asset, value } of spread(g.holdings, g.currentValue - g.targetValue)) {
+      if (value < minTrade || value <= 0) continue;
+      const t = trade(asset, g.key, "sell", value);
+      if (!t) continue;
+      trades.push(t);
+      g.tradeValue -= t.value;
+    }
+  }
+  const sold = -[...groups.values()].reduce((sum, g) => sum + g.tradeValue, 0);
+
+  // 2. buy what is under target with the contribution plus the proceeds, pro rata when short
+  const cash = contribution + sold;
+  // (a cent of slack so rounding the sold quantities doesn't turn into tiny buy-backs)
+  const short = [...groups.values()].filter((g) => g.targetValue - g.currentValue - g.tradeValue > 0.01);
+  const needed = short.reduce((sum, g) => sum + (g.targetValue - g.currentValue - g.tradeValue), 0);
+  const scale = needed > 0 ? Math.min(1, cash / needed) : 0;
+  let bought = 0;
+  for (const g of short) {
+    const amount = (g.targetValue - g.currentValue - g.tradeValue) * scale;
+    if (amount < minTrade || amount <= 0) continue;
+    if (!g.holdings.length) {
+      // nothing held in this group yet: the amount is known, what to buy is the user's call
+      trades.push({
+        assetId: null,
+        symbol: groupBy === "symbol" ? g.key : null,
+        group: g.key,
+        action: "buy",
+        quantity: null,
+        value: amount,
+        note: "No holding in this group yet; pick what to buy"
+      });
+      g.tradeValue += amount;
+      bought += amount;
+      continue;
+    }
+    for (const { asset, value } of spread(g.holdings, amount)) {
+      if (value < minTrade || value <= 0) continue;
+      const t = trade(asset, g.key, "buy", value);
+      if (!t) continue;
+      trades.push(t);
+      g.tradeValue += t.value;
+      bought += t.value;
+    }
+  }
+
+  return {
+    groupBy,
+    sellThresholdPct: threshold,
+    minTradeValue: minTrade,
+    contribution,
+    currentValue: currentTotal,
+    groups: [...groups.values()]
+      .map(({ holdings, ...g }) => ({
+        ...g,
+        holdings: holdings.length,
+        afterValue: g.currentValue + g.tradeValue,
+        afterPct: total > 0 ? ((g.currentValue + g.tradeValue) / total) * 100 : 0
+      }))
+      .sort((a, b) => b.targetPct - a.targetPct || b.currentValue - a.currentValue),
+    trades,
+    summary: { sold, bought, cashLeft: cash - bought },
+    unpriced
+  };
+}
+
+module.exports = { groupKey, planRebalance };
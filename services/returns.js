@@ -0,0 +1,287 @@
+// services/returns.js
+// Time-weighted (TWR) and money-weighted (XIRR) returns, per asset and for the whole portfolio.
+// Daily values are rebuilt from the ledger and Yahoo daily closes; FX uses today's rates.
+const Asset = require("../models/Asset");
+const Transaction = require("../models/Transaction");
+const { buildPortfolio } = require("./portfolio");
+const { getDailyCloses } = require("./history");
+const { getFxRate, normalizeCurrency } = require("./fx");
+
+const RETURN_PERIODS = ["ytd", "1y", "3y", "inception"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (d) => new Date(d).toISOString().slice(0, 10);
+const firstOf = (txns) => new Date(Math.min(...txns.map((t) => new Date(t.date))));
+
+function periodStart(period, inception) {
+  const now = new Date();
+  switch (period) {
+    case "ytd": return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    case "1y":  return new Date(now.getTime() - 365 * DAY_MS);
+    case "3y":  return new Date(now.getTime() - 3 * 365 * DAY_MS);
+    default:    return inception;
+  }
+}
+
+// ✅ XIRR: annualized rate r solving sum(amount / (1 + r)^(years)) = 0
+// flows: [{ date, amount }] from the investor's side (money in negative, money out positive)
+function xirr(flows) {
+  const cf = flows.filter((f) => Math.abs(f.amount) > 1e-9);
+  if (!cf.some((f) => f.amount > 0) || !cf.some((f) => f.amount < 0)) return null;
+  const t0 = new Date(cf[0].date).getTime();
+  const years = cf.map((f) => (new Date(f.date).getTime() - t0) / (365 * DAY_MS));
+  const npv = (r) => cf.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + r, years[i]), 0);
+  const dnpv = (r) =>
+    cf.reduce((sum, f, i) => sum - (years[i] * f.amount) / Math.pow(1 + r, years[i] + 1), 0);
+
+  // Newton-Raphson first, bisection if it wanders off
+  let r = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const d = dnpv(r);
+    if (!d) break;
+    const next = r - npv(r) / d;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - r) < 1e-10) return next;
+    r = next;
+  }
+
+  let lo = -0.9999;
+  let hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ✅ TWR: chain daily sub-period returns; flows are treated as arriving at the start of the day
+// series: [{ value, flow }] where series[0] is the opening value
+function timeWeightedReturn(series) {
+  let factor = 1;
+  let linked = false;
+  for (let i = 1; i < series.length; i++) {
+    const base = series[i - 1].value + series[i].flow;
+    if (base > 1e-9) {
+      factor *= series[i].value / base;
+      linked = true;
+    }
+  }
+  return linked ? factor - 1 : null;
+}
+
+// Portfolio-side cash flow of a transaction (money added to the holding is positive)
+function flowOf(t) {
+  switch (t.type) {
+    case "buy": return t.quantity * t.price + (t.fees || 0);
+    case "sell": return -(t.quantity * t.price - (t.fees || 0));
+    case "dividend":
+    case "interest": return -(t.amount || 0);
+    case "fee": return t.amount || 0;
+    default: return 0;
+  }
+}
+
+// ✅ Rebuild one asset's daily value + flow series (base currency) from `start` to now.
+// Yahoo closes are split-adjusted, so quantities are restated in post-split (and post-bonus) units.
+function assetSeries(transactions, closes, start, { flowFx, endPrice }) {
+  const txns = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const factorOf = (t) => (t.type === "bonus" ? 1 + (t.ratio || 0) : t.type === "split" ? t.ratio || 1 : 1);
+  const splitFactorAfter = (date) =>
+    txns.filter((t) => new Date(t.date) > new Date(date)).reduce((f, t) => f * factorOf(t), 1);
+  const unitsOf = (t) => {
+    const sign = t.type === "buy" || t.type === "merger_in" ? 1 : t.type === "sell" || t.type === "merger_out" ? -1 : 0;
+    return sign * t.quantity * splitFactorAfter(t.date);
+  };
+  // mergers move value between holdings at the day's (base currency) price, so they net out
+  // across the portfolio; everything else is a ledger-currency cash flow
+  const flowAt = (t, moved, price) =>
+    t.type === "merger_out" || t.type === "merger_in" ? moved * price : flowOf(t) * flowFx;
+
+  let i = 0;
+  let units = 0;
+  let flow = 0;
+  // everything before the period start is part of the opening value
+  while (i < txns.length && new Date(txns[i].date) < start) {
+    units += unitsOf(txns[i]);
+    i++;
+  }
+  const before = closes.filter((c) => c.date < start);
+  const inPeriod = closes.filter((c) => c.date >= start);
+  const openingPrice = before.length ? before[before.length - 1].close : inPeriod[0]?.close || endPrice || 0;
+  const opening = { date: start, value: units * openingPrice };
+
+  const points = [];
+  for (const c of inPeriod) {
+    while (i < txns.length && dayKey(txns[i].date) <= dayKey(c.date)) {
+      const moved = unitsOf(txns[i]);
+      units += moved;
+      flow += flowAt(txns[i], moved, c.close);
+      i++;
+    }
+    points.push({ key: dayKey(c.date), date: c.date, value: units * c.close, flow });
+    flow = 0;
+  }
+
+  // anything after the last close lands on today's valuation at the live price
+  const lastClose = inPeriod[inPeriod.length - 1]?.close || openingPrice;
+  while (i < txns.length) {
+    const moved = unitsOf(txns[i]);
+    units += moved;
+    flow += flowAt(txns[i], moved, endPrice ?? lastClose);
+    i++;
+  }
+  const final = { date: new Date(), value: units * (endPrice ?? lastClose), flow };
+
+  return { opening, points, final };
+}
+
+// ✅ TWR + XIRR for a series built by assetSeries (or a combined portfolio series)
+function measure({ opening, points, final }) {
+  const series = [{ value: opening.value, flow: 0 }, ...points, final];
+  const touched = opening.value > 1e-9 || series.some((p) => Math.abs(p.flow) > 1e-9);
+  if (!touched) return { twrPct: null, xirrPct: null };
+
+  const flows = [
+    { date: opening.date, amount: -opening.value },
+    ...points.map((p) => ({ date: p.date, amount: -p.flow })),
+    { date: final.date, amount: -final.flow },
+    { date: final.date, amount: final.value }
+  ];
+  const twr = timeWeightedReturn(series);
+  const irr = xirr(flows);
+  return {
+    twrPct: twr === null ? null : twr * 100,
+    xirrPct: irr === null ? null : irr * 100
+  };
+}
+
+// Combine per-asset series on the union of their trading days (values carried forward)
+function combineSeries(allSeries, start) {
+  const keys = [...new Set(allSeries.flatMap((s) => s.points.map((p) => p.key)))].sort();
+  const cursors = allSeries.map(() => ({ i: 0, value: null }));
+  const points = keys.map((key) => {
+    let value = 0;
+    let flow = 0;
+    allSeries.forEach((s, n) => {
+      const c = cursors[n];
+      if (c.value === null) c.value = s.opening.value;
+      while (c.i < s.points.length && s.points[c.i].key <= key) {
+        if (s.points[c.i].key === key) flow += s.points[c.i].flow;
+        c.value = s.points[c.i].value;
+        c.i++;
+      }
+      value += c.value;
+    });
+    return { key, date: new Date(key), value, flow };
+  });
+
+  return {
+    opening: { date: start, value: allSeries.reduce((sum, s) => sum + s.opening.value, 0) },
+    points,
+    final: {
+      date: new Date(),
+      value: allSeries.reduce((sum, s) => sum + s.final.value, 0),
+      flow: allSeries.reduce((sum, s) => sum + s.final.flow, 0)
+    }
+  };
+}
+
+// ✅ Daily value + flow series (base currency) for every asset with trades, from `start`
+// (null = each asset's own first trade). rows: [{ asset, series }] or [{ asset, error }]
+async function buildAssetSeries(userId, { portfolio, start = null } = {}) {
+  const { currency, assets: priced } = await buildPortfolio(userId, { portfolio });
+  const assets = await Asset.find(portfolio ? { userId, portfolioId: portfolio._id } : { userId }).lean();
+  const transactions = await Transaction.find({ userId, assetId: { $in: assets.map((a) => a._id) } }).lean();
+
+  const rows = [];
+  for (const a of assets) {
+    const txns = transactions.filter((t) => String(t.assetId) === String(a._id));
+    if (!txns.length) continue;
+    const assetStart = start || firstOf(txns);
+    const live = priced.find((p) => String(p._id) === String(a._id));
+
+    try {
+      // closes from a week before the asset's period start (or its first trade, if later)
+      const fetchFrom = new Date(Math.max(assetStart.getTime(), firstOf(txns).getTime()) - 7 * DAY_MS);
+      const { currency: quoted, closes } = await getDailyCloses(a.symbol, a.type, fetchFrom, {
+        coinId: a.coinId
+      });
+      const { currency: closeCcy, factor } = normalizeCurrency(quoted || a.currency);
+      const priceFx = factor * (await getFxRate(closeCcy || a.currency, currency));
+      const flowFx = await getFxRate(a.currency, currency);
+      const endPrice = live?.currentPrice != null && live.fxRate != null ? live.currentPrice * live.fxRate : null;
+
+      const series = assetSeries(
+        txns,
+        closes.filter((c) => c.close != null).map((c) => ({ date: c.date, close: c.close * priceFx })),
+        assetStart,
+        { flowFx, endPrice }
+      );
+      rows.push({ asset: a, series });
+    } catch (err) {
+      rows.push({ asset: a, error: err.message });
+    }
+  }
+
+  return { currency, inception: transactions.length ? firstOf(transactions) : new Date(), rows };
+}
+
+// ✅ Time-weighted growth of a series, rebased to 100 at its opening: [{ key, date, value }].
+// Flows don't move the index, so it compares with a price index like a benchmark's.
+// value is null until something is held.
+function growthIndex({ opening, points }) {
+  let index = 100;
+  let previous = opening.value;
+  let started = opening.value > 1e-9;
+  return points.map((p) => {
+    const base = previous + p.flow;
+    if (base > 1e-9) {
+      index *= p.value / base;
+      started = true;
+    }
+    previous = p.value;
+    return { key: p.key, date: p.date, value: started ? index : null };
+  });
+}
+
+// ✅ Main entry: returns for every asset and the whole portfolio over a period
+// (one portfolio's when a portfolio document is given)
+async function computeReturns(userId, period = "inception", { portfolio } = {}) {
+  if (!RETURN_PERIODS.includes(period)) period = "inception";
+
+  const { currency, inception, rows } = await buildAssetSeries(userId, {
+    portfolio,
+    start: period === "inception" ? null : periodStart(period)
+  });
+  const start = periodStart(period, inception);
+  const describe = (a) => ({ assetId: a._id, symbol: a.symbol, type: a.type });
+  const results = rows.map((r) =>
+    r.series
+      ? { ...describe(r.asset), ...measure(r.series) }
+      : { ...describe(r.asset), twrPct: null, xirrPct: null, error: r.error }
+  );
+  const included = rows.filter((r) => r.series).map((r) => r.series);
+
+  return {
+    period,
+    start,
+    currency,
+    portfolio: {
+      ...measure(combineSeries(included, start)),
+      incomplete: included.length < results.length
+    },
+    assets: results
+  };
+}
+
+module.exports = {
+  RETURN_PERIODS,
+  xirr,
+  timeWeightedReturn,
+  buildAssetSeries,
+  combineSeries,
+  growthIndex,
+  computeReturns
+};
@@ -0,0 +1,155 @@
+// services/risk.js
+// Risk of the portfolio and each holding from daily returns: annualized volatility, max drawdown,
+// Sharpe and Sortino ratios, historical VaR, and a correlation matrix between holdings.
+// Returns come from the time-weighted growth index (services/returns.js), so deposits and
+// withdrawals don't count as gains or losses.
+const { VALID_RANGES, computePeriod } = require("./history");
+const { buildAssetSeries, combineSeries, growthIndex } = require("./returns");
+const { RISK_FREE_RATE } = require("./benchmarks");
+
+const CONFIDENCE_LEVELS = [90, 95, 99];
+const MIN_OBSERVATIONS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const stdev = (xs) => {
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((acc, x) => acc + (x - m) ** 2, 0) / (xs.length - 1));
+};
+
+// Daily returns of a growth index, keyed by the day they end on
+function dailyReturns(points) {
+  const out = [];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1].value;
+    const cur = points[i].value;
+    if (prev != null && cur != null && prev > 0) out.push({ key: points[i].key, value: cur / prev - 1 });
+  }
+  return out;
+}
+
+// ✅ Largest peak-to-trough fall of a growth index, as a positive percentage, with its dates
+function maxDrawdown(points) {
+  let peak = null;
+  let worst = { pct: 0, peak: null, trough: null };
+  for (const p of points) {
+    if (p.value == null) continue;
+    if (!peak || p.value > peak.value) peak = p;
+    const fall = (1 - p.value / peak.value) * 100;
+    if (fall > worst.pct) worst = { pct: fall, peak: peak.key, trough: p.key };
+  }
+  return worst;
+}
+
+// ✅ Historical VaR: the daily loss not exceeded on `confidence`% of days (positive percentage)
+function historicalVar(returns, confidence = 95) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = Math.floor(((100 - confidence) / 100) * sorted.length);
+  return Math.max(0, -sorted[Math.min(index, sorted.length - 1)]) * 100;
+}
+
+// ✅ Volatility, drawdown, Sharpe, Sortino and VaR of one growth index
+// currentValue (base currency) turns VaR into an amount
+function measureRisk(points, { confidence = 95, currentValue = null } = {}) {
+  const returns = dailyReturns(points);
+  const drawdown = maxDrawdown(points);
+  if (returns.length < MIN_OBSERVATIONS) return { observations: returns.length, insufficient: true };
+
+  // weekends count for crypto, not for stocks: annualize by how often this series actually trades
+  const years = (new Date(returns[returns.length - 1].key) - new Date(returns[0].key)) / (365.25 * DAY_MS);
+  const perYear = years > 0 ? returns.length / years : 252;
+  const rf = RISK_FREE_RATE / perYear;
+  const values = returns.map((r) => r.value);
+
+  const excess = mean(values) - rf;
+  const volatility = stdev(values);
+  // downside deviation: only the days below the risk-free rate count, over all days
+  const downside = Math.sqrt(values.reduce((acc, r) => acc + Math.min(0, r - rf) ** 2, 0) / values.length);
+  const varPct = historicalVar(values, confidence);
+
+  return {
+    observations: values.length,
+    volatilityPct: volatility * Math.sqrt(perYear) * 100,
+    maxDrawdownPct: drawdown.pct,
+    drawdownPeak: drawdown.peak,
+    drawdownTrough: drawdown.trough,
+    sharpe: volatility > 0 ? (excess / volatility) * Math.sqrt(perYear) : null,
+    sortino: downside > 0 ? (excess / downside) * Math.sqrt(perYear) : null,
+    varPct,
+    varValue: currentValue != null ? (varPct / 100) * currentValue : null
+  };
+}
+
+// ✅ Pearson correlation of daily returns on the days both series have one (null when too few)
+function correlation(a, b) {
+  const other = new Map(b.map((r) => [r.key, r.value]));
+  const xs = [];
+  const ys = [];
+  for (const r of a) {
+    if (!other.has(r.key)) continue;
+    xs.push(r.value);
+    ys.push(other.get(r.key));
+  }
+  if (xs.length < MIN_OBSERVATIONS) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    cov += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+}
+
+// ✅ Main entry: risk of the portfolio and every holding over a range, plus their correlations
+async function computeRisk(userId, { portfolio, range = "1y", confidence = 95 } = {}) {
+  if (!VALID_RANGES.has(range)) range = "1y";
+  if (!CONFIDENCE_LEVELS.includes(confidence)) confidence = 95;
+  const { period1: start } = computePeriod(range);
+
+  const { currency, rows } = await buildAssetSeries(userId, { portfolio, start });
+  // holdings sold out before the period have nothing to measure
+  const held = rows.filter(
+    (r) => r.series && (r.series.opening.value > 0 || r.series.points.some((p) => p.value > 0))
+  );
+  const combined = combineSeries(held.map((r) => r.series), start);
+
+  const holdings = held.map((r) => {
+    const points = growthIndex(r.series);
+    return {
+      assetId: r.asset._id,
+      symbol: r.asset.symbol,
+      type: r.asset.type,
+      currentValue: r.series.final.value,
+      points,
+      ...measureRisk(points, { confidence, currentValue: r.series.final.value })
+    };
+  });
+  const returns = holdings.map((h) => dailyReturns(h.points));
+
+  return {
+    range,
+    start,
+    currency,
+    confidence,
+    riskFreeRatePct: RISK_FREE_RATE * 100,
+    portfolio: {
+      label: portfolio ? portfolio.name : "All portfolios",
+      currentValue: combined.final.value,
+      ...measureRisk(growthIndex(combined), { confidence, currentValue: combined.final.value })
+    },
+    holdings: holdings.map(({ points, ...h }) => h),
+    correlation: {
+      symbols: holdings.map((h) => h.symbol),
+      matrix: returns.map((a, i) =>
+        returns.map((b, j) => (i === j && a.length >= MIN_OBSERVATIONS ? 1 : correlation(a, b)))
+      )
+    },
+    skipped: rows.filter((r) => r.error).map((r) => ({ symbol: r.asset.symbol, error: r.error }))
+  };
+}
+
+module.exports = { CONFIDENCE_LEVELS, maxDrawdown, historicalVar, measureRisk, correlation, computeRisk };
@@ -0,0 +1,192 @@
+// services/sessions.js
+// Short-lived access tokens (JWT, sent as a bearer header) plus rotating refresh tokens kept in an
+// httpOnly cookie. Every sign-in is a Session; revoking it invalidates both of its tokens.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const NodeCache = require("node-cache");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+const REFRESH_COOKIE = "refreshToken";
+// two tabs refreshing at once both present the same token; the slower one isn't treated as theft
+const REUSE_GRACE_MS = 30 * 1000;
+
+// session id -> active?, so the auth middleware doesn't hit Mongo on every request.
+// Revocations on this instance apply at once; other instances notice within the TTL.
+const activeCache = new NodeCache({ stdTTL: 30 });
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000);
+
+// "Chrome on Windows" from a user agent string; good enough for a sessions list
+function describeDevice(userAgent = "") {
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\//.test(userAgent) && "Opera") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    (/curl|node|axios|python/i.test(userAgent) && "API client") ||
+    "Unknown browser";
+  const os =
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/iPhone|iPad/.test(userAgent) && "iOS") ||
+    (/Mac OS X/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function clientInfo(req) {
+  const userAgent = req.get("user-agent") || "";
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user._id || user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+// ✅ New session for a successful sign-in: { session, accessToken, refreshToken }
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hash(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return { session, accessToken: signAccessToken(user, session._id), refreshToken };
+}
+
+// ✅ Exchange a refresh token for a new access token and a new refresh token.
+// Returns { session, user, accessToken, refreshToken } (refreshToken is null inside the reuse grace window:
+// the client already received the rotated one), or null when the token isn't valid. A rotated token
+// presented again after the grace window revokes the whole session.
+async function rotateSession(refreshToken, req) {
+  if (!refreshToken) return null;
+  const tokenHash = hash(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ tokenHash });
+  if (!session) {
+    const replayed = await Session.findOne({ previousHash: tokenHash });
+    if (!replayed || replayed.revokedAt) return null;
+    if (now - replayed.rotatedAt > REUSE_GRACE_MS || replayed.expiresAt <= now) {
+      await revokeSession(replayed._id, "reuse");
+      return null;
+    }
+    const user = await User.findById(replayed.userId);
+    if (!user) return null;
+    return { session: replayed, user, accessToken: signAccessToken(user, replayed._id), refreshToken: null };
+  }
+  if (session.revokedAt || session.expiresAt <= now) return null;
+
+  const user = await User.findById(session.userId);
+  if (!user) return null;
+  const next = newRefreshToken();
+  session.set({
+    previousHash: tokenHash,
+    tokenHash: hash(next),
+    rotatedAt: now,
+    lastSeenAt: now,
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  await session.save();
+  return { session, user, accessToken: signAccessToken(user, session._id), refreshToken: next };
+}
+
+// ✅ Revoke one session (optionally only if it belongs to userId); returns whether one was revoked
+async function revokeSession(sessionId, reason = "revoked", userId) {
+  const filter = { _id: sessionId, revokedAt: { $exists: false } };
+  if (userId) filter.userId = userId;
+  const res = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } }).catch(
+    () => ({ modifiedCount: 0 })
+  );
+  activeCache.set(String(sessionId), false);
+  return res.modifiedCount > 0;
+}
+
+// ✅ Sign out the session a refresh token belongs to (current or just-rotated token)
+async function endSession(refreshToken) {
+  if (!refreshToken) return false;
+  const tokenHash = hash(refreshToken);
+  const session = await Session.findOne({ $or: [{ tokenHash }, { previousHash: tokenHash }] }, { _id: 1 }).lean();
+  return session ? revokeSession(session._id, "logout") : false;
+}
+
+// ✅ Revoke every session of a user (except one, e.g. the caller's); returns how many
+async function revokeAllSessions(userId, { except, reason = "logout_all" } = {}) {
+  const filter = { userId, revokedAt: { $exists: false } };
+  if (except) filter._id = { $ne: except };
+  const sessions = await Session.find(filter, { _id: 1 }).lean();
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  for (const s of sessions) activeCache.set(String(s._id), false);
+  return sessions.length;
+}
+
+// ✅ Whether an access token's session is still valid (the revocation check in middleware/auth.js)
+async function isSessionActive(sessionId) {
+  const key = String(sessionId);
+  const cached = activeCache.get(key);
+  if (cached !== undefined) return cached;
+  const session = await Session.findById(sessionId, { revokedAt: 1, expiresAt: 1 }).lean().catch(() => null);
+  const active = Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+  activeCache.set(key, active);
+  return active;
+}
+
+// ✅ A user's signed-in devices, most recently used first
+async function listSessions(userId) {
+  return Session.find(
+    { userId, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { tokenHash: 0, previousHash: 0 }
+  )
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+// Cookie helpers (the refresh token is only ever sent to /api/auth)
+function setRefreshCookie(res, token) {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.COOKIE_SECURE === "true",
+    path: "/api/auth",
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 3600 * 1000
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, { path: "/api/auth" });
+}
+
+function readRefreshCookie(req) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (name === REFRESH_COOKIE) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  endSession,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie
+};
@@ -0,0 +1,114 @@
+// services/snapshots.js
+// Daily portfolio value snapshots, recorded by a lightweight in-process scheduler
+const Asset = require("../models/Asset");
+const Portfolio = require("../models/Portfolio");
+const PortfolioSnapshot = require("../models/PortfolioSnapshot");
+const { buildPortfolio, breakdownByType } = require("./portfolio");
+const { computePeriod } = require("./history");
+
+const SNAPSHOT_RANGES = ["1mo", "3mo", "6mo", "1y", "5y", "max"];
+const CHECK_EVERY_MS = 60 * 60 * 1000; // look for missing snapshots hourly
+
+function startOfDay(d = new Date()) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+const snapshotKey = (userId, portfolioId) => `${userId}:${portfolioId || "all"}`;
+
+// ✅ Record (or overwrite) today's snapshot of one portfolio, or of the user's consolidated view
+// when no portfolio is given. A holding that can't be priced would count as 0, so the day is
+// stored as incomplete (hidden from the chart) and recorded again on the next run.
+async function recordSnapshot(userId, portfolio) {
+  const { currency, assets, summary } = await buildPortfolio(userId, { portfolio });
+  const unpriced = assets.filter((a) => a.quantity > 0 && a.currentValue == null).map((a) => a.symbol);
+  return PortfolioSnapshot.findOneAndUpdate(
+    { userId, portfolioId: portfolio?._id || null, date: startOfDay() },
+    {
+      $set: {
+        currency,
+        invested: summary.totalInvested,
+        currentValue: summary.totalCurrentValue,
+        realizedPnL: summary.realizedPnL,
+        unrealizedPnL: summary.unrealizedPnL,
+        complete: unpriced.length === 0,
+        unpriced: unpriced.length ? unpriced : undefined,
+        breakdown: breakdownByType(assets)
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// ✅ Snapshot every portfolio (and every owner's consolidated view) that holds assets and has
+// no complete snapshot for today yet
+async function recordMissingSnapshots() {
+  const today = startOfDay();
+  const userIds = await Asset.distinct("userId");
+  const done = await PortfolioSnapshot.find(
+    { date: today, complete: { $ne: false } },
+    { userId: 1, portfolioId: 1 }
+  ).lean();
+  const doneSet = new Set(done.map((s) => snapshotKey(s.userId, s.portfolioId)));
+
+  let recorded = 0;
+  let incomplete = 0;
+  for (const userId of userIds) {
+    const portfolios = await Portfolio.find({ userId });
+    for (const portfolio of [undefined, ...portfolios]) {
+      if (doneSet.has(snapshotKey(userId, portfolio?._id))) continue;
+      try {
+        const snapshot = await recordSnapshot(userId, portfolio);
+        if (snapshot.complete) recorded++;
+        else incomplete++;
+      } catch (err) {
+        const which = portfolio ? `portfolio ${portfolio._id}` : `user ${userId}`;
+        console.error(`Snapshot failed for ${which}:`, err.message);
+      }
+    }
+  }
+  if (incomplete) console.warn(`${incomplete} snapshot(s) had unpriced holdings; retrying next run`);
+  return recorded;
+}
+
+// ✅ One-off migration: snapshots used to be unique per user and day; drop that index so each
+// portfolio can have its own. Older rows become the consolidated view (portfolioId null).
+async function migrateSnapshotIndexes() {
+  const indexes = await PortfolioSnapshot.collection.indexes().catch(() => []);
+  if (indexes.some((i) => i.name === "userId_1_date_1")) {
+    await PortfolioSnapshot.collection.dropIndex("userId_1_date_1");
+    await PortfolioSnapshot.syncIndexes();
+    return true;
+  }
+  return false;
+}
+
+function startSnapshotScheduler() {
+  const run = () =>
+    recordMissingSnapshots()
+      .then((n) => n && console.log(`Recorded ${n} portfolio snapshot(s)`))
+      .catch((err) => console.error("Snapshot job failed", err));
+  run();
+  return setInterval(run, CHECK_EVERY_MS);
+}
+
+// ✅ Complete snapshots of one portfolio (or the owner's consolidated view) within a range, oldest first
+async function getSnapshots(userId, range = "6mo", { portfolio } = {}) {
+  const { period1 } = computePeriod(range);
+  return PortfolioSnapshot.find({
+    userId,
+    portfolioId: portfolio?._id || null,
+    date: { $gte: period1 },
+    complete: { $ne: false }
+  })
+    .sort({ date: 1 })
+    .lean();
+}
+
+module.exports = {
+  SNAPSHOT_RANGES,
+  recordSnapshot,
+  recordMissingSnapshots,
+  migrateSnapshotIndexes,
+  startSnapshotScheduler,
+  getSnapshots
+};
@@ -0,0 +1,203 @@
+// services/tax.js
+// Realized capital gains for a tax year: every disposal (see services/ledger.js) with its holding
+// period, classified short- or long-term by the jurisdiction's rules.
+// Amounts stay in each asset's ledger currency; FX for tax purposes is the user's call.
+const fs = require("fs");
+const { z } = require("zod");
+const User = require("../models/User");
+const { COST_BASIS_METHODS, getPositions } = require("./ledger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayStart = (d) => {
+  const day = new Date(d);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// longTermMonths: held MORE than this many months is long-term; null means the jurisdiction
+// doesn't split gains by holding period. types: per-asset-type overrides. yearStart: "MM-DD".
+const BUILT_IN_RULES = {
+  US: {
+    name: "United States",
+    yearStart: "01-01",
+    longTermMonths: 12
+  },
+  UK: {
+    name: "United Kingdom",
+    yearStart: "04-06",
+    longTermMonths: null,
+    note: "No short/long-term split; gains are taxed by income band"
+  },
+  IN: {
+    name: "India",
+    yearStart: "04-01",
+    longTermMonths: 24,
+    types: {
+      stock: { longTermMonths: 12 },
+      mutual_fund: { longTermMonths: 12, note: "Equity-oriented funds; debt funds follow different rules" },
+      crypto: { longTermMonths: null, note: "Virtual digital assets are taxed at a flat rate" }
+    }
+  },
+  DE: {
+    name: "Germany",
+    yearStart: "01-01",
+    longTermMonths: null,
+    note: "Flat withholding tax regardless of holding period",
+    types: { crypto: { longTermMonths: 12, note: "Private sales held over a year are tax-free" } }
+  },
+  AU: {
+    name: "Australia",
+    yearStart: "07-01",
+    longTermMonths: 12,
+    note: "Long-term gains may qualify for the CGT discount"
+  },
+  CA: {
+    name: "Canada",
+    yearStart: "01-01",
+    longTermMonths: null,
+    note: "No short/long-term split; half of the gain is taxable"
+  }
+};
+
+let rules = null;
+
+// ✅ Built-in rules, with TAX_RULES_FILE (JSON keyed by jurisdiction code) adding or overriding
+function taxRules() {
+  if (rules) return rules;
+  const file = process.env.TAX_RULES_FILE;
+  const custom = file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  rules = { ...BUILT_IN_RULES };
+  for (const [code, rule] of Object.entries(custom)) {
+    const base = rules[code.toUpperCase()] || {};
+    rules[code.toUpperCase()] = { ...base, ...rule, types: { ...base.types, ...rule.types } };
+  }
+  return rules;
+}
+
+const defaultJurisdiction = () => (process.env.TAX_JURISDICTION || "US").toUpperCase();
+
+function listJurisdictions() {
+  return Object.entries(taxRules()).map(([code, r]) => ({ code, name: r.name || code, yearStart: r.yearStart }));
+}
+
+// The rule for one asset type: the jurisdiction's, with the type's overrides on top
+function ruleFor(rule, type) {
+  const override = rule.types?.[type] || {};
+  return {
+    longTermMonths: override.longTermMonths !== undefined ? override.longTermMonths : rule.longTermMonths,
+    note: override.note !== undefined ? override.note : rule.note
+  };
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  // Jan 31 + 1 month is the last day of February, not March 3
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+// ✅ "short" | "long" (null when the rule has no split) and whole days held
+// (by calendar day: the time of day a trade was entered doesn't matter)
+function classify(acquiredAt, disposedAt, longTermMonths) {
+  const acquired = dayStart(acquiredAt);
+  const disposed = dayStart(disposedAt);
+  const holdingDays = Math.round((disposed - acquired) / DAY_MS);
+  if (longTermMonths === null || longTermMonths === undefined) return { holdingDays, term: null };
+  return { holdingDays, term: disposed > addMonths(acquired, longTermMonths) ? "long" : "short" };
+}
+
+// ✅ Tax year `year` (the calendar year it starts in) as [from, to)
+function taxYear(rule, year) {
+  const [month, day] = (rule.yearStart || "01-01").split("-").map(Number);
+  return {
+    from: new Date(Date.UTC(year, month - 1, day)),
+    to: new Date(Date.UTC(year + 1, month - 1, day))
+  };
+}
+
+// The tax year a date falls in
+function yearOf(rule, date) {
+  const d = new Date(date);
+  const { from } = taxYear(rule, d.getUTCFullYear());
+  return d >= from ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+}
+
+// ✅ Report options as they arrive in a query string (?year, ?jurisdiction, ?method)
+const ReportQuery = z.object({
+  year: z.coerce.number().int().min(1970).max(2100).optional(),
+  jurisdiction: z
+    .string()
+    .transform((c) => c.toUpperCase())
+    .refine((c) => Boolean(taxRules()[c]), "Unknown tax jurisdiction")
+    .optional(),
+  method: z.enum(COST_BASIS_METHODS).optional()
+});
+
+// ✅ Main entry: disposals in one tax year (default: the current one) with totals per currency and term.
+// jurisdiction and method default to the owner's saved preferences.
+async function taxReport(userId, { portfolio, year, jurisdiction, method } = {}) {
+  const user = await User.findById(userId);
+  const code = (jurisdiction || user?.taxJurisdiction || defaultJurisdiction()).toUpperCase();
+  const rule = taxRules()[code];
+  if (!rule) throw new Error(`Unknown tax jurisdiction "${code}"`);
+
+  const costBasisMethod = COST_BASIS_METHODS.includes(method) ? method : user?.costBasisMethod || "fifo";
+  const positions = await getPositions(userId, costBasisMethod, { portfolioId: portfolio?._id });
+
+  const all = positions.flatMap((a) => {
+    const { longTermMonths, note } = ruleFor(rule, a.type);
+    return a.disposals.map((d) => ({
+      assetId: a._id,
+      portfolioId: a.portfolioId,
+      symbol: a.symbol,
+      type: a.type,
+      currency: a.currency,
+      quantity: d.quantity,
+      acquiredAt: d.acquiredAt,
+      disposedAt: d.disposedAt,
+      ...classify(d.acquiredAt, d.disposedAt, longTermMonths),
+      costBasis: d.costBasis,
+      proceeds: d.proceeds,
+      gain: d.gain,
+      note
+    }));
+  });
+
+  const years = [...new Set(all.map((d) => yearOf(rule, d.disposedAt)))].sort((a, b) => b - a);
+  const reportYear = Number.isInteger(year) ? year : yearOf(rule, new Date());
+  const { from, to } = taxYear(rule, reportYear);
+  const disposals = all
+    .filter((d) => d.disposedAt >= from && d.disposedAt < to)
+    .sort((a, b) => a.disposedAt - b.disposedAt || a.symbol.localeCompare(b.symbol));
+
+  const totals = new Map();
+  for (const d of disposals) {
+    const key = `${d.currency}:${d.term}`;
+    if (!totals.has(key)) {
+      totals.set(key, { currency: d.currency, term: d.term, count: 0, proceeds: 0, costBasis: 0, gain: 0 });
+    }
+    const t = totals.get(key);
+    t.count++;
+    t.proceeds += d.proceeds;
+    t.costBasis += d.costBasis;
+    t.gain += d.gain;
+  }
+
+  return {
+    jurisdiction: { code, name: rule.name || code, note: rule.note || null },
+    year: reportYear,
+    from,
+    to: new Date(to.getTime() - DAY_MS), // last day of the tax year
+    years,
+    costBasisMethod,
+    disposals,
+    totals: [...totals.values()]
+  };
+}
+
+module.exports = { ReportQuery, defaultJurisdiction, listJurisdictions, taxRules, classify, taxYear, taxReport };
@@ -0,0 +1,165 @@
+// services/twoFactor.js
+// TOTP two-factor authentication (RFC 6238: 30-second steps, 6 digits, HMAC-SHA1, which is what
+// Google Authenticator, 1Password, Authy, ... expect) plus single-use recovery codes.
+// Secrets are stored encrypted (AES-256-GCM) with a key derived from TWO_FACTOR_KEY (or JWT_SECRET).
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const NodeCache = require("node-cache");
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // accept the previous / next step too (clock drift)
+const RECOVERY_CODES = 10;
+const CHALLENGE_TTL = "5m";
+const MAX_ATTEMPTS = 5; // wrong codes before the challenge stops working
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Portfolio Tracker";
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str.replace(/[\s=]/g, "").toUpperCase()) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// HOTP value for one counter (RFC 4226 dynamic truncation)
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = crypto.createHmac("sha1", secret).update(msg).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const code = (mac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// ✅ The time step a code matches (within the drift window), or null.
+// Steps at or before `lastStep` are refused so a code can't be replayed.
+function verifyTotp(base32Secret, code, { lastStep = -1, now } = {}) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+  const secret = base32Decode(base32Secret);
+  const step = currentStep(now);
+  for (let s = step - WINDOW; s <= step + WINDOW; s++) {
+    if (s <= lastStep) continue;
+    const expected = hotp(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return s;
+  }
+  return null;
+}
+
+// Secrets at rest
+const key = () =>
+  crypto.createHash("sha256").update(process.env.TWO_FACTOR_KEY || process.env.JWT_SECRET || "").digest();
+
+function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+  const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString("base64")).join(".");
+}
+
+function decrypt(stored) {
+  const [iv, tag, data] = stored.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+// ✅ A new secret for enrollment: { secret (base32, for manual entry), encrypted, otpauthUrl, qrDataUrl }
+async function createEnrollment(email) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  return { secret, encrypted: encrypt(secret), otpauthUrl, qrDataUrl: await QRCode.toDataURL(otpauthUrl) };
+}
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// ✅ Fresh recovery codes: { codes (shown once), hashes (stored) }
+function createRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase(); // 8 characters
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashCode) };
+}
+
+// ✅ Check a second factor for a user with 2FA on: a TOTP code or an unused recovery code.
+// Returns { method, update } where update is what to $set on user.twoFactor, or null on a mismatch.
+function checkSecondFactor(twoFactor, { code, recoveryCode }) {
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+  if (recoveryCode) {
+    const hashed = hashCode(recoveryCode);
+    if (!twoFactor.recoveryCodes.includes(hashed)) return null;
+    return { method: "recovery", update: { recoveryCodes: twoFactor.recoveryCodes.filter((h) => h !== hashed) } };
+  }
+  const step = verifyTotp(decrypt(twoFactor.secret), code, { lastStep: twoFactor.lastStep ?? -1 });
+  return step === null ? null : { method: "totp", update: { lastStep: step } };
+}
+
+// Login challenge: proves the password step passed, good for one user, a few minutes and a few guesses
+const failedAttempts = new NodeCache({ stdTTL: 600 });
+
+function signChallenge(userId) {
+  const jti = crypto.randomBytes(12).toString("base64url");
+  return jwt.sign({ id: userId, purpose: "2fa", jti }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+function readChallenge(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== "2fa") return null;
+    return (failedAttempts.get(payload.jti) || 0) < MAX_ATTEMPTS ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+// Count a wrong code against a challenge; returns how many tries are left
+function challengeFailed(challenge) {
+  const used = (failedAttempts.get(challenge.jti) || 0) + 1;
+  failedAttempts.set(challenge.jti, used);
+  return Math.max(0, MAX_ATTEMPTS - used);
+}
+
+module.exports = {
+  verifyTotp,
+  decrypt,
+  createEnrollment,
+  createRecoveryCodes,
+  checkSecondFactor,
+  signChallenge,
+  readChallenge,
+  challengeFailed
+};
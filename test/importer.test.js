@@ -0,0 +1,94 @@
+// test/importer.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseNumber, mapRecord } = require("../services/importer");
+
+test("parseNumber reads dot-decimal numbers with thousands separators and currency signs", () => {
+  assert.equal(parseNumber("1,234.50"), 1234.5);
+  assert.equal(parseNumber("$1,234,567"), 1234567);
+  assert.equal(parseNumber(" 12.5 "), 12.5);
+  assert.equal(parseNumber(".5"), 0.5);
+});
+
+test("parseNumber reads comma-decimal numbers when told to", () => {
+  assert.equal(parseNumber("120,50", ","), 120.5);
+  assert.equal(parseNumber("1.234,50", ","), 1234.5);
+  assert.equal(parseNumber("€ 1.234", ","), 1234);
+});
+
+test("parseNumber keeps exponents", () => {
+  assert.equal(parseNumber("1e-5"), 0.00001);
+  assert.equal(parseNumber("2,5E3", ","), 2500);
+  assert.equal(parseNumber("-1e-5"), -0.00001);
+});
+
+test("parseNumber treats only a leading minus or parentheses as negative", () => {
+  assert.equal(parseNumber("-3"), -3);
+  assert.equal(parseNumber("($1,234.50)"), -1234.5);
+  assert.ok(Number.isNaN(parseNumber("3-")));
+  assert.ok(Number.isNaN(parseNumber("--3")));
+  assert.ok(Number.isNaN(parseNumber("(-3)")));
+  assert.ok(Number.isNaN(parseNumber("1-2")));
+});
+
+test("parseNumber rejects values that don't read cleanly in the locale", () => {
+  assert.ok(Number.isNaN(parseNumber("120,50")));
+  assert.ok(Number.isNaN(parseNumber("1.5", ",")));
+  assert.ok(Number.isNaN(parseNumber("1,2,3")));
+  assert.ok(Number.isNaN(parseNumber("12abc")));
+});
+
+test("parseNumber leaves blanks undefined", () => {
+  assert.equal(parseNumber(""), undefined);
+  assert.equal(parseNumber("  "), undefined);
+  assert.equal(parseNumber(undefined), undefined);
+});
+
+const mapping = { symbol: "Symbol", side: "Side", date: "Date", quantity: "Qty", price: "Price", fees: "Fees" };
+
+test("mapRecord maps and validates a trade", () => {
+  const row = mapRecord(
+    { Symbol: " aapl ", Side: "Bought", Date: "2024-01-15", Qty: "10", Price: "$185.20", Fees: "(1.00)" },
+    mapping,
+    { defaultType: "stock" }
+  );
+  assert.equal(row.ok, true);
+  assert.deepEqual(row.data, {
+    symbol: "AAPL",
+    type: "stock",
+    side: "buy",
+    date: new Date("2024-01-15"),
+    quantity: 10,
+    price: 185.2,
+    fees: 1
+  });
+});
+
+test("mapRecord uses the decimal separator it is given", () => {
+  const record = { Symbol: "SAP", Side: "buy", Date: "2024-01-15", Qty: "1,5", Price: "1.234,50", Fees: "" };
+  const row = mapRecord(record, mapping, { defaultType: "stock", decimal: "," });
+  assert.equal(row.data.quantity, 1.5);
+  assert.equal(row.data.price, 1234.5);
+
+  const wrong = mapRecord(record, mapping, { defaultType: "stock" });
+  assert.deepEqual(wrong, { ok: false, error: 'Can\'t read quantity "1,5"' });
+});
+
+test("mapRecord takes the side from a signed quantity", () => {
+  const signed = { symbol: "Symbol", date: "Date", quantity: "Qty", price: "Price" };
+  const row = mapRecord({ Symbol: "IBM", Date: "2024-01-15", Qty: "-4", Price: "150" }, signed, {
+    defaultType: "stock",
+    signedQuantity: true
+  });
+  assert.equal(row.data.side, "sell");
+  assert.equal(row.data.quantity, 4);
+});
+
+test("mapRecord reports the first problem with a row", () => {
+  const base = { Symbol: "AAPL", Side: "buy", Date: "2024-01-15", Qty: "10", Price: "1", Fees: "" };
+  const error = (record) => mapRecord(record, mapping, { defaultType: "stock" }).error;
+  assert.equal(error({ ...base, Qty: "0" }), "buy requires a positive quantity");
+  assert.equal(error({ ...base, Symbol: "" }), "Missing symbol");
+  assert.equal(error({ ...base, Side: "swap" }), "Unknown transaction side");
+  assert.equal(mapRecord(base, mapping, {}).error, "Unknown asset type");
+});
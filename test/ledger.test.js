@@ -0,0 +1,128 @@
+// test/ledger.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { derivePosition } = require("../services/ledger");
+
+const buy = (id, date, quantity, price, fees = 0) => ({ _id: id, type: "buy", date, quantity, price, fees });
+const sell = (id, date, quantity, price, extra = {}) => ({ _id: id, type: "sell", date, quantity, price, ...extra });
+// float arithmetic (e.g. 1000 / 1.5 * 1.5) may be off in the last digit
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const ledger = [buy("b1", "2024-01-01", 10, 100), buy("b2", "2024-02-01", 10, 200), sell("s1", "2024-03-01", 5, 300)];
+
+test("buys add up to the quantity held and its average buy price", () => {
+  const p = derivePosition([buy("b1", "2024-01-01", 10, 100), buy("b2", "2024-02-01", 10, 200)]);
+  assert.equal(p.quantity, 20);
+  assert.equal(p.buyPrice, 150);
+  assert.equal(p.invested, 3000);
+  assert.equal(p.lots.length, 2);
+});
+
+test("transactions are replayed in date order", () => {
+  const p = derivePosition([sell("s1", "2024-03-01", 5, 300), buy("b1", "2024-01-01", 10, 100)]);
+  assert.equal(p.quantity, 5);
+});
+
+test("selling more than is held throws", () => {
+  assert.throws(
+    () => derivePosition([buy("b1", "2024-01-01", 1, 100), sell("s1", "2024-02-01", 2, 100)]),
+    /exceeds held quantity/
+  );
+});
+
+test("fifo sells the oldest lot first", () => {
+  const p = derivePosition(ledger, "fifo");
+  assert.equal(p.quantity, 15);
+  assert.equal(p.realizedPnL, 5 * (300 - 100));
+  assert.equal(p.invested, 5 * 100 + 10 * 200);
+  assert.deepEqual(
+    p.disposals.map((d) => [d.lotId, d.quantity]),
+    [["b1", 5]]
+  );
+});
+
+test("lifo sells the newest lot first", () => {
+  const p = derivePosition(ledger, "lifo");
+  assert.equal(p.realizedPnL, 5 * (300 - 200));
+  assert.equal(p.invested, 10 * 100 + 5 * 200);
+});
+
+test("average cost pools every open lot", () => {
+  const p = derivePosition(ledger, "average");
+  assert.equal(p.realizedPnL, 5 * (300 - 150));
+  assert.equal(p.buyPrice, 150);
+  assert.equal(p.invested, 15 * 150);
+});
+
+test("specific identification takes the named lots, and fifo for sells that name none", () => {
+  const named = derivePosition(
+    [...ledger.slice(0, 2), sell("s1", "2024-03-01", 5, 300, { lots: [{ transactionId: "b2", quantity: 5 }] })],
+    "specific"
+  );
+  assert.equal(named.realizedPnL, 5 * (300 - 200));
+  assert.equal(derivePosition(ledger, "specific").realizedPnL, 5 * (300 - 100));
+});
+
+test("fees go into the cost of a buy and come off the proceeds of a sell", () => {
+  const p = derivePosition(
+    [buy("b1", "2024-01-01", 10, 100, 10), sell("s1", "2024-02-01", 10, 120, { fees: 20 })],
+    "fifo"
+  );
+  assert.equal(p.disposals[0].costBasis, 1010);
+  assert.equal(p.disposals[0].proceeds, 1180);
+  assert.equal(p.realizedPnL, 170);
+  assert.equal(p.fees, 20);
+});
+
+test("a named lot that isn't open throws", () => {
+  const txns = [
+    buy("b1", "2024-01-01", 1, 100),
+    sell("s1", "2024-02-01", 1, 100, { lots: [{ transactionId: "nope", quantity: 1 }] })
+  ];
+  assert.throws(() => derivePosition(txns, "specific"), /is not open/);
+});
+
+test("a split multiplies units and keeps the cost basis", () => {
+  const p = derivePosition([
+    buy("b1", "2024-01-01", 10, 100),
+    { _id: "x", type: "split", date: "2024-02-01", ratio: 4 }
+  ]);
+  assert.equal(p.quantity, 40);
+  assert.equal(p.invested, 1000);
+  assert.equal(p.buyPrice, 25);
+});
+
+test("a bonus adds ratio units per unit held", () => {
+  const p = derivePosition([
+    buy("b1", "2024-01-01", 10, 100),
+    { _id: "x", type: "bonus", date: "2024-02-01", ratio: 0.5 }
+  ]);
+  assert.equal(p.quantity, 15);
+  near(p.invested, 1000);
+});
+
+test("dividends count as income and fee charges as charges", () => {
+  const p = derivePosition([
+    buy("b1", "2024-01-01", 1, 100),
+    { _id: "d", type: "dividend", date: "2024-02-01", amount: 3 },
+    { _id: "f", type: "fee", date: "2024-03-01", amount: 2 }
+  ]);
+  assert.equal(p.income, 3);
+  assert.equal(p.charges, 2);
+  assert.equal(p.fees, 2);
+});
+
+test("a merger moves the holding out and the cost basis into the acquirer", () => {
+  const out = derivePosition([
+    buy("b1", "2024-01-01", 10, 100),
+    { _id: "m", type: "merger_out", date: "2024-02-01", quantity: 10 }
+  ]);
+  assert.equal(out.quantity, 0);
+  assert.equal(out.realizedPnL, 0);
+
+  const into = derivePosition([
+    { _id: "m2", type: "merger_in", date: "2024-02-01", acquiredAt: "2024-01-01", quantity: 5, amount: 1000 }
+  ]);
+  assert.equal(into.buyPrice, 200);
+  assert.deepEqual(into.lots[0].date, new Date("2024-01-01"));
+});
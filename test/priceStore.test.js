@@ -0,0 +1,112 @@
+// test/priceStore.test.js
+// The store runs against in-memory stand-ins for PriceBar / PriceSeries; providers are faked
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const PriceBar = require("../models/PriceBar");
+const PriceSeries = require("../models/PriceSeries");
+const { rescaleBars, updateSeries } = require("../services/priceStore");
+
+const day = (d) => new Date(`${d}T00:00:00Z`);
+const bar = (d, close, volume = 1000) => ({ date: day(d), open: close, high: close, low: close, close, volume });
+
+// Minimal in-memory PriceBar + PriceSeries, enough for updateSeries
+function memoryStore(t) {
+  const bars = new Map(); // ISO day -> bar
+  let series = null;
+  t.mock.method(PriceBar, "bulkWrite", async (ops) => {
+    for (const { updateOne } of ops) {
+      const key = updateOne.filter.date.toISOString();
+      bars.set(key, { ...bars.get(key), date: updateOne.filter.date, ...updateOne.update.$set });
+    }
+  });
+  t.mock.method(PriceBar, "find", (filter) => ({
+    lean: async () => [...bars.values()].filter((b) => b.date < filter.date.$lt).map((b) => ({ ...b }))
+  }));
+  t.mock.method(PriceSeries, "findOne", async () => {
+    if (!series) return null;
+    const doc = { ...series };
+    doc.save = async () => {
+      const { save, ...rest } = doc;
+      series = rest;
+    };
+    return doc;
+  });
+  t.mock.method(PriceSeries, "updateOne", async (_filter, update) => {
+    series = { ...update.$set };
+  });
+  return {
+    closes: () => [...bars.values()].sort((a, b) => a.date - b.date).map((b) => b.close),
+    volumes: () => [...bars.values()].sort((a, b) => a.date - b.date).map((b) => b.volume),
+    series: () => series,
+    // pretend the last refresh was long ago so the next call refreshes
+    age: () => {
+      series.to = new Date(series.to.getTime() - 365 * 24 * 60 * 60 * 1000);
+    }
+  };
+}
+
+// A provider that answers each fetch with the next canned response
+const fakeSeries = (...responses) => ({
+  key: "STOCK:TEST",
+  symbol: "TEST",
+  fetch: async () => responses.shift()
+});
+
+test("rescaleBars restates prices and volume for a split", () => {
+  const [b] = rescaleBars([{ ...bar("2024-01-02", 100), high: 110, low: null }], 4);
+  assert.deepEqual(b, { date: day("2024-01-02"), open: 25, high: 27.5, low: null, close: 25, volume: 4000 });
+});
+
+test("a split found on refresh rescales the bars stored before it", async (t) => {
+  const store = memoryStore(t);
+  const before = ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-04", "2024-01-05"].map((d) => bar(d, 100));
+  const series = fakeSeries(
+    { currency: "USD", bars: before, splits: [] },
+    // 2-for-1 on Jan 5: the provider's re-fetched days are already adjusted
+    {
+      currency: "USD",
+      bars: [bar("2024-01-04", 50, 2000), bar("2024-01-05", 51, 2000), bar("2024-01-08", 52, 2000)],
+      splits: [{ date: day("2024-01-05"), ratio: 2 }]
+    }
+  );
+
+  await updateSeries(series, day("2024-01-01"));
+  assert.deepEqual(store.closes(), [100, 100, 100, 100, 100]);
+
+  store.age();
+  await updateSeries(series, day("2024-01-01"));
+  assert.deepEqual(store.closes(), [50, 50, 50, 50, 51, 52]);
+  assert.deepEqual(store.volumes(), [2000, 2000, 2000, 2000, 2000, 2000]);
+  assert.deepEqual(store.series().splits, [{ date: day("2024-01-05"), ratio: 2 }]);
+});
+
+test("a split is applied once, however many refreshes see it", async (t) => {
+  const store = memoryStore(t);
+  const split = { date: day("2024-01-03"), ratio: 2 };
+  const series = fakeSeries(
+    { currency: "USD", bars: [bar("2024-01-01", 100), bar("2024-01-02", 100)], splits: [] },
+    { currency: "USD", bars: [bar("2024-01-02", 50), bar("2024-01-03", 50)], splits: [split] },
+    { currency: "USD", bars: [bar("2024-01-03", 50), bar("2024-01-04", 50)], splits: [split] }
+  );
+
+  await updateSeries(series, day("2024-01-01"));
+  store.age();
+  await updateSeries(series, day("2024-01-01"));
+  store.age();
+  await updateSeries(series, day("2024-01-01"));
+  assert.deepEqual(store.closes(), [50, 50, 50, 50]);
+});
+
+test("splits already reflected in a first download aren't applied again", async (t) => {
+  const store = memoryStore(t);
+  const split = { date: day("2024-01-02"), ratio: 3 };
+  const series = fakeSeries(
+    { currency: "USD", bars: [bar("2024-01-01", 10), bar("2024-01-02", 10), bar("2024-01-03", 10)], splits: [split] },
+    { currency: "USD", bars: [bar("2024-01-03", 10), bar("2024-01-04", 11)], splits: [split] }
+  );
+
+  await updateSeries(series, day("2024-01-01"));
+  store.age();
+  await updateSeries(series, day("2024-01-01"));
+  assert.deepEqual(store.closes(), [10, 10, 10, 11]);
+});
@@ -0,0 +1,128 @@
+// test/providers.test.js
+// Runs without the network: every chain here is made of registered fakes or the mock provider
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { registerProvider, fetchQuote, fetchQuotes, chainFor, getProviderStats } = require("../services/providers");
+
+// A fake provider that prices the symbols in `prices` and fails the rest; calls are recorded
+function fakeProvider(name, prices, calls = []) {
+  registerProvider({
+    name,
+    types: ["stock", "commodity"],
+    async fetchQuote({ symbol }) {
+      calls.push(symbol);
+      if (!(symbol in prices)) throw new Error(`${name} doesn't know ${symbol}`);
+      return { symbol, price: prices[symbol], currency: "USD", changePct: null, source: name };
+    }
+  });
+  return calls;
+}
+
+const withEnv = async (vars, fn) => {
+  const before = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(before)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+};
+
+test("a chain follows PRICE_PROVIDERS_<TYPE> and skips providers that don't exist or price the type", () => {
+  fakeProvider("first", {});
+  fakeProvider("second", {});
+  return withEnv({ PRICE_PROVIDERS_STOCK: "second, nope, coingecko, first" }, () =>
+    assert.deepEqual(chainFor("stock"), ["second", "first"])
+  );
+});
+
+test("symbols the first provider can't price fall through to the next, in chain order", async () => {
+  const primary = fakeProvider("primary", { AAA: 1 });
+  const backup = fakeProvider("backup", { AAA: 2, BBB: 3 });
+  await withEnv({ PRICE_PROVIDERS_STOCK: "primary,backup" }, async () => {
+    const quotes = await fetchQuotes([
+      { symbol: "AAA", type: "stock" },
+      { symbol: "BBB", type: "stock" }
+    ]);
+    assert.equal(quotes.get("STOCK:AAA").price, 1);
+    assert.equal(quotes.get("STOCK:AAA").provider, "primary");
+    assert.equal(quotes.get("STOCK:BBB").price, 3);
+    assert.equal(quotes.get("STOCK:BBB").provider, "backup");
+    assert.deepEqual(primary.sort(), ["AAA", "BBB"]);
+    assert.deepEqual(backup, ["BBB"]); // AAA was already priced
+  });
+});
+
+test("when every provider fails the error names each of them", async () => {
+  fakeProvider("empty1", {});
+  fakeProvider("empty2", {});
+  await withEnv({ PRICE_PROVIDERS_STOCK: "empty1,empty2" }, async () => {
+    await assert.rejects(fetchQuote({ symbol: "ZZZ", type: "stock" }), (err) => {
+      assert.match(err.message, /No price for ZZZ/);
+      assert.match(err.message, /empty1: empty1 doesn't know ZZZ/);
+      assert.match(err.message, /empty2: empty2 doesn't know ZZZ/);
+      return true;
+    });
+  });
+});
+
+test("a provider that keeps failing cools down, unless it is the last one left", async () => {
+  const flaky = fakeProvider("flaky", {});
+  const steady = fakeProvider("steady", { OK: 5 });
+  await withEnv({ PRICE_PROVIDERS_COMMODITY: "flaky,steady" }, async () => {
+    for (let i = 0; i < 3; i++) await fetchQuote({ symbol: "OK", type: "commodity" });
+    assert.equal(flaky.length, 3);
+
+    const quote = await fetchQuote({ symbol: "OK", type: "commodity" });
+    assert.equal(quote.provider, "steady");
+    assert.equal(flaky.length, 3, "skipped while cooling down");
+    const stats = getProviderStats().providers.find((p) => p.name === "flaky");
+    assert.equal(stats.coolingDown, true);
+    assert.equal(stats.consecutiveFailures, 3);
+
+    await assert.rejects(fetchQuote({ symbol: "NONE", type: "commodity" }), /flaky: cooling down/);
+  });
+  await withEnv({ PRICE_PROVIDERS_COMMODITY: "flaky" }, async () => {
+    await assert.rejects(fetchQuote({ symbol: "OK", type: "commodity" }));
+    assert.equal(flaky.length, 4, "the last provider in a chain is always tried");
+  });
+});
+
+test("a success clears the failure streak", async () => {
+  const prices = {};
+  const calls = fakeProvider("recovering", prices);
+  await withEnv({ PRICE_PROVIDERS_STOCK: "recovering,steady2" }, async () => {
+    fakeProvider("steady2", { X: 1 });
+    await fetchQuote({ symbol: "X", type: "stock" });
+    await fetchQuote({ symbol: "X", type: "stock" });
+    prices.X = 2;
+    assert.equal((await fetchQuote({ symbol: "X", type: "stock" })).provider, "recovering");
+    const stats = getProviderStats().providers.find((p) => p.name === "recovering");
+    assert.equal(stats.consecutiveFailures, 0);
+    assert.equal(stats.failures, 2);
+    assert.equal(calls.length, 3);
+  });
+});
+
+test("PRICE_OFFLINE swaps every chain for stable mock prices", async () => {
+  await withEnv({ PRICE_OFFLINE: "true", PRICE_PROVIDERS_STOCK: "primary" }, async () => {
+    assert.deepEqual(chainFor("stock"), ["mock"]);
+    assert.deepEqual(chainFor("crypto"), ["mock"]);
+    assert.equal(getProviderStats().offline, true);
+
+    const first = await fetchQuote({ symbol: "AAPL", type: "stock" });
+    const again = await fetchQuote({ symbol: "aapl", type: "stock" });
+    assert.equal(first.source, "Mock");
+    assert.equal(first.provider, "mock");
+    assert.equal(first.price, again.price);
+    assert.ok(first.price >= 10 && first.price < 500);
+  });
+});
+
+test("unsupported asset types are reported, not fetched", async () => {
+  const quotes = await fetchQuotes([{ symbol: "X", type: "bond" }]);
+  assert.match(quotes.get("BOND:X").message, /Unsupported asset type: bond/);
+});
@@ -0,0 +1,110 @@
+// test/returns.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { xirr, timeWeightedReturn, combineSeries, growthIndex } = require("../services/returns");
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test("xirr of a one-year round trip is the gain", () => {
+  near(
+    xirr([
+      { date: "2023-01-01", amount: -1000 },
+      { date: "2024-01-01", amount: 1100 }
+    ]),
+    0.1
+  );
+});
+
+test("xirr annualizes over several flows", () => {
+  const rate = xirr([
+    { date: "2022-01-01", amount: -1000 },
+    { date: "2022-07-02", amount: -1000 },
+    { date: "2024-01-01", amount: 2500 }
+  ]);
+  // check the root rather than a hard-coded rate
+  const t0 = new Date("2022-01-01");
+  const years = (d) => (new Date(d) - t0) / (365 * 24 * 60 * 60 * 1000);
+  const npv = -1000 - 1000 / (1 + rate) ** years("2022-07-02") + 2500 / (1 + rate) ** years("2024-01-01");
+  near(npv, 0, 1e-4);
+  assert.ok(rate > 0.1 && rate < 0.2);
+});
+
+test("xirr needs money both in and out", () => {
+  assert.equal(xirr([{ date: "2023-01-01", amount: -1000 }]), null);
+  assert.equal(
+    xirr([
+      { date: "2023-01-01", amount: 100 },
+      { date: "2024-01-01", amount: 100 }
+    ]),
+    null
+  );
+});
+
+test("timeWeightedReturn ignores the size of deposits", () => {
+  // +10%, then doubling the money with a deposit, then +10% again
+  const series = [
+    { value: 100, flow: 0 },
+    { value: 110, flow: 0 },
+    { value: 231, flow: 100 }
+  ];
+  near(timeWeightedReturn(series), 0.21);
+});
+
+test("timeWeightedReturn is null when nothing was ever held", () => {
+  assert.equal(timeWeightedReturn([{ value: 0, flow: 0 }, { value: 0, flow: 0 }]), null);
+});
+
+test("growthIndex starts at 100 and nets out flows", () => {
+  const points = growthIndex({
+    opening: { value: 100 },
+    points: [
+      { key: "2024-01-02", value: 110, flow: 0 },
+      { key: "2024-01-03", value: 210, flow: 100 }
+    ]
+  });
+  near(points[0].value, 110);
+  near(points[1].value, 110); // the 100 deposited isn't growth
+});
+
+test("growthIndex has no value before the first money goes in", () => {
+  const points = growthIndex({
+    opening: { value: 0 },
+    points: [
+      { key: "2024-01-02", value: 0, flow: 0 },
+      { key: "2024-01-03", value: 50, flow: 50 },
+      { key: "2024-01-04", value: 55, flow: 0 }
+    ]
+  });
+  assert.equal(points[0].value, null);
+  near(points[1].value, 100);
+  near(points[2].value, 110);
+});
+
+test("combineSeries adds series on the union of their days, carrying values forward", () => {
+  const start = new Date("2024-01-01");
+  const a = {
+    opening: { value: 100 },
+    points: [
+      { key: "2024-01-02", value: 110, flow: 0 },
+      { key: "2024-01-03", value: 120, flow: 5 }
+    ],
+    final: { value: 125, flow: 0 }
+  };
+  const b = {
+    opening: { value: 50 },
+    points: [{ key: "2024-01-03", value: 60, flow: 10 }],
+    final: { value: 70, flow: 1 }
+  };
+  const combined = combineSeries([a, b], start);
+  assert.equal(combined.opening.value, 150);
+  assert.deepEqual(
+    combined.points.map((p) => [p.key, p.value, p.flow]),
+    [
+      ["2024-01-02", 160, 0],
+      ["2024-01-03", 180, 15]
+    ]
+  );
+  assert.equal(combined.final.value, 195);
+  assert.equal(combined.final.flow, 1);
+});
@@ -0,0 +1,52 @@
+// test/tax.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ReportQuery, classify, taxYear, taxRules } = require("../services/tax");
+
+test("classify is long-term only when held more than the threshold", () => {
+  assert.deepEqual(classify("2023-01-15", "2024-01-15", 12), { holdingDays: 365, term: "short" });
+  assert.deepEqual(classify("2023-01-15", "2024-01-16", 12), { holdingDays: 366, term: "long" });
+});
+
+test("classify counts calendar days, not the time of day", () => {
+  assert.equal(classify("2024-03-01T23:00:00Z", "2024-03-02T01:00:00Z", 12).holdingDays, 1);
+  assert.equal(classify("2024-03-01T09:00:00Z", "2024-03-01T17:00:00Z", 12).holdingDays, 0);
+  assert.equal(classify("2023-03-01T18:00:00Z", "2024-03-02T08:00:00Z", 12).term, "long");
+});
+
+test("classify clamps month ends (Jan 31 + 1 month is the end of February)", () => {
+  assert.equal(classify("2024-01-31", "2024-02-29", 1).term, "short");
+  assert.equal(classify("2024-01-31", "2024-03-01", 1).term, "long");
+});
+
+test("classify has no term when the jurisdiction doesn't split gains", () => {
+  assert.deepEqual(classify("2020-01-01", "2024-01-01", null), { holdingDays: 1461, term: null });
+});
+
+test("taxYear spans from the jurisdiction's start date to the next year's", () => {
+  const rules = taxRules();
+  assert.deepEqual(taxYear(rules.US, 2024), {
+    from: new Date("2024-01-01T00:00:00Z"),
+    to: new Date("2025-01-01T00:00:00Z")
+  });
+  assert.deepEqual(taxYear(rules.UK, 2024), {
+    from: new Date("2024-04-06T00:00:00Z"),
+    to: new Date("2025-04-06T00:00:00Z")
+  });
+  assert.deepEqual(taxYear(rules.AU, 2024).from, new Date("2024-07-01T00:00:00Z"));
+});
+
+test("taxYear defaults to the calendar year", () => {
+  assert.deepEqual(taxYear({}, 2023).from, new Date("2023-01-01T00:00:00Z"));
+});
+
+test("ReportQuery accepts known jurisdictions in any case and rejects the rest", () => {
+  assert.deepEqual(ReportQuery.parse({ year: "2024", jurisdiction: "uk", method: "lifo" }), {
+    year: 2024,
+    jurisdiction: "UK",
+    method: "lifo"
+  });
+  assert.equal(ReportQuery.safeParse({ jurisdiction: "XX" }).error.issues[0].message, "Unknown tax jurisdiction");
+  assert.equal(ReportQuery.safeParse({ year: "soon" }).success, false);
+  assert.equal(ReportQuery.safeParse({ method: "hifo" }).success, false);
+});